@@ -0,0 +1,279 @@
+/**
+ * RewardFlow Distribution Algorithm - Multi-Asset Treasuries
+ *
+ * Distributes a treasury made of several assets (SOL, USDC, the project
+ * token, ...) to the same qualified holders. Every asset has its own
+ * decimals and fee reserve and may use its own formula profile; each is
+ * split in integer base units with the largest remainder method of
+ * calculateLamportDistribution, so every asset's books reconcile
+ * exactly.
+ *
+ * Treasury asset:
+ *   { "symbol": "USDC", "decimals": 6, "amount": "2500", "mint": "EPjF...",
+ *     "feeReserve": 0, "formulaProfile": "rewardflow-v1" }
+ * `amount` is in whole units (a decimal string keeps it exact);
+ * `feeReserve` and `formulaProfile` default to the settings.
+ *
+ * Prices are a map of symbol -> USD per whole unit, e.g.
+ *   { "SOL": 150.25, "USDC": 1 }
+ */
+
+const fs = require('fs');
+const { calculateLamportDistribution } = require('./formulas');
+const { resolveProfile } = require('./profiles');
+const { validateAsset } = require('./validation');
+const { ConfigError } = require('./errors');
+
+/**
+ * Convert a whole-unit amount to integer base units
+ *
+ * @param {number|string} amount - Amount in whole units
+ * @param {number} decimals - Asset decimals
+ * @returns {bigint} Base units
+ * @throws {Error} If the amount has more fraction digits than the asset
+ */
+function toBaseUnits(amount, decimals) {
+  const text = typeof amount === 'number' ? amount.toFixed(decimals) : String(amount).trim();
+  const match = /^(\d+)(?:\.(\d*))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Cannot read amount "${amount}"`);
+  }
+
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimals`);
+  }
+  return BigInt(match[1] + fraction.padEnd(decimals, '0'));
+}
+
+/**
+ * Convert base units to a whole-unit number for display
+ *
+ * @param {bigint} units - Base units
+ * @param {number} decimals - Asset decimals
+ * @returns {number} Amount in whole units
+ */
+function fromBaseUnits(units, decimals) {
+  return Number(units) / 10 ** decimals;
+}
+
+/**
+ * Dust threshold of an asset: 0.000001 whole units, at least one base unit
+ *
+ * Matches the 1,000 lamport threshold for SOL.
+ *
+ * @param {number} decimals - Asset decimals
+ * @returns {bigint} Base units
+ */
+function dustThreshold(decimals) {
+  return decimals > 6 ? 10n ** BigInt(decimals - 6) : 1n;
+}
+
+/**
+ * Check a list of treasury assets
+ *
+ * @param {Array} assets - Treasury assets
+ * @returns {Array} Problems with `assets[i].field` names (empty when valid)
+ */
+function validateAssets(assets) {
+  if (!Array.isArray(assets) || assets.length === 0) {
+    return [{ field: 'assets', message: 'assets must be a non-empty list', value: assets }];
+  }
+
+  const errors = [];
+  const symbols = new Set();
+  assets.forEach((asset, index) => {
+    const assetErrors = validateAsset(asset);
+    assetErrors.forEach(error => errors.push({ ...error, field: `assets[${index}].${error.field}`, message: `assets[${index}].${error.message}` }));
+
+    if (asset && typeof asset.symbol === 'string') {
+      if (symbols.has(asset.symbol)) {
+        errors.push({ field: `assets[${index}].symbol`, message: `assets[${index}].symbol ${asset.symbol} is listed twice`, value: asset.symbol });
+      }
+      symbols.add(asset.symbol);
+    }
+
+    if (assetErrors.length === 0) {
+      try {
+        toBaseUnits(asset.amount, asset.decimals);
+      } catch (error) {
+        errors.push({
+          field: `assets[${index}].amount`,
+          message: `assets[${index}].amount must be a plain decimal with at most ${asset.decimals} decimals`,
+          value: asset.amount
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Distribute every asset of a treasury
+ *
+ * Payout caps (maxWalletShare) apply to each asset; minWalletPayout is
+ * a SOL amount and is not applied. An asset without a price leaves the
+ * USD values out of that asset and is listed in `unpricedAssets`; with
+ * no prices at all the USD values are null.
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {Array} assets - Treasury assets
+ * @param {object} config - Settings (feeReserve, formulaProfile, maxWalletShare)
+ * @param {object} options - Optional settings
+ * @param {object} options.prices - Symbol -> USD price per whole unit
+ * @param {object|Map} options.clusters - Address -> entity ID map
+ * @param {object} options.policy - Wallet policy (see policy.js)
+ * @param {boolean} options.strict - Throw on invalid holders instead of skipping them
+ * @returns {object} { assets, holders, totalUsdValue, unpricedAssets }
+ * @throws {ConfigError} If an asset is invalid
+ */
+function calculateAssetDistribution(holders, assets, config, options = {}) {
+  const errors = validateAssets(assets);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const prices = options.prices || {};
+  const price = symbol => (Number.isFinite(prices[symbol]) ? prices[symbol] : null);
+  const rows = new Map();
+  const rowFor = result => {
+    if (!rows.has(result.address)) {
+      rows.set(result.address, { address: result.address, tokens: result.tokens, assets: {}, usdValue: 0 });
+    }
+    return rows.get(result.address);
+  };
+
+  const summaries = assets.map(asset => {
+    const feeReserve = asset.feeReserve === undefined ? config.feeReserve : asset.feeReserve;
+    const profile = resolveProfile(asset.formulaProfile === undefined ? config.formulaProfile : asset.formulaProfile);
+    const result = calculateLamportDistribution(holders, toBaseUnits(asset.amount, asset.decimals), feeReserve, {
+      profile,
+      limits: { maxShare: config.maxWalletShare },
+      clusters: options.clusters,
+      policy: options.policy,
+      strict: options.strict,
+      minPayoutLamports: dustThreshold(asset.decimals)
+    });
+
+    const record = (entry, units) => {
+      const amount = fromBaseUnits(units, asset.decimals);
+      rowFor(entry).assets[asset.symbol] = {
+        units,
+        amount,
+        weight: entry.weightage.totalWeight,
+        usdValue: price(asset.symbol) === null ? null : amount * price(asset.symbol)
+      };
+    };
+    result.distribution.forEach(entry => record(entry, entry.lamports));
+    result.dropped.forEach(entry => record(entry, 0n));
+
+    const distributed = fromBaseUnits(result.distributedLamports, asset.decimals);
+    return {
+      symbol: asset.symbol,
+      decimals: asset.decimals,
+      mint: asset.mint || null,
+      feeReserve,
+      profile: { name: profile.name, version: profile.version },
+      totalUnits: result.totalLamports,
+      feeUnits: result.feeLamports,
+      distributedUnits: result.distributedLamports,
+      dustUnits: result.dustLamports,
+      price: price(asset.symbol),
+      distributedUsd: price(asset.symbol) === null ? null : distributed * price(asset.symbol)
+    };
+  });
+
+  const unpricedAssets = summaries.filter(summary => summary.price === null).map(summary => summary.symbol);
+  const priced = unpricedAssets.length < summaries.length;
+  const holderRows = [...rows.values()];
+  holderRows.forEach(row => {
+    row.usdValue = priced ? Object.values(row.assets).reduce((sum, entry) => sum + (entry.usdValue || 0), 0) : null;
+  });
+
+  return {
+    assets: summaries,
+    holders: holderRows,
+    totalUsdValue: priced ? summaries.reduce((sum, summary) => sum + (summary.distributedUsd || 0), 0) : null,
+    unpricedAssets
+  };
+}
+
+/**
+ * Multi-asset results as CSV, one column per asset
+ *
+ * @param {object} report - Result of calculateAssetDistribution
+ * @returns {string} CSV text with a header row
+ */
+function assetDistributionToCsv(report) {
+  const symbols = report.assets.map(asset => asset.symbol);
+  const header = ['address', 'tokens', ...symbols, 'usdValue'];
+  const lines = report.holders.map(row => [
+    row.address,
+    row.tokens,
+    ...symbols.map(symbol => formatUnits(row.assets[symbol].units, report.assets.find(asset => asset.symbol === symbol).decimals)),
+    row.usdValue === null ? '' : row.usdValue
+  ].join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+/**
+ * Exact decimal text of base units
+ *
+ * @param {bigint} units - Base units
+ * @param {number} decimals - Asset decimals
+ * @returns {string} e.g. "12.500000"
+ */
+function formatUnits(units, decimals) {
+  const text = units.toString().padStart(decimals + 1, '0');
+  return decimals === 0 ? text : `${text.slice(0, -decimals)}.${text.slice(-decimals)}`;
+}
+
+/**
+ * Read a treasury assets file
+ *
+ * @param {string} filePath - JSON file: a list of assets or { assets: [...] }
+ * @returns {Array} Treasury assets
+ * @throws {Error} If the file is not a list of assets
+ */
+function readAssetsFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const assets = Array.isArray(data) ? data : data.assets;
+  if (!Array.isArray(assets)) {
+    throw new Error('Assets file must be a list or an object with an "assets" list');
+  }
+  return assets;
+}
+
+/**
+ * Read a USD prices file
+ *
+ * @param {string} filePath - JSON file: { symbol: price } or { prices: { symbol: price } }
+ * @returns {object} Symbol -> USD price
+ * @throws {Error} If a price is not a number of 0 or more
+ */
+function readPricesFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const prices = data && typeof data.prices === 'object' ? data.prices : data;
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    throw new Error('Prices file must map asset symbols to USD prices');
+  }
+
+  Object.entries(prices).forEach(([symbol, value]) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Price of ${symbol} must be a number of 0 or more`);
+    }
+  });
+  return prices;
+}
+
+module.exports = {
+  toBaseUnits,
+  fromBaseUnits,
+  formatUnits,
+  validateAssets,
+  calculateAssetDistribution,
+  assetDistributionToCsv,
+  readAssetsFile,
+  readPricesFile
+};
@@ -0,0 +1,422 @@
+/**
+ * RewardFlow Distribution Algorithm - Audit Reports
+ *
+ * Every run can be saved as a manifest: the exact inputs (holders,
+ * settings, formula profile, cluster map, wallet policy), a SHA-256 hash of those
+ * inputs in canonical JSON, and a per-holder breakdown explaining each
+ * payout or exclusion. verifyManifest recomputes the distribution from
+ * the inputs alone and checks that the hash and every amount match, so
+ * a manifest answers "why did I get 0.0123 SOL?" without rerunning the
+ * demo.
+ *
+ * renderMarkdown / renderHtml turn a manifest into a standalone report.
+ */
+
+const { calculateWeightage, calculateDistribution } = require('./formulas');
+const { resolveProfile, describeProfile, profileId } = require('./profiles');
+const { getDistributionOptions } = require('./config');
+const { validateHolder } = require('./validation');
+const { ENTITY_PREFIX, toClusterMap, mergeClusters } = require('./clusters');
+const { createPolicy, policyExclusion, policyLabel } = require('./policy');
+const { hashJson } = require('./json');
+
+/**
+ * Manifest format version
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Payouts below this are dropped by calculateDistribution (SOL)
+ */
+const DUST_THRESHOLD = 0.000001;
+
+/**
+ * Exclusion reasons for each policy exclusion code (see policy.js)
+ */
+const POLICY_REASONS = {
+  denylist: () => 'denylisted by policy',
+  label: exclusion => `labeled "${exclusion.label}", excluded by policy`,
+  allowlist: () => 'not on the policy allowlist'
+};
+
+/**
+ * Why a holder (or a merged entity) is not paid, judged by its balance
+ *
+ * @param {object} holder - Holder object
+ * @param {object} profile - Resolved formula profile
+ * @returns {string|null} Exclusion reason, or null when the balance qualifies
+ */
+function balanceReason(holder, profile) {
+  const weightage = calculateWeightage(holder.tokens, holder.hoursAfterLaunch, holder.hoursSinceLaunch, holder.minBalance, profile);
+  if (!weightage.qualified) {
+    return `below minimum balance (${holder.minBalance})`;
+  }
+  if (holder.tokens > holder.maxBalance) {
+    return `above maximum balance (${holder.maxBalance})`;
+  }
+  return null;
+}
+
+/**
+ * Merge the clustered holders the way calculateDistribution does
+ *
+ * Invalid holders and wallets the policy excludes are left out before
+ * merging, as in the distribution.
+ *
+ * @param {Array} holders - Holder objects
+ * @param {object} clusters - Address -> entity ID map
+ * @param {object} policy - Wallet policy (or null)
+ * @param {Array} distribution - Distribution results
+ * @returns {Map} Entity ID -> { holder, paid }
+ */
+function describeEntities(holders, clusters, policy, distribution) {
+  const eligible = holders.filter(holder =>
+    validateHolder(holder).length === 0 && !(policy && policyExclusion(policy, holder.address)));
+  const paid = new Set(distribution.filter(result => result.entity).map(result => result.entity.id));
+
+  const entities = new Map();
+  mergeClusters(eligible, clusters).entities
+    .filter(entity => entity.address.startsWith(ENTITY_PREFIX))
+    .forEach(entity => {
+      const id = entity.address.slice(ENTITY_PREFIX.length);
+      entities.set(id, { holder: entity, paid: paid.has(id) });
+    });
+  return entities;
+}
+
+/**
+ * Why a holder received nothing
+ *
+ * A clustered wallet is judged by its entity: when the entity was paid,
+ * the wallet's part of it fell below the dust threshold.
+ *
+ * @param {object} holder - Holder object
+ * @param {object} profile - Resolved formula profile
+ * @param {object} clusters - Address -> entity ID map (or null)
+ * @param {object} policy - Wallet policy (or null)
+ * @param {Map} entities - Merged entities, from describeEntities (or null)
+ * @returns {string} Exclusion reason
+ */
+function exclusionReason(holder, profile, clusters, policy, entities) {
+  const errors = validateHolder(holder);
+  if (errors.length > 0) {
+    return `invalid holder: ${errors.map(error => error.message).join('; ')}`;
+  }
+  const exclusion = policy && policyExclusion(policy, holder.address);
+  if (exclusion) {
+    return POLICY_REASONS[exclusion.code](exclusion);
+  }
+  const dust = `payout below dust threshold (${DUST_THRESHOLD} SOL)`;
+
+  if (clusters && clusters[holder.address] !== undefined) {
+    const id = String(clusters[holder.address]);
+    const entity = entities.get(id);
+    if (entity.paid) {
+      return `linked entity "${id}" was paid, but this wallet's part is below the dust threshold (${DUST_THRESHOLD} SOL)`;
+    }
+    return `linked entity "${id}" ${balanceReason(entity.holder, profile) || dust}`;
+  }
+
+  return balanceReason(holder, profile) || dust;
+}
+
+/**
+ * Compute the distribution and per-holder breakdown for a set of inputs
+ *
+ * @param {object} inputs - { holders, config, profile, clusters, policy }
+ * @returns {object} { summary, holders }
+ */
+function computeBreakdown(inputs) {
+  const { holders, config, profile, clusters } = inputs;
+  const policy = inputs.policy ? createPolicy(inputs.policy) : null;
+  const options = { ...getDistributionOptions(config), profile, clusters, policy };
+  const distribution = calculateDistribution(holders, config.treasuryBalance, config.feeReserve, options);
+  const byAddress = new Map(distribution.map(result => [result.address, result]));
+  const entities = clusters ? describeEntities(holders, clusters, policy, distribution) : null;
+
+  const breakdown = holders.map(holder => {
+    const result = byAddress.get(holder.address);
+    const base = {
+      address: holder.address,
+      tokens: holder.tokens,
+      hoursAfterLaunch: holder.hoursAfterLaunch,
+      hoursHeld: holder.hoursSinceLaunch - holder.hoursAfterLaunch,
+      ...(policy && { label: policyLabel(policy, holder.address) })
+    };
+
+    if (!result) {
+      return { ...base, status: 'excluded', reason: exclusionReason(holder, profile, clusters, policy, entities), amount: 0 };
+    }
+
+    const { balanceWeight, earlyBonus, tenureBonus, timeWeight, totalWeight } = result.weightage;
+    return {
+      ...base,
+      status: 'paid',
+      reason: null,
+      weightage: { balanceWeight, earlyBonus, tenureBonus, timeWeight, totalWeight },
+      share: result.share,
+      amount: result.amount,
+      clamp: result.clamp || null,
+      entity: result.entity || null
+    };
+  });
+
+  const feeAmount = config.treasuryBalance * config.feeReserve;
+  const distributable = config.treasuryBalance - feeAmount;
+  const totalDistributed = distribution.reduce((sum, result) => sum + result.amount, 0);
+
+  return {
+    summary: {
+      totalHolders: holders.length,
+      paidHolders: breakdown.filter(entry => entry.status === 'paid').length,
+      excludedHolders: breakdown.filter(entry => entry.status === 'excluded').length,
+      treasuryBalance: config.treasuryBalance,
+      feeReserve: config.feeReserve,
+      feeAmount,
+      distributable,
+      totalWeight: distribution.reduce((sum, result) => sum + result.weightage.totalWeight, 0),
+      totalDistributed,
+      undistributed: distributable - totalDistributed
+    },
+    holders: breakdown
+  };
+}
+
+/**
+ * Create an audit manifest for a distribution run
+ *
+ * @param {Array} holders - Holder objects (as built by createHolder)
+ * @param {object} config - Settings in the DEFAULT_CONFIG shape
+ * @param {object} options - Optional settings
+ * @param {object|Map|Array} options.clusters - Address -> entity ID map
+ * @param {object} options.policy - Wallet policy (see policy.js)
+ * @param {function} options.now - Clock returning a Date (default: current time)
+ * @returns {object} Manifest
+ */
+function createManifest(holders, config, options = {}) {
+  const now = options.now || (() => new Date());
+  const { name, version } = require('./package.json');
+  const profile = resolveProfile(config.formulaProfile);
+  const clusters = options.clusters ? Object.fromEntries(toClusterMap(options.clusters)) : null;
+
+  const inputs = {
+    holders: holders.map(({ address, tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance, maxBalance }) => ({
+      address, tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance, maxBalance
+    })),
+    config: { ...config, formulaProfile: profileId(profile) },
+    profile,
+    clusters,
+    policy: options.policy ? createPolicy(options.policy) : null
+  };
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generatedAt: now().toISOString(),
+    generator: `${name}@${version}`,
+    inputHash: hashJson(inputs),
+    inputs,
+    formulas: describeProfile(profile),
+    ...computeBreakdown(inputs)
+  };
+}
+
+/**
+ * Recompute a manifest from its inputs and compare
+ *
+ * @param {object} manifest - Manifest from createManifest (or parsed from its JSON)
+ * @returns {object} { ok, hashMatches, amountsMatch, expectedHash, actualHash, mismatches }
+ */
+function verifyManifest(manifest) {
+  const actualHash = hashJson(manifest.inputs);
+  const hashMatches = actualHash === manifest.inputHash;
+
+  const recomputed = computeBreakdown(manifest.inputs);
+  const recorded = new Map(manifest.holders.map(entry => [entry.address, entry]));
+  const mismatches = [];
+
+  recomputed.holders.forEach(entry => {
+    const previous = recorded.get(entry.address);
+    if (!previous) {
+      mismatches.push({ address: entry.address, expected: null, actual: entry.amount });
+    } else if (previous.amount !== entry.amount || previous.status !== entry.status) {
+      mismatches.push({ address: entry.address, expected: previous.amount, actual: entry.amount });
+    }
+    recorded.delete(entry.address);
+  });
+  recorded.forEach(entry => {
+    mismatches.push({ address: entry.address, expected: entry.amount, actual: null });
+  });
+
+  const amountsMatch = mismatches.length === 0 && recomputed.summary.totalDistributed === manifest.summary.totalDistributed;
+
+  return {
+    ok: hashMatches && amountsMatch,
+    hashMatches,
+    amountsMatch,
+    expectedHash: manifest.inputHash,
+    actualHash,
+    mismatches
+  };
+}
+
+/**
+ * Format a number for a report
+ *
+ * @param {number} value - Number
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted number
+ */
+function fixed(value, decimals) {
+  return typeof value === 'number' ? value.toFixed(decimals) : '-';
+}
+
+/**
+ * Rows shared by the Markdown and HTML reports
+ *
+ * @param {object} manifest - Manifest
+ * @returns {object} { settings, holders } - arrays of string cells
+ */
+function reportRows(manifest) {
+  const { config } = manifest.inputs;
+  const { summary } = manifest;
+
+  const settings = [
+    ['Formula profile', config.formulaProfile],
+    ['Treasury', `${fixed(summary.treasuryBalance, 6)} SOL`],
+    ['Fee reserve', `${fixed(summary.feeReserve * 100, 2)}% (${fixed(summary.feeAmount, 6)} SOL)`],
+    ['Distributable', `${fixed(summary.distributable, 6)} SOL`],
+    ['Distributed', `${fixed(summary.totalDistributed, 6)} SOL`],
+    ['Min / max balance', `${config.minBalance} / ${config.maxBalance}`],
+    ['Hours since launch', String(config.hoursSinceLaunch)],
+    ['Holders', `${summary.totalHolders} (${summary.paidHolders} paid, ${summary.excludedHolders} excluded)`],
+    ['Total weight', fixed(summary.totalWeight, 6)],
+    ['Input hash (SHA-256)', manifest.inputHash],
+    ['Generated', manifest.generatedAt]
+  ];
+
+  const holders = manifest.holders.map(entry => [
+    entry.address,
+    String(entry.tokens),
+    String(entry.hoursAfterLaunch),
+    entry.weightage ? fixed(entry.weightage.balanceWeight, 4) : '-',
+    entry.weightage ? fixed(entry.weightage.earlyBonus, 4) : '-',
+    entry.weightage ? fixed(entry.weightage.tenureBonus, 4) : '-',
+    entry.weightage ? fixed(entry.weightage.totalWeight, 4) : '-',
+    entry.status === 'paid' ? `${fixed(entry.share * 100, 4)}%` : '-',
+    fixed(entry.amount, 9),
+    entry.status === 'paid'
+      ? (entry.clamp ? `paid (${entry.clamp.type === 'cap' ? 'capped' : 'raised to floor'})` : 'paid')
+      : `excluded: ${entry.reason}`
+  ]);
+
+  return { settings, holders };
+}
+
+const HOLDER_COLUMNS = ['Address', 'Tokens', 'Hour bought', 'Balance wt', 'Early bonus', 'Tenure bonus', 'Total weight', 'Share', 'Reward (SOL)', 'Status'];
+
+/**
+ * Render a manifest as a Markdown report
+ *
+ * @param {object} manifest - Manifest
+ * @returns {string} Markdown text
+ */
+function renderMarkdown(manifest) {
+  const { settings, holders } = reportRows(manifest);
+  const cell = text => String(text).replace(/\|/g, '\\|');
+  const row = cells => `| ${cells.map(cell).join(' | ')} |`;
+
+  return [
+    '# RewardFlow Distribution Audit',
+    '',
+    '## Run',
+    '',
+    row(['Setting', 'Value']),
+    row(['---', '---']),
+    ...settings.map(row),
+    '',
+    '## Formulas',
+    '',
+    `- Balance weight: \`${manifest.formulas.balance}\``,
+    `- Early bonus: \`${manifest.formulas.earlyness}\``,
+    `- Tenure bonus: \`${manifest.formulas.tenure}\``,
+    '- Total weight: `balance_weight × early_bonus × tenure_bonus`',
+    '- Reward: `(your_weight / total_weights) × (treasury × (1 - fee_reserve))`',
+    '',
+    '## Holders',
+    '',
+    row(HOLDER_COLUMNS),
+    row(HOLDER_COLUMNS.map(() => '---')),
+    ...holders.map(row),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a manifest as a standalone HTML report
+ *
+ * @param {object} manifest - Manifest
+ * @returns {string} HTML document
+ */
+function renderHtml(manifest) {
+  const { settings, holders } = reportRows(manifest);
+  const tableRow = (cells, tag = 'td') => `<tr>${cells.map(text => `<${tag}>${escapeHtml(text)}</${tag}>`).join('')}</tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RewardFlow Distribution Audit</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f3f3f3; }
+  code { background: #f3f3f3; padding: 0 0.2rem; }
+</style>
+</head>
+<body>
+<h1>RewardFlow Distribution Audit</h1>
+<h2>Run</h2>
+<table>
+${tableRow(['Setting', 'Value'], 'th')}
+${settings.map(cells => tableRow(cells)).join('\n')}
+</table>
+<h2>Formulas</h2>
+<ul>
+<li>Balance weight: <code>${escapeHtml(manifest.formulas.balance)}</code></li>
+<li>Early bonus: <code>${escapeHtml(manifest.formulas.earlyness)}</code></li>
+<li>Tenure bonus: <code>${escapeHtml(manifest.formulas.tenure)}</code></li>
+<li>Total weight: <code>balance_weight × early_bonus × tenure_bonus</code></li>
+<li>Reward: <code>(your_weight / total_weights) × (treasury × (1 - fee_reserve))</code></li>
+</ul>
+<h2>Holders</h2>
+<table>
+${tableRow(HOLDER_COLUMNS, 'th')}
+${holders.map(cells => tableRow(cells)).join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  createManifest,
+  verifyManifest,
+  renderMarkdown,
+  renderHtml
+};
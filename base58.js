@@ -0,0 +1,93 @@
+/**
+ * RewardFlow Distribution Algorithm - Base58
+ *
+ * Bitcoin-alphabet base58, the encoding Solana uses for public keys,
+ * blockhashes and signatures.
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const ALPHABET_INDEX = new Map([...ALPHABET].map((char, index) => [char, index]));
+
+/**
+ * Encode bytes as base58
+ *
+ * @param {Uint8Array|Buffer} bytes - Bytes to encode
+ * @returns {string} Base58 string
+ */
+function encodeBase58(bytes) {
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) {
+    zeros++;
+  }
+
+  // Repeated division of the big-endian number by 58, least significant digit first
+  const digits = [];
+  for (let i = zeros; i < bytes.length; i++) {
+    let carry = bytes[i];
+    for (let j = 0; j < digits.length; j++) {
+      carry += digits[j] << 8;
+      digits[j] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+
+  return '1'.repeat(zeros) + digits.reverse().map(digit => ALPHABET[digit]).join('');
+}
+
+/**
+ * Decode a base58 string
+ *
+ * @param {string} text - Base58 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains characters outside the alphabet
+ */
+function decodeBase58(text) {
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') {
+    zeros++;
+  }
+
+  const bytes = [];
+  for (let i = zeros; i < text.length; i++) {
+    let carry = ALPHABET_INDEX.get(text[i]);
+    if (carry === undefined) {
+      throw new Error(`Invalid base58 character "${text[i]}"`);
+    }
+    for (let j = 0; j < bytes.length; j++) {
+      carry += bytes[j] * 58;
+      bytes[j] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+/**
+ * Check whether a string is a valid Solana public key (32 bytes of base58)
+ *
+ * @param {string} address - Address to check
+ * @returns {boolean} True when the address decodes to 32 bytes
+ */
+function isPublicKey(address) {
+  try {
+    return typeof address === 'string' && decodeBase58(address).length === 32;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  encodeBase58,
+  decodeBase58,
+  isPublicKey
+};
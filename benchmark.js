@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * RewardFlow Distribution Algorithm - Benchmark
+ *
+ * Compares the in-memory distribution with the streaming engine on a
+ * synthetic holder snapshot. Each path runs in its own process so the
+ * peak memory (max RSS) of one does not count against the other, and
+ * both print a hash of their results so any difference shows up.
+ *
+ * Usage:
+ *   node benchmark.js [--count 200000] [--preset fair-launch] [--seed 1]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { DEFAULT_CONFIG, getDistributionOptions } = require('./config');
+const { calculateDistribution } = require('./formulas');
+const { createHolder, readHoldersFile, validateHolderRows } = require('./holder-io');
+const { generateHolders } = require('./generator');
+const { streamDistribution } = require('./streaming');
+const { parseArgs } = require('./cli');
+
+/**
+ * Hash every payout in output order
+ *
+ * @returns {object} { add(result), digest() }
+ */
+function createResultHash() {
+  const hash = crypto.createHash('sha256');
+  return {
+    add(result) {
+      hash.update(`${result.address},${result.amount}\n`);
+    },
+    digest() {
+      return hash.digest('hex');
+    }
+  };
+}
+
+/**
+ * Run one path in this process and print its measurements as JSON
+ *
+ * @param {string} mode - 'memory' or 'stream'
+ * @param {string} file - Holder CSV file
+ */
+async function measure(mode, file) {
+  const started = process.hrtime.bigint();
+  const results = createResultHash();
+  let paidHolders;
+
+  if (mode === 'memory') {
+    const { rows } = readHoldersFile(file);
+    const holders = validateHolderRows(rows, DEFAULT_CONFIG).valid.map(row => createHolder(row, DEFAULT_CONFIG));
+    const distribution = calculateDistribution(holders, DEFAULT_CONFIG.treasuryBalance, DEFAULT_CONFIG.feeReserve, getDistributionOptions(DEFAULT_CONFIG));
+    distribution.forEach(result => results.add(result));
+    paidHolders = distribution.length;
+  } else {
+    ({ paidHolders } = await streamDistribution(file, DEFAULT_CONFIG, { onResult: result => results.add(result) }));
+  }
+
+  process.stdout.write(JSON.stringify({
+    mode,
+    paidHolders,
+    milliseconds: Number(process.hrtime.bigint() - started) / 1e6,
+    maxRssMb: process.resourceUsage().maxRSS / 1024,
+    resultHash: results.digest()
+  }));
+}
+
+/**
+ * Generate the snapshot, run both paths and print a comparison
+ *
+ * @param {object} options - Parsed options
+ */
+function compare(options) {
+  const count = Number(options.count || 200000);
+  const preset = options.preset || 'fair-launch';
+  const seed = options.seed || 1;
+  const file = path.join(os.tmpdir(), `rewardflow-bench-${process.pid}.csv`);
+
+  console.log(`📦 Generating ${count.toLocaleString()} holders (${preset}, seed ${seed})...`);
+  const rows = generateHolders({ count, preset, seed, hoursSinceLaunch: DEFAULT_CONFIG.hoursSinceLaunch });
+  fs.writeFileSync(file, ['address,tokens,hoursAfterLaunch', ...rows.map(row => `${row.address},${row.tokens},${row.hoursAfterLaunch}`)].join('\n') + '\n');
+
+  try {
+    const runs = ['memory', 'stream'].map(mode => {
+      console.log(`⏱️  Running ${mode} path...`);
+      return JSON.parse(execFileSync(process.execPath, [__filename, '--mode', mode, '--file', file], { encoding: 'utf8' }));
+    });
+
+    console.log('\n' + 'Path'.padEnd(10) + 'Paid'.padStart(12) + 'Time (ms)'.padStart(12) + 'Max RSS (MB)'.padStart(15));
+    console.log('-'.repeat(49));
+    runs.forEach(run => {
+      console.log(run.mode.padEnd(10) + String(run.paidHolders).padStart(12) + run.milliseconds.toFixed(0).padStart(12) + run.maxRssMb.toFixed(1).padStart(15));
+    });
+
+    const same = runs[0].resultHash === runs[1].resultHash;
+    console.log(same ? '\n✅ Both paths produced identical payouts' : '\n❌ The paths produced different payouts');
+    process.exitCode = same ? 0 : 1;
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+const { options } = parseArgs(['bench', ...process.argv.slice(2)]);
+if (options.mode) {
+  measure(options.mode, options.file).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+} else {
+  compare(options);
+}
@@ -0,0 +1,1407 @@
+#!/usr/bin/env node
+
+/**
+ * RewardFlow Distribution Algorithm - Command Line Interface
+ *
+ * Non-interactive entry point for batch runs (cron jobs, pipelines).
+ * Every command prints machine-readable output and exits with one of
+ * the EXIT_CODES below.
+ *
+ * Usage:
+ *   rewardflow distribute --holders holders.csv --treasury 10 --out result.json
+ *   rewardflow distribute --holders holders.csv --assets assets.json --prices prices.json --format csv
+ *   rewardflow distribute --holders snapshot.ndjson --stream --format csv --out result.csv
+ *   rewardflow distribute --holders holders.csv --policy policy.json
+ *   rewardflow validate --holders holders.csv
+ *   rewardflow stats --holders holders.json
+ *   rewardflow sybil --holders holders.csv
+ *   rewardflow project --holders holders.csv --address <wallet> --tokens-delta 50000 --extra-hours 72 --token-price 0.000002
+ *   rewardflow simulate --events events.json --every 6 --until 72 --treasury 1
+ *   rewardflow audit --holders holders.csv --format html --out audit.html
+ *   rewardflow verify --manifest audit.json
+ *   rewardflow diff --before last-audit.json --holders holders.csv --fail-above 0.5
+ *   rewardflow merkle --holders holders.csv --out claims.json
+ *   rewardflow payouts --holders holders.csv --payer <treasury address> --dry-run
+ *   rewardflow generate --preset whale-heavy --count 10000 --seed 42 --out holders.csv
+ *   rewardflow ingest --accounts accounts.json --history history.json --launch-slot 250000000 --snapshot-slot 250432000 --out holders.csv
+ *   rewardflow sweep --holders holders.csv --param minBalance=100:1000:100 --param earlyness.amplitude=1,2,3
+ *   rewardflow run --holders holders.csv --treasury-file treasury.json --ledger ledger.jsonl --every 6
+ *   rewardflow ledger --ledger ledger.jsonl
+ *   rewardflow serve --port 3000
+ *   rewardflow interactive
+ */
+
+const fs = require('fs');
+const { calculateDistribution, calculateLamportDistribution, getDistributionStats } = require('./formulas');
+const { resolveProfile, listProfiles, describeProfile, profileId } = require('./profiles');
+const { DEFAULT_CONFIG, getDistributionOptions } = require('./config');
+const { createHolder, describeRowLocation, readHoldersFile, readHoldersSettings, validateHolderRows, writeHoldersFile } = require('./holder-io');
+const { simulateDistributions, simulationToCsv } = require('./simulator');
+const { analyzeSplitting } = require('./sybil');
+const { buildPayoutPlan, executePayoutPlan } = require('./payouts');
+const { createMockRpc } = require('./mock-rpc');
+const { createManifest, verifyManifest, renderMarkdown, renderHtml } = require('./audit');
+const { buildMerkleDistribution } = require('./merkle');
+const { generateHolders, listPresets } = require('./generator');
+const { calculateAssetDistribution, assetDistributionToCsv, readAssetsFile, readPricesFile } = require('./assets');
+const { assertStreamable, scanHolders, writePayouts } = require('./streaming');
+const { parseParameterSpec, sweepParameters, sweepToCsv, sensitivitiesToCsv } = require('./sweep');
+const { applyPolicy, readPolicyFile } = require('./policy');
+const { createFileRpc, createJsonRpc, fetchHolderSnapshot } = require('./ingest');
+const { projectReward } = require('./projection');
+const { diffDistributions } = require('./diff');
+const { DEFAULT_LEDGER_FILE, LedgerLockedError, createFileSource, readLedger, summarizeLedger, runDistribution, scheduleRuns } = require('./runner');
+const { validateConfig } = require('./validation');
+const { ConfigError } = require('./errors');
+const { toJson } = require('./json');
+
+const EXIT_CODES = {
+  OK: 0,              // Command succeeded
+  ERROR: 1,           // Unexpected failure (unreadable file, bad JSON, ...)
+  USAGE: 2,           // Unknown command or bad option
+  INVALID_INPUT: 3,   // Holder file contains rejected rows, or some rewards cannot be paid
+  VERIFY_FAILED: 4,   // Audit manifest does not match its recomputation
+  DIFF_EXCEEDED: 5,   // diff found a reward change larger than --fail-above
+  LOCKED: 6           // Another run holds the ledger lock
+};
+
+const USAGE = `Usage: rewardflow <command> [options]
+
+Commands:
+  distribute    Calculate the distribution and print the results
+  validate      Check a holder file without running a distribution
+  stats         Print distribution statistics
+  sybil         Report how much each holder gains by splitting into several wallets
+  project       Project one holder's reward if they buy or sell tokens or hold longer
+  simulate      Replay buy/sell/transfer events and distribute every epoch
+  profiles      List the registered formula profiles
+  audit         Write an audit manifest (JSON) or report (Markdown / HTML) for a distribution
+  verify        Recompute an audit manifest and check its hash and amounts
+  diff          Compare two distributions: who gained or lost, and why
+  merkle        Write a Merkle claim file (root, amounts and proofs) for pull-based claims
+  payouts       Build unsigned transfer transactions for a lamport-exact distribution
+  generate      Write a synthetic holder set (seeded) for load and scenario testing
+  ingest        Build a holder file from SPL token accounts and their first acquisitions
+  sweep         Run the distribution over a grid of settings and formula constants
+  run           Distribute new treasury income and record it in the ledger, once or on an interval
+  ledger        Print the ledger totals and every wallet's lifetime earnings
+  serve         Start the local HTTP API
+  interactive   Start the interactive demo menu
+  help          Show this message
+
+Options:
+  --holders <file>            Holder list (.csv or .json); settings stored in the file are
+                              used where no option below is given
+  --treasury <sol>            Treasury balance in SOL, per epoch for simulate (default ${DEFAULT_CONFIG.treasuryBalance})
+  --min <tokens>              Minimum balance to qualify (default ${DEFAULT_CONFIG.minBalance})
+  --max <tokens>              Maximum balance to qualify (default ${DEFAULT_CONFIG.maxBalance})
+  --fee <percent>             Fee reserve percentage 0-50 (default ${DEFAULT_CONFIG.feeReserve * 100})
+  --hours-since-launch <h>    Hours since token launch (default ${DEFAULT_CONFIG.hoursSinceLaunch})
+  --max-share <percent>       Max share of the pool per wallet (default no cap)
+  --min-payout <sol>          Min payout per qualified wallet (default no floor)
+  --profile <name|file.json>  Formula profile name[@version] or profile file (default ${DEFAULT_CONFIG.formulaProfile})
+  --lamports                  Use lamport-exact payouts (distribute only)
+  --assets <file.json>        Multi-asset treasury: [{ symbol, decimals, amount, feeReserve?,
+                              formulaProfile?, mint? }] (distribute only, replaces --treasury)
+  --prices <file.json>        USD price per asset symbol, adds USD values (with --assets)
+  --stream                    Read the holder file (.csv, .ndjson or .jsonl) in two passes with flat
+                              memory and write results as they are computed (distribute only,
+                              ndjson or csv; no caps, floors or clusters)
+  --clusters <file.json>      Address -> entity ID map; linked wallets are weighted as one
+  --policy <file.json>        Wallet policy: { deny, allowlistOnly, allow, labels, excludeLabels };
+                              excluded wallets are never rewarded (distribute, stats, project,
+                              audit, merkle and payouts)
+  --events <file.json>        Timeline events for simulate
+  --every <hours>             Epoch interval for simulate; run interval for run (default: run once)
+  --until <hour>              Last epoch hour for simulate
+  --epochs <h1,h2,...>        Explicit epoch hours for simulate (instead of --every/--until)
+  --format <json|csv>         Output format for distribute, simulate and sweep (default json);
+                              json, md or html for audit
+  --manifest <file.json>      Audit manifest to check (verify only)
+  --before <file.json>        First run for diff: an audit manifest or distribute JSON output
+                              (default: computed from --before-holders / --before-config)
+  --after <file.json>         Second run for diff, like --before
+  --before-holders <file>     Holder list of the first run (diff, default --holders)
+  --after-holders <file>      Holder list of the second run (diff, default --holders)
+  --before-config <file>      Settings of the first run, over the command line ones (diff)
+  --after-config <file>       Settings of the second run, over the command line ones (diff)
+  --fail-above <sol>          Exit with 5 when a holder's reward changes by more (diff)
+  --out <file>                Write output to a file instead of stdout
+  --payer <address>           Treasury address paying out (payouts only)
+  --compute-unit-price <n>    Priority fee in micro-lamports per compute unit (default 0)
+  --max-per-tx <n>            Most transfers per transaction (default as many as fit)
+  --dry-run                   Execute the payout plan against an in-memory ledger
+  --preset <name>             Synthetic population for generate: ${listPresets().map(preset => preset.name).join(', ')}
+                              (default fair-launch)
+  --count <n>                 Number of synthetic holders (generate only)
+  --seed <seed>               Generator seed; the same seed gives the same holders (default 1)
+  --accounts <file.json>      Token account dump (getProgramAccounts result) for ingest
+  --history <file.json>       First acquisitions [{ account | owner, slot, blockTime }] for ingest
+  --rpc <url>                 Fetch token accounts and acquisitions from a Solana RPC instead (ingest)
+  --mint <address>            Token mint to ingest (required with --rpc)
+  --decimals <n>              Mint decimals (default: from the parsed accounts)
+  --launch-slot <slot>        Launch slot; hoursAfterLaunch is measured from it (ingest)
+  --launch-time <time>        Launch time, Unix seconds or ISO date (ingest; run sets
+                              hoursSinceLaunch from it at every run)
+  --snapshot-slot <slot>      Snapshot slot, sets hoursSinceLaunch (ingest)
+  --snapshot-time <time>      Snapshot time (ingest, default now when --launch-time is given)
+  --slot-seconds <s>          Seconds per slot when converting slots to hours (default 0.4)
+  --param <name=values>       Swept parameter, repeatable: name=a,b,c or name=from:to:step.
+                              Settings use their stored units (feeReserve 0.05 = 5%);
+                              formula constants are component.param (earlyness.amplitude)
+  --sensitivities <file>      Also write per-holder sensitivities as CSV (sweep only)
+  --ledger <file.jsonl>       Run ledger for run and ledger (default ${DEFAULT_LEDGER_FILE})
+  --received <sol>            Lifetime treasury income so far (run)
+  --treasury-file <file>      File with { "received": <sol> }, read again on every run
+  --runs <n>                  Stop after n runs (run with --every)
+  --address <wallet>          Holder to project (project only)
+  --tokens-delta <n>          Tokens the holder buys, or sells when negative (project)
+  --extra-hours <h>           Hours the holder keeps holding before the distribution (project)
+  --at-hour <h>               Hours since launch of the projected distribution
+                              (project, default --hours-since-launch)
+  --token-price <sol>         SOL per token, adds the break-even balance (project)
+  --workspace <file.json>     Session file the interactive demo restores and autosaves
+                              (default rewardflow-workspace.json)
+  --no-workspace              Start the interactive demo without restoring or saving a session
+  --port <port>               Port for serve (default 3000)
+  --host <host>               Host for serve (default 127.0.0.1)
+
+Exit codes:
+  0 success, 1 error (or failed dry run), 2 usage error (or an option the command
+  does not take), 3 invalid holder rows (or merkle / payouts skipped rewards),
+  4 audit manifest does not verify, 5 diff change above --fail-above,
+  6 another run holds the ledger lock`;
+
+/**
+ * Error raised for bad command line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse command line arguments
+ *
+ * Supports `--name value`, `--name=value` and bare `--flag` options.
+ * An option given more than once collects its values into an array.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {object} { command, options, positionals }
+ */
+function parseArgs(argv) {
+  const [command = 'help', ...rest] = argv;
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    let value;
+    if (inlineValue !== undefined) {
+      value = inlineValue;
+    } else if (i + 1 < rest.length && !rest[i + 1].startsWith('--')) {
+      value = rest[++i];
+    } else {
+      value = true;
+    }
+
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+  }
+
+  return { command, options, positionals };
+}
+
+/**
+ * Read a numeric option, falling back to a default
+ *
+ * @param {object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} fallback - Default value
+ * @returns {number} Option value
+ */
+function numberOption(options, name, fallback) {
+  if (options[name] === undefined) {
+    return fallback;
+  }
+
+  const value = Number(options[name]);
+  if (options[name] === true || !Number.isFinite(value)) {
+    throw new UsageError(`--${name} must be a number`);
+  }
+  return value;
+}
+
+/**
+ * Resolve the --profile option
+ *
+ * Values ending in .json are read as a profile definition file,
+ * anything else is looked up in the profile registry.
+ *
+ * @param {object} options - Parsed options
+ * @param {string|object} fallback - Profile when --profile is not given
+ * @returns {string|object} Profile reference for calculateDistribution
+ */
+function profileOption(options, fallback = DEFAULT_CONFIG.formulaProfile) {
+  const value = options.profile === undefined ? fallback : options.profile;
+  if (value === true) {
+    throw new UsageError('--profile needs a profile name or .json file');
+  }
+
+  const profile = typeof value === 'string' && value.toLowerCase().endsWith('.json')
+    ? JSON.parse(fs.readFileSync(value, 'utf8'))
+    : value;
+
+  try {
+    resolveProfile(profile);
+  } catch (error) {
+    throw new UsageError(`--profile: ${error.message}`);
+  }
+  return profile;
+}
+
+/**
+ * Read the settings stored in the --holders file
+ *
+ * @param {object} options - Parsed options
+ * @returns {object|null} Settings, or null when there is no file or it has none
+ */
+function holderFileSettings(options) {
+  if (typeof options.holders !== 'string') {
+    return null;
+  }
+
+  const settings = readHoldersSettings(options.holders);
+  const errors = settings ? validateConfig({ ...DEFAULT_CONFIG, ...settings }) : [];
+  if (errors.length > 0) {
+    throw new UsageError(`${options.holders} settings: ${errors.map(error => error.message).join('; ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Build the distribution settings from command line options
+ *
+ * Settings stored in the --holders file (as written by export, generate
+ * or ingest) replace the defaults; options given on the command line
+ * replace both.
+ *
+ * @param {object} options - Parsed options
+ * @returns {object} Settings in the same shape as the demo's config
+ */
+function buildConfig(options) {
+  const base = { ...DEFAULT_CONFIG, ...holderFileSettings(options) };
+  const config = {
+    minBalance: numberOption(options, 'min', base.minBalance),
+    maxBalance: numberOption(options, 'max', base.maxBalance),
+    treasuryBalance: numberOption(options, 'treasury', base.treasuryBalance),
+    feeReserve: numberOption(options, 'fee', base.feeReserve * 100) / 100,
+    hoursSinceLaunch: numberOption(options, 'hours-since-launch', base.hoursSinceLaunch),
+    formulaProfile: profileOption(options, base.formulaProfile),
+    maxWalletShare: numberOption(options, 'max-share', base.maxWalletShare * 100) / 100,
+    minWalletPayout: numberOption(options, 'min-payout', base.minWalletPayout)
+  };
+
+  if (config.feeReserve < 0 || config.feeReserve > 0.5) {
+    throw new UsageError('--fee must be between 0 and 50');
+  }
+  if (config.maxWalletShare < 0 || config.maxWalletShare > 1) {
+    throw new UsageError('--max-share must be between 0 and 100');
+  }
+  if (config.minWalletPayout < 0) {
+    throw new UsageError('--min-payout must be 0 or more');
+  }
+  if (config.maxBalance < config.minBalance) {
+    throw new UsageError('--max must be greater than or equal to --min');
+  }
+
+  return config;
+}
+
+/**
+ * Read the --holders file and validate every row
+ *
+ * @param {object} options - Parsed options
+ * @param {object} config - Distribution settings
+ * @returns {object} { file, rows, valid, rejected }
+ */
+function loadHolderRows(options, config) {
+  const file = options.holders;
+  if (typeof file !== 'string') {
+    throw new UsageError('--holders <file> is required');
+  }
+
+  const { rows } = readHoldersFile(file);
+  return { file, rows, ...validateHolderRows(rows, config) };
+}
+
+/**
+ * Describe rejected rows in machine-readable form
+ *
+ * @param {Array} rejected - Rejected rows from validateHolderRows
+ * @returns {Array} Plain objects with location, address and errors
+ */
+function describeRejected(rejected) {
+  return rejected.map(({ row, errors }) => ({
+    location: describeRowLocation(row),
+    address: row.address === undefined ? null : row.address,
+    errors
+  }));
+}
+
+/**
+ * Load holders for commands that need a clean holder list
+ *
+ * Writes the rejected rows to stderr when there are any.
+ *
+ * @param {object} options - Parsed options
+ * @param {object} config - Distribution settings
+ * @returns {Array|null} Holder objects, or null when rows were rejected
+ */
+function loadHolders(options, config) {
+  const { file, valid, rejected } = loadHolderRows(options, config);
+
+  if (rejected.length > 0) {
+    describeRejected(rejected).forEach(({ location, errors }) => {
+      process.stderr.write(`${file} ${location}: ${errors.join('; ')}\n`);
+    });
+    return null;
+  }
+
+  return valid.map(row => createHolder(row, config));
+}
+
+/**
+ * Read the --clusters file
+ *
+ * @param {object} options - Parsed options
+ * @returns {object|null} Address -> entity ID map, or null when not given
+ */
+function clustersOption(options) {
+  if (options.clusters === undefined) {
+    return null;
+  }
+  if (options.clusters === true) {
+    throw new UsageError('--clusters needs a .json file');
+  }
+  return JSON.parse(fs.readFileSync(options.clusters, 'utf8'));
+}
+
+/**
+ * Read the --policy file
+ *
+ * @param {object} options - Parsed options
+ * @returns {object|null} Wallet policy, or null when not given
+ */
+function policyOption(options) {
+  if (options.policy === undefined) {
+    return null;
+  }
+  if (options.policy === true) {
+    throw new UsageError('--policy needs a .json file');
+  }
+  try {
+    return readPolicyFile(options.policy);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      throw new UsageError(`--policy: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build calculateDistribution options from settings and command line options
+ *
+ * @param {object} config - Distribution settings
+ * @param {object} options - Parsed options
+ * @returns {object} Options for calculateDistribution
+ */
+function distributionOptions(config, options) {
+  return { ...getDistributionOptions(config), clusters: clustersOption(options), policy: policyOption(options) };
+}
+
+/**
+ * Write command output to --out or stdout
+ *
+ * @param {object} options - Parsed options
+ * @param {string} text - Output text
+ */
+function writeOutput(options, text) {
+  if (typeof options.out === 'string') {
+    fs.writeFileSync(options.out, text + '\n');
+  } else {
+    process.stdout.write(text + '\n');
+  }
+}
+
+/**
+ * Convert distribution results to CSV
+ *
+ * @param {Array} distribution - Distribution results
+ * @returns {string} CSV text with a header row
+ */
+function distributionToCsv(distribution) {
+  const hasLamports = distribution.some(result => result.lamports !== undefined);
+  const hasClamps = distribution.some(result => result.clamp);
+  const header = ['address', 'tokens', 'weight', 'share', 'amount'];
+  if (hasLamports) {
+    header.push('lamports');
+  }
+  if (hasClamps) {
+    header.push('clamp');
+  }
+
+  const lines = distribution.map(result => {
+    const cells = [result.address, result.tokens, result.weightage.totalWeight, result.share, result.amount];
+    if (hasLamports) {
+      cells.push(result.lamports.toString());
+    }
+    if (hasClamps) {
+      cells.push(result.clamp ? result.clamp.type : '');
+    }
+    return cells.join(',');
+  });
+
+  return [header.join(','), ...lines].join('\n');
+}
+
+/**
+ * distribute - calculate and print the distribution
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runDistribute(options) {
+  if (options.stream) {
+    return runStreamDistribute(options);
+  }
+  if (options.assets !== undefined) {
+    return runAssetDistribute(options);
+  }
+
+  const config = buildConfig(options);
+  const format = options.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new UsageError('--format must be json or csv');
+  }
+
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const calculationOptions = distributionOptions(config, options);
+  let output;
+  if (options.lamports) {
+    output = {
+      config,
+      ...calculateLamportDistribution(holders, config.treasuryBalance, config.feeReserve, calculationOptions)
+    };
+  } else {
+    const profile = resolveProfile(config.formulaProfile);
+    const distribution = calculateDistribution(holders, config.treasuryBalance, config.feeReserve, { ...calculationOptions, profile });
+    output = {
+      config,
+      profile: { name: profile.name, version: profile.version },
+      feeAmount: config.treasuryBalance * config.feeReserve,
+      totalDistributed: distribution.reduce((sum, result) => sum + result.amount, 0),
+      distribution
+    };
+  }
+
+  output.totalHolders = holders.length;
+  if (calculationOptions.policy) {
+    output.policyExclusions = applyPolicy(holders, calculationOptions.policy).excluded;
+  }
+  writeOutput(options, format === 'csv' ? distributionToCsv(output.distribution) : toJson(output));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * distribute --assets - distribute every asset of a multi-asset treasury
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runAssetDistribute(options) {
+  const config = buildConfig(options);
+  const format = options.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new UsageError('--format must be json or csv');
+  }
+  if (typeof options.assets !== 'string') {
+    throw new UsageError('--assets needs a .json file');
+  }
+  if (options.prices === true) {
+    throw new UsageError('--prices needs a .json file');
+  }
+
+  const assets = readAssetsFile(options.assets);
+  const prices = options.prices === undefined ? null : readPricesFile(options.prices);
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  let report;
+  try {
+    report = calculateAssetDistribution(holders, assets, config, { prices, clusters: clustersOption(options), policy: policyOption(options) });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      throw new UsageError(`--assets: ${error.message}`);
+    }
+    throw error;
+  }
+
+  writeOutput(options, format === 'csv' ? assetDistributionToCsv(report) : toJson({ config, ...report, totalHolders: holders.length }));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * distribute --stream - two-pass distribution over a large holder file
+ *
+ * Rejected rows are reported after the first pass, before any output
+ * is written. The totals go to stderr so stdout holds only results.
+ *
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function runStreamDistribute(options) {
+  const config = buildConfig(options);
+  const format = options.format || 'ndjson';
+  if (format !== 'ndjson' && format !== 'csv') {
+    throw new UsageError('--format must be ndjson or csv with --stream');
+  }
+  if (options.lamports || options.assets !== undefined) {
+    throw new UsageError('--lamports and --assets cannot be combined with --stream');
+  }
+  if (typeof options.holders !== 'string') {
+    throw new UsageError('--holders <file> is required');
+  }
+
+  const streamOptions = { clusters: clustersOption(options) };
+  try {
+    assertStreamable(config, streamOptions);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const policy = policyOption(options);
+  const totals = await scanHolders(options.holders, config, {
+    policy,
+    onRejected: (row, errors) => process.stderr.write(`${options.holders} ${describeRowLocation(row)}: ${errors.join('; ')}\n`)
+  });
+  if (totals.rejectedRows > 0) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const output = typeof options.out === 'string' ? fs.createWriteStream(options.out) : process.stdout;
+  const payouts = await writePayouts(options.holders, config, totals, { output, format, policy });
+  if (output !== process.stdout) {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+
+  process.stderr.write(toJson({ ...totals, ...payouts }) + '\n');
+  return EXIT_CODES.OK;
+}
+
+/**
+ * validate - check a holder file and report rejected rows
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runValidate(options) {
+  const config = buildConfig(options);
+  const { file, rows, valid, rejected } = loadHolderRows(options, config);
+
+  writeOutput(options, toJson({
+    file,
+    totalRows: rows.length,
+    validRows: valid.length,
+    rejectedRows: rejected.length,
+    rejected: describeRejected(rejected)
+  }));
+
+  return rejected.length > 0 ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.OK;
+}
+
+/**
+ * stats - print distribution statistics
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runStats(options) {
+  const config = buildConfig(options);
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const distribution = calculateDistribution(holders, config.treasuryBalance, config.feeReserve, distributionOptions(config, options));
+  writeOutput(options, toJson({ config, ...getDistributionStats(holders, distribution) }));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * sybil - report the wallet-splitting gain for every holder
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runSybil(options) {
+  const config = buildConfig(options);
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const analysis = analyzeSplitting(holders, config.treasuryBalance, config.feeReserve, { profile: config.formulaProfile });
+  writeOutput(options, toJson({ config, ...analysis }));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * project - project one holder's reward under a hypothetical change
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runProject(options) {
+  const config = buildConfig(options);
+  if (typeof options.address !== 'string') {
+    throw new UsageError('--address <wallet> is required');
+  }
+
+  const scenario = {};
+  [['tokensDelta', 'tokens-delta'], ['extraHours', 'extra-hours'], ['hoursSinceLaunch', 'at-hour'], ['tokenPrice', 'token-price']]
+    .forEach(([field, name]) => {
+      if (options[name] !== undefined) {
+        scenario[field] = numberOption(options, name);
+      }
+    });
+
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const projectionOptions = { clusters: clustersOption(options), policy: policyOption(options) };
+  let projection;
+  try {
+    projection = projectReward(holders, options.address, scenario, config, projectionOptions);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      throw new UsageError(error.errors.map(({ message }) => message).join('; '));
+    }
+    throw error;
+  }
+
+  writeOutput(options, toJson({ config, ...projection }));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * simulate - replay a timeline of events over several epochs
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runSimulate(options) {
+  const config = buildConfig(options);
+  const format = options.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new UsageError('--format must be json or csv');
+  }
+  if (typeof options.events !== 'string') {
+    throw new UsageError('--events <file.json> is required');
+  }
+
+  let epochs;
+  if (typeof options.epochs === 'string') {
+    epochs = options.epochs.split(',').map(Number);
+    if (epochs.some(hour => !Number.isFinite(hour))) {
+      throw new UsageError('--epochs must be a comma-separated list of hours');
+    }
+  } else {
+    epochs = {
+      everyHours: numberOption(options, 'every', 0),
+      untilHour: numberOption(options, 'until', config.hoursSinceLaunch)
+    };
+    if (!(epochs.everyHours > 0)) {
+      throw new UsageError('--every <hours> or --epochs <h1,h2,...> is required');
+    }
+  }
+
+  const data = JSON.parse(fs.readFileSync(options.events, 'utf8'));
+  const events = Array.isArray(data) ? data : data.events;
+  if (!Array.isArray(events)) {
+    throw new Error('Events file must be an array or an object with an "events" array');
+  }
+
+  const report = simulateDistributions({ events, epochs, treasuryPerEpoch: config.treasuryBalance, config });
+  writeOutput(options, format === 'csv' ? simulationToCsv(report) : toJson({ config, ...report }));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * profiles - list the registered formula profiles
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runProfiles(options) {
+  const profiles = listProfiles().map(({ name, version, description }) => {
+    const profile = resolveProfile(`${name}@${version}`);
+    return {
+      id: profileId(profile),
+      name,
+      version,
+      description,
+      formulas: describeProfile(profile),
+      definition: profile
+    };
+  });
+
+  writeOutput(options, toJson(profiles));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * audit - write the audit manifest or a rendered report
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runAudit(options) {
+  const config = buildConfig(options);
+  const format = options.format || 'json';
+  const renderers = { json: toJson, md: renderMarkdown, html: renderHtml };
+  if (!renderers[format]) {
+    throw new UsageError('--format must be json, md or html');
+  }
+
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const manifest = createManifest(holders, config, { clusters: clustersOption(options), policy: policyOption(options) });
+  writeOutput(options, renderers[format](manifest));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * verify - recompute an audit manifest
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runVerify(options) {
+  if (typeof options.manifest !== 'string') {
+    throw new UsageError('--manifest <file.json> is required');
+  }
+
+  const result = verifyManifest(JSON.parse(fs.readFileSync(options.manifest, 'utf8')));
+  writeOutput(options, toJson(result));
+  return result.ok ? EXIT_CODES.OK : EXIT_CODES.VERIFY_FAILED;
+}
+
+/**
+ * Read one side of a diff
+ *
+ * A result file (--before / --after) is used as it is; otherwise the run
+ * is computed as an audit manifest from --<side>-holders (or --holders)
+ * and the settings, with --<side>-config applied over them.
+ *
+ * @param {object} options - Parsed options
+ * @param {string} side - 'before' or 'after'
+ * @returns {object|null} Manifest or distribution output, or null when holder rows were rejected
+ */
+function diffSide(options, side) {
+  if (options[side] !== undefined) {
+    if (options[side] === true) {
+      throw new UsageError(`--${side} needs a .json file`);
+    }
+    return JSON.parse(fs.readFileSync(options[side], 'utf8'));
+  }
+
+  const sideOptions = { ...options, holders: options[`${side}-holders`] || options.holders };
+  let sideConfig = buildConfig(sideOptions);
+  const configFile = options[`${side}-config`];
+  if (configFile !== undefined) {
+    if (configFile === true) {
+      throw new UsageError(`--${side}-config needs a .json file`);
+    }
+    const data = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    sideConfig = { ...sideConfig, ...(data && data.config ? data.config : data) };
+    const errors = validateConfig(sideConfig);
+    if (errors.length > 0) {
+      throw new UsageError(`--${side}-config: ${errors.map(error => error.message).join('; ')}`);
+    }
+  }
+
+  const holders = loadHolders(sideOptions, sideConfig);
+  return holders && createManifest(holders, sideConfig, { clusters: clustersOption(options), policy: policyOption(options) });
+}
+
+/**
+ * diff - compare two distributions holder by holder
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runDiff(options) {
+  const failAbove = numberOption(options, 'fail-above', Infinity);
+
+  const before = diffSide(options, 'before');
+  const after = diffSide(options, 'after');
+  if (!before || !after) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const diff = diffDistributions(before, after);
+  writeOutput(options, toJson(diff));
+  return diff.summary.largestChange > failAbove ? EXIT_CODES.DIFF_EXCEEDED : EXIT_CODES.OK;
+}
+
+/**
+ * merkle - write the Merkle claim file for a lamport-exact distribution
+ *
+ * Rewards that cannot be claimed (invalid addresses) are listed on
+ * stderr and fail the command after the file is written, since those
+ * lamports would stay locked in the distributor.
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runMerkle(options) {
+  const config = buildConfig(options);
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const { distribution } = calculateLamportDistribution(holders, config.treasuryBalance, config.feeReserve, distributionOptions(config, options));
+  const claims = buildMerkleDistribution(distribution);
+  claims.skipped.forEach(({ address, reason }) => {
+    process.stderr.write(`Skipped ${address}: ${reason}\n`);
+  });
+
+  writeOutput(options, toJson(claims));
+  return claims.skipped.length > 0 ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.OK;
+}
+
+/**
+ * payouts - build the transfer plan for a lamport-exact distribution
+ *
+ * With --dry-run the plan is executed against an in-memory ledger where
+ * the payer holds exactly the treasury balance, and the post-payout
+ * balances are checked. A plan whose network fees exceed the fee
+ * reserve is refused, as the payouts would overdraw the treasury. Payouts the plan has to skip are listed on
+ * stderr and fail the command, as those holders would go unpaid.
+ *
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function runPayouts(options) {
+  const config = buildConfig(options);
+  if (typeof options.payer !== 'string') {
+    throw new UsageError('--payer <address> is required');
+  }
+
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  const distribution = calculateLamportDistribution(holders, config.treasuryBalance, config.feeReserve, distributionOptions(config, options));
+  let plan;
+  try {
+    plan = buildPayoutPlan(distribution.distribution, {
+      payer: options.payer,
+      computeUnitPrice: numberOption(options, 'compute-unit-price', 0),
+      maxTransfersPerTransaction: numberOption(options, 'max-per-tx', Infinity),
+      feeBudgetLamports: distribution.feeLamports
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  plan.skipped.forEach(({ address, reason }) => {
+    process.stderr.write(`Skipped ${address}: ${reason}\n`);
+  });
+
+  const output = { config, plan };
+  if (options['dry-run']) {
+    const rpc = createMockRpc({ balances: { [options.payer]: distribution.totalLamports } });
+    output.dryRun = await executePayoutPlan(plan, rpc);
+  }
+
+  writeOutput(options, toJson(output));
+  const failed = output.dryRun && (output.dryRun.status !== 'complete' || !output.dryRun.balanceCheck.ok);
+  if (failed) {
+    return EXIT_CODES.ERROR;
+  }
+  return plan.skipped.length > 0 ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.OK;
+}
+
+/**
+ * serve - start the HTTP API and keep running until interrupted
+ *
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code once the server is closed
+ */
+function runServe(options) {
+  const port = numberOption(options, 'port', 3000);
+  const host = options.host || '127.0.0.1';
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new UsageError('--port must be an integer between 0 and 65535');
+  }
+
+  const server = require('./server').createServer();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      process.stderr.write(`RewardFlow API listening on http://${address.address}:${address.port}\n`);
+    });
+
+    const stop = () => server.close(() => resolve(EXIT_CODES.OK));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+/**
+ * generate - write a synthetic holder set
+ *
+ * Files are written with the settings like the demo's export; without
+ * --out the holders are printed as JSON.
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runGenerate(options) {
+  const config = buildConfig(options);
+  const count = numberOption(options, 'count', NaN);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new UsageError('--count <n> is required and must be a whole number');
+  }
+  if (options.seed === true) {
+    throw new UsageError('--seed needs a value');
+  }
+
+  let rows;
+  try {
+    rows = generateHolders({
+      count,
+      seed: options.seed === undefined ? 1 : options.seed,
+      preset: options.preset === undefined ? 'fair-launch' : options.preset,
+      hoursSinceLaunch: config.hoursSinceLaunch
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (typeof options.out === 'string') {
+    writeHoldersFile(options.out, rows, config);
+  } else {
+    writeOutput(options, toJson({ config, holders: rows }));
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Read a --*-slot / --*-time pair
+ *
+ * @param {object} options - Parsed options
+ * @param {string} name - 'launch' or 'snapshot'
+ * @returns {object|null} { slot, blockTime }, or null when neither is given
+ */
+function pointOption(options, name) {
+  const slot = numberOption(options, `${name}-slot`, null);
+  const time = options[`${name}-time`];
+  if (time === true) {
+    throw new UsageError(`--${name}-time needs a value`);
+  }
+  if (slot === null && time === undefined) {
+    return null;
+  }
+  return { slot, blockTime: time === undefined ? null : time };
+}
+
+/**
+ * ingest - build holder rows from on-chain token accounts
+ *
+ * Reads a token account dump and acquisition history from files, or
+ * fetches both from --rpc. Files are written with the settings like
+ * generate (hoursSinceLaunch comes from the snapshot); the ingestion
+ * summary goes to stderr.
+ *
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function runIngest(options) {
+  const config = buildConfig(options);
+  let rpc;
+  if (typeof options.rpc === 'string') {
+    if (typeof options.mint !== 'string') {
+      throw new UsageError('--mint <address> is required with --rpc');
+    }
+    rpc = createJsonRpc(options.rpc);
+  } else if (typeof options.accounts === 'string' && typeof options.history === 'string') {
+    rpc = createFileRpc({ accounts: options.accounts, history: options.history });
+  } else {
+    throw new UsageError('--accounts <file> and --history <file>, or --rpc <url>, are required');
+  }
+
+  const launch = pointOption(options, 'launch');
+  if (!launch) {
+    throw new UsageError('--launch-slot or --launch-time is required');
+  }
+  let snapshot = pointOption(options, 'snapshot');
+  if (!snapshot && launch.blockTime !== null) {
+    snapshot = { blockTime: Date.now() / 1000 };
+  }
+
+  const result = await fetchHolderSnapshot(rpc, {
+    mint: typeof options.mint === 'string' ? options.mint : undefined,
+    decimals: numberOption(options, 'decimals', undefined),
+    launch,
+    snapshot,
+    slotSeconds: numberOption(options, 'slot-seconds', undefined)
+  });
+
+  if (result.hoursSinceLaunch !== null) {
+    config.hoursSinceLaunch = result.hoursSinceLaunch;
+  }
+  if (typeof options.out === 'string') {
+    writeHoldersFile(options.out, result.rows, config);
+  } else {
+    writeOutput(options, toJson({ config, holders: result.rows }));
+  }
+
+  const { skipped } = result;
+  process.stderr.write(
+    `Ingested ${result.rows.length} holders (mint ${result.mint}, ${result.decimals} decimals) from ${result.accounts} token accounts; ` +
+    `skipped ${skipped.otherMint} of other mints, ${skipped.empty} empty, ${skipped.noHistory.length} wallets without history\n`
+  );
+  skipped.noHistory.forEach(address => process.stderr.write(`No acquisition history for ${address}\n`));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * sweep - run the distribution for every combination of a parameter grid
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runSweep(options) {
+  const config = buildConfig(options);
+  const format = options.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new UsageError('--format must be json or csv');
+  }
+  if (options.param === undefined || options.param === true) {
+    throw new UsageError('--param <name=values> is required');
+  }
+
+  const grid = {};
+  [].concat(options.param).forEach(text => {
+    try {
+      const { name, spec } = parseParameterSpec(text);
+      grid[name] = spec;
+    } catch (error) {
+      throw new UsageError(`--param: ${error.message}`);
+    }
+  });
+
+  const holders = loadHolders(options, config);
+  if (!holders) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+
+  let report;
+  try {
+    report = sweepParameters(holders, config, grid, { clusters: clustersOption(options) });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (typeof options.sensitivities === 'string') {
+    fs.writeFileSync(options.sensitivities, sensitivitiesToCsv(report) + '\n');
+  }
+  writeOutput(options, format === 'csv' ? sweepToCsv(report) : toJson({ config, ...report }));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Prepare a runner result for output
+ *
+ * A skipped run is also reported on stderr, with any rejected rows.
+ *
+ * @param {object} result - runDistribution result
+ * @param {string} file - Holder file
+ * @returns {object} Result with rejected rows in machine-readable form
+ */
+function describeRun(result, file) {
+  if (result.status !== 'skipped') {
+    return result;
+  }
+
+  const rejected = describeRejected(result.rejected);
+  process.stderr.write(`Run skipped: ${result.reason}\n`);
+  rejected.forEach(({ location, errors }) => {
+    process.stderr.write(`${file} ${location}: ${errors.join('; ')}\n`);
+  });
+  return { ...result, rejected };
+}
+
+/**
+ * run - distribute the treasury income since the last run
+ *
+ * Without --every this is one run, for cron: the result is printed as
+ * JSON. With --every it keeps running every <hours> until interrupted
+ * (or --runs is reached) and prints one JSON line per run.
+ *
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function runRun(options) {
+  const config = buildConfig(options);
+  if (typeof options.holders !== 'string') {
+    throw new UsageError('--holders <file> is required');
+  }
+  if (options.ledger === true) {
+    throw new UsageError('--ledger needs a .jsonl file');
+  }
+  if (options['treasury-file'] === true) {
+    throw new UsageError('--treasury-file needs a .json file');
+  }
+  const received = numberOption(options, 'received', undefined);
+  if ((received === undefined) === (options['treasury-file'] === undefined)) {
+    throw new UsageError('one of --received <sol> or --treasury-file <file> is required');
+  }
+  if (received < 0) {
+    throw new UsageError('--received must be 0 or more');
+  }
+
+  let launchTime = null;
+  if (options['launch-time'] !== undefined) {
+    const value = String(options['launch-time']);
+    launchTime = /^\d+(\.\d+)?$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+    if (!Number.isFinite(launchTime)) {
+      throw new UsageError('--launch-time must be Unix seconds or an ISO date');
+    }
+  }
+
+  const runOptions = {
+    ledgerFile: options.ledger || DEFAULT_LEDGER_FILE,
+    source: createFileSource({ holders: options.holders, treasury: options['treasury-file'], received }),
+    config,
+    launchTime,
+    clusters: clustersOption(options),
+    policy: policyOption(options)
+  };
+
+  if (options.every === undefined) {
+    let result;
+    try {
+      result = await runDistribution(runOptions);
+    } catch (error) {
+      if (error instanceof LedgerLockedError) {
+        process.stderr.write(`${error.message}\n`);
+        return EXIT_CODES.LOCKED;
+      }
+      throw error;
+    }
+    writeOutput(options, toJson(describeRun(result, options.holders)));
+    return result.status === 'skipped' && result.rejected.length > 0 ? EXIT_CODES.INVALID_INPUT : EXIT_CODES.OK;
+  }
+
+  const every = numberOption(options, 'every', NaN);
+  const runs = numberOption(options, 'runs', Infinity);
+  if (!(every > 0)) {
+    throw new UsageError('--every must be a number of hours greater than 0');
+  }
+  if (runs !== Infinity && !(Number.isInteger(runs) && runs > 0)) {
+    throw new UsageError('--runs must be a whole number greater than 0');
+  }
+
+  const schedule = scheduleRuns({
+    ...runOptions,
+    intervalMs: every * 3600 * 1000,
+    maxRuns: runs,
+    onRun: result => process.stdout.write(toJson(describeRun(result, options.holders), 0) + '\n'),
+    onError: error => process.stderr.write(`Run failed: ${error.message}\n`)
+  });
+  process.once('SIGINT', schedule.stop);
+  process.once('SIGTERM', schedule.stop);
+  await schedule.done;
+  process.removeListener('SIGINT', schedule.stop);
+  process.removeListener('SIGTERM', schedule.stop);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * ledger - print the run ledger totals and lifetime earnings
+ *
+ * @param {object} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runLedger(options) {
+  if (options.ledger === true) {
+    throw new UsageError('--ledger needs a .jsonl file');
+  }
+  writeOutput(options, toJson(summarizeLedger(readLedger(options.ledger || DEFAULT_LEDGER_FILE))));
+  return EXIT_CODES.OK;
+}
+
+/**
+ * interactive - start the readline menu
+ *
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code once the menu is closed
+ */
+async function runInteractive(options) {
+  if (options.workspace === true) {
+    throw new UsageError('--workspace needs a .json file');
+  }
+  await require('./demo').main({ workspace: options['no-workspace'] ? null : options.workspace });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Settings options read by every command that builds a config
+ */
+const CONFIG_OPTIONS = ['treasury', 'min', 'max', 'fee', 'hours-since-launch', 'max-share', 'min-payout', 'profile'];
+
+/**
+ * Options each command accepts; anything else is a usage error
+ */
+const COMMAND_OPTIONS = {
+  distribute: [...CONFIG_OPTIONS, 'holders', 'lamports', 'assets', 'prices', 'stream', 'clusters', 'policy', 'format', 'out'],
+  validate: [...CONFIG_OPTIONS, 'holders', 'out'],
+  stats: [...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'out'],
+  sybil: [...CONFIG_OPTIONS, 'holders', 'out'],
+  project: [
+    ...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'address', 'tokens-delta', 'extra-hours', 'at-hour', 'token-price', 'out'
+  ],
+  simulate: [...CONFIG_OPTIONS, 'events', 'every', 'until', 'epochs', 'format', 'out'],
+  profiles: ['out'],
+  audit: [...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'format', 'out'],
+  verify: ['manifest', 'out'],
+  diff: [
+    ...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'before', 'after', 'before-holders', 'after-holders',
+    'before-config', 'after-config', 'fail-above', 'out'
+  ],
+  merkle: [...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'out'],
+  payouts: [...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'payer', 'compute-unit-price', 'max-per-tx', 'dry-run', 'out'],
+  generate: [...CONFIG_OPTIONS, 'preset', 'count', 'seed', 'out'],
+  ingest: [
+    ...CONFIG_OPTIONS, 'accounts', 'history', 'rpc', 'mint', 'decimals', 'launch-slot', 'launch-time',
+    'snapshot-slot', 'snapshot-time', 'slot-seconds', 'out'
+  ],
+  sweep: [...CONFIG_OPTIONS, 'holders', 'clusters', 'param', 'sensitivities', 'format', 'out'],
+  run: [...CONFIG_OPTIONS, 'holders', 'clusters', 'policy', 'ledger', 'received', 'treasury-file', 'every', 'runs', 'launch-time', 'out'],
+  ledger: ['ledger', 'out'],
+  serve: ['port', 'host'],
+  interactive: ['workspace', 'no-workspace']
+};
+
+/**
+ * Reject options the command does not read
+ *
+ * A mistyped option (--treasure 25) would otherwise be ignored and the
+ * command would run with the default it was meant to replace.
+ *
+ * @param {string} command - Command name
+ * @param {object} options - Parsed options
+ * @throws {UsageError} On the first unknown option
+ */
+function checkOptions(command, options) {
+  const known = COMMAND_OPTIONS[command];
+  const unknown = Object.keys(options).find(name => !known.includes(name));
+  if (unknown !== undefined) {
+    throw new UsageError(`Unknown option --${unknown} for ${command}`);
+  }
+}
+
+const COMMANDS = {
+  distribute: runDistribute,
+  validate: runValidate,
+  stats: runStats,
+  sybil: runSybil,
+  project: runProject,
+  simulate: runSimulate,
+  profiles: runProfiles,
+  audit: runAudit,
+  verify: runVerify,
+  diff: runDiff,
+  merkle: runMerkle,
+  payouts: runPayouts,
+  generate: runGenerate,
+  ingest: runIngest,
+  sweep: runSweep,
+  run: runRun,
+  ledger: runLedger,
+  serve: runServe,
+  interactive: runInteractive
+};
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  const { command, options } = parseArgs(argv);
+
+  if (command === 'help' || command === '--help' || command === '-h') {
+    process.stdout.write(USAGE + '\n');
+    return EXIT_CODES.OK;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    process.stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    checkOptions(command, options);
+    return await handler(options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return EXIT_CODES.USAGE;
+    }
+    process.stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  run
+};
+
+// Start the CLI when run directly
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
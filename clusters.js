@@ -0,0 +1,154 @@
+/**
+ * RewardFlow Distribution Algorithm - Wallet Clustering
+ *
+ * Merges wallets known to belong to the same entity into one holder
+ * before weighting, and splits the entity's payout back across its
+ * wallets afterwards.
+ *
+ * A cluster map links addresses to entity IDs:
+ *   { "walletA": "whale-1", "walletB": "whale-1", "walletC": "team" }
+ * Addresses missing from the map are treated as their own entity.
+ *
+ * Merge rule: the entity holds the sum of its wallets' tokens and its
+ * hoursAfterLaunch is the token-weighted average of its wallets (the
+ * same rule the simulator uses for lots). Payouts are split back in
+ * proportion to each wallet's tokens.
+ */
+
+/**
+ * Prefix for merged entity addresses, so they never collide with wallets
+ */
+const ENTITY_PREFIX = 'entity:';
+
+/**
+ * Normalize a cluster map
+ *
+ * @param {object|Map|Array} clusters - { address: entityId }, a Map, or [{ address, entity }]
+ * @returns {Map} address -> entity ID
+ */
+function toClusterMap(clusters) {
+  if (clusters instanceof Map) {
+    return clusters;
+  }
+  if (Array.isArray(clusters)) {
+    return new Map(clusters.map(({ address, entity }) => [address, String(entity)]));
+  }
+  return new Map(Object.entries(clusters || {}).map(([address, entity]) => [address, String(entity)]));
+}
+
+/**
+ * Merge clustered wallets into entity holders
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {object|Map|Array} clusters - Cluster map
+ * @returns {object} { entities: Array, members: Map(entity address -> member holders) }
+ */
+function mergeClusters(holders, clusters) {
+  const clusterMap = toClusterMap(clusters);
+  const groups = new Map();
+
+  holders.forEach(holder => {
+    const entityId = clusterMap.get(holder.address);
+    const key = entityId === undefined ? holder.address : ENTITY_PREFIX + entityId;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(holder);
+  });
+
+  const entities = [];
+  groups.forEach((group, key) => {
+    if (!key.startsWith(ENTITY_PREFIX)) {
+      entities.push(group[0]);
+      return;
+    }
+
+    const tokens = group.reduce((sum, holder) => sum + holder.tokens, 0);
+    const hoursAfterLaunch = tokens > 0
+      ? group.reduce((sum, holder) => sum + holder.tokens * holder.hoursAfterLaunch, 0) / tokens
+      : 0;
+
+    entities.push({
+      address: key,
+      tokens,
+      hoursAfterLaunch,
+      hoursHeld: group[0].hoursSinceLaunch - hoursAfterLaunch,
+      minBalance: group[0].minBalance,
+      maxBalance: group[0].maxBalance,
+      hoursSinceLaunch: group[0].hoursSinceLaunch
+    });
+  });
+
+  const members = new Map();
+  groups.forEach((group, key) => {
+    if (key.startsWith(ENTITY_PREFIX)) {
+      members.set(key, group);
+    }
+  });
+
+  return { entities, members };
+}
+
+/**
+ * Describe the entity a wallet result belongs to
+ *
+ * @param {object} entityResult - Distribution result of the entity
+ * @param {Array} group - Member holders
+ * @returns {object} Entity summary
+ */
+function describeEntity(entityResult, group) {
+  return {
+    id: entityResult.address.slice(ENTITY_PREFIX.length),
+    wallets: group.map(holder => holder.address),
+    tokens: entityResult.tokens,
+    totalWeight: entityResult.weightage.totalWeight,
+    amount: entityResult.amount
+  };
+}
+
+/**
+ * Split entity results back into per-wallet results
+ *
+ * Each wallet receives the entity amount × (wallet tokens / entity
+ * tokens). Its weightage is the entity's, with totalWeight scaled to the
+ * wallet's part so weights still add up across results.
+ *
+ * @param {Array} results - Distribution results (entities and single wallets)
+ * @param {Map} members - Entity address -> member holders
+ * @param {function} splitAmounts - (entityResult, group) => per-member amount fields
+ * @returns {Array} Per-wallet results
+ */
+function splitEntityResults(results, members, splitAmounts) {
+  return results.flatMap(result => {
+    const group = members.get(result.address);
+    if (!group) {
+      return [result];
+    }
+
+    const entity = describeEntity(result, group);
+    const amounts = splitAmounts(result, group);
+
+    return group.map((holder, index) => {
+      const fraction = result.tokens > 0 ? holder.tokens / result.tokens : 0;
+      const share = result.share * fraction;
+
+      return {
+        ...result,
+        address: holder.address,
+        tokens: holder.tokens,
+        weightage: { ...result.weightage, totalWeight: result.weightage.totalWeight * fraction },
+        share,
+        sharePercentage: share * 100,
+        ...amounts[index],
+        entity
+      };
+    });
+  });
+}
+
+module.exports = {
+  ENTITY_PREFIX,
+  toClusterMap,
+  mergeClusters,
+  splitEntityResults
+};
@@ -0,0 +1,37 @@
+/**
+ * RewardFlow Distribution Algorithm - Default Settings
+ * 
+ * Shared defaults for the interactive demo and the command line interface.
+ */
+
+const DEFAULT_CONFIG = {
+  minBalance: 20000,          // 20K tokens minimum
+  maxBalance: 100000000,      // 100M tokens maximum
+  treasuryBalance: 10.0,      // 10 SOL treasury
+  feeReserve: 0.05,          // 5% fee reserve
+  hoursSinceLaunch: 48,       // Hours since token launch
+  formulaProfile: 'rewardflow-v1', // Weighting formula (see profiles.js)
+  maxWalletShare: 0,          // Max share of the pool per wallet (0-1, 0 = no cap)
+  minWalletPayout: 0          // Min SOL per qualified wallet (0 = no floor)
+};
+
+/**
+ * Build the calculateDistribution options for a set of settings
+ *
+ * @param {object} config - Settings in the DEFAULT_CONFIG shape
+ * @returns {object} Options for calculateDistribution
+ */
+function getDistributionOptions(config) {
+  return {
+    profile: config.formulaProfile,
+    limits: {
+      maxShare: config.maxWalletShare,
+      minAmount: config.minWalletPayout
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getDistributionOptions
+};
@@ -7,26 +7,51 @@
  * Add holders, configure settings, and see how rewards are distributed.
  */
 
+const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 const { calculateWeightage, calculateDistribution, getDistributionStats, formatNumber, formatLargeNumber } = require('./formulas');
+const { resolveProfile, describeProfile, listProfiles, profileId } = require('./profiles');
+const { DEFAULT_CONFIG, getDistributionOptions } = require('./config');
+const { createHolder, describeRowLocation, readHoldersFile, validateHolderRows, writeHoldersFile } = require('./holder-io');
+const { validateHolder, checkHolders, validateConfig } = require('./validation');
+const { RewardFlowError } = require('./errors');
+const { createManifest, renderMarkdown, renderHtml } = require('./audit');
+const { generateHolders, listPresets } = require('./generator');
+const { calculateAssetDistribution, validateAssets, readAssetsFile, readPricesFile, formatUnits } = require('./assets');
+const { createVestingLedger, recordDistribution, applyBalanceCheck, walletBalances, claim, releasePool } = require('./vesting');
+const { createPolicy, policyExclusion, policyLabel, setWalletPolicy, removeWalletPolicy, readPolicyFile, writePolicyFile } = require('./policy');
+const { projectReward } = require('./projection');
+const { diffRuns, diffDistributions } = require('./diff');
+const {
+  DEFAULT_WORKSPACE_FILE, createWorkspace, toHolderRows, deriveHolders, recordChange, undo, redo,
+  saveSnapshot, switchSnapshot, deleteSnapshot, listSnapshots, editHolderRow, deleteHolderRow,
+  writeWorkspaceFile, readWorkspaceFile
+} = require('./workspace');
+const { toJson } = require('./json');
 
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface (created when the demo starts)
+let rl = null;
 
 // Global state
-let config = {
-  minBalance: 20000,          // 20K tokens minimum
-  maxBalance: 100000000,      // 100M tokens maximum
-  treasuryBalance: 10.0,      // 10 SOL treasury
-  feeReserve: 0.05,          // 5% fee reserve
-  hoursSinceLaunch: 48        // Hours since token launch
-};
+let config = { ...DEFAULT_CONFIG };
 
 let holders = [];
 
+// Multi-asset treasury (null = config.treasuryBalance in SOL) and USD prices
+let treasuryAssets = null;
+let assetPrices = null;
+
+// Vested rewards across distribution runs
+let vestingLedger = createVestingLedger();
+
+// Denylist, allowlist and labeled wallets (see policy.js)
+let policy = createPolicy();
+
+// Undo history and snapshots of the state above, autosaved to workspaceFile (null = no autosave)
+let workspace = null;
+let workspaceFile = null;
+
 // Helper function to ask questions
 function askQuestion(question) {
   return new Promise((resolve) => {
@@ -72,6 +97,48 @@ async function askNumber(question, min = null, max = null) {
   }
 }
 
+// Current session state, as stored in the workspace
+function captureState() {
+  return {
+    config,
+    holders: toHolderRows(holders),
+    policy,
+    treasuryAssets,
+    assetPrices,
+    vestingLedger
+  };
+}
+
+// Replace the session with a stored state; holders are re-derived from its settings
+function restoreState(state) {
+  config = { ...DEFAULT_CONFIG, ...state.config };
+  holders = deriveHolders({ config, holders: state.holders });
+  policy = createPolicy(state.policy || {});
+  treasuryAssets = state.treasuryAssets || null;
+  assetPrices = state.assetPrices || null;
+  vestingLedger = state.vestingLedger || createVestingLedger();
+}
+
+// Save the workspace file, if there is one
+function autosave() {
+  if (!workspaceFile) {
+    return;
+  }
+  try {
+    writeWorkspaceFile(workspaceFile, workspace);
+  } catch (error) {
+    console.log(`⚠️  Could not save workspace ${workspaceFile}: ${error.message}`);
+  }
+}
+
+// Record whatever a menu action changed so it can be undone, then autosave
+function commitChange(label) {
+  if (recordChange(workspace, label, captureState())) {
+    restoreState(workspace.state);
+    autosave();
+  }
+}
+
 // Display main menu
 function displayMenu() {
   console.log('\n' + '='.repeat(60));
@@ -79,10 +146,21 @@ function displayMenu() {
   console.log('='.repeat(60));
   console.log('1. Configure Settings');
   console.log('2. Add Holder');
-  console.log('3. View Holders');
-  console.log('4. Run Distribution & View Results');
-  console.log('5. Clear All Data');
-  console.log('6. Exit');
+  console.log('3. Edit / Delete Holder');
+  console.log('4. View Holders');
+  console.log('5. Run Distribution & View Results');
+  console.log('6. Reward What-If (Buy / Sell / Hold Longer)');
+  console.log('7. Compare Runs (Diff)');
+  console.log('8. Import Holders (CSV/JSON)');
+  console.log('9. Export Holders (CSV/JSON)');
+  console.log('10. Load Synthetic Holders');
+  console.log('11. Vesting Ledger');
+  console.log('12. Wallet Policy (Denylist / Allowlist / Labels)');
+  console.log(`13. Undo${workspace.undo.length > 0 ? ` (${workspace.undo[workspace.undo.length - 1].label})` : ''}`);
+  console.log(`14. Redo${workspace.redo.length > 0 ? ` (${workspace.redo[workspace.redo.length - 1].label})` : ''}`);
+  console.log('15. Snapshots');
+  console.log('16. Clear All Data');
+  console.log('17. Exit');
   console.log('='.repeat(60));
 }
 
@@ -92,8 +170,14 @@ async function configureSettings() {
   console.log(`   Min Balance: ${formatLargeNumber(config.minBalance)} tokens`);
   console.log(`   Max Balance: ${formatLargeNumber(config.maxBalance)} tokens`);
   console.log(`   Treasury Balance: ${config.treasuryBalance} SOL`);
+  if (treasuryAssets) {
+    console.log(`   Treasury Assets: ${treasuryAssets.map(asset => `${asset.amount} ${asset.symbol}`).join(', ')}${assetPrices ? ' (with USD prices)' : ''}`);
+  }
   console.log(`   Fee Reserve: ${(config.feeReserve * 100).toFixed(1)}%`);
   console.log(`   Hours Since Launch: ${config.hoursSinceLaunch} hours`);
+  console.log(`   Formula Profile: ${profileId(resolveProfile(config.formulaProfile))}`);
+  console.log(`   Max Share per Wallet: ${config.maxWalletShare > 0 ? `${(config.maxWalletShare * 100).toFixed(1)}%` : 'no cap'}`);
+  console.log(`   Min Payout per Wallet: ${config.minWalletPayout > 0 ? `${config.minWalletPayout} SOL` : 'no floor'}`);
   
   const change = await askYesNo('\nDo you want to change any settings?');
   
@@ -103,11 +187,60 @@ async function configureSettings() {
     config.treasuryBalance = await askNumber('Enter treasury balance (SOL): ', 0.001);
     config.feeReserve = await askNumber('Enter fee reserve percentage (0-50): ', 0, 50) / 100;
     config.hoursSinceLaunch = await askNumber('Enter hours since launch: ', 1);
+    config.maxWalletShare = await askNumber('Enter max share per wallet percentage (0 = no cap): ', 0, 100) / 100;
+    config.minWalletPayout = await askNumber('Enter min payout per wallet in SOL (0 = no floor): ', 0);
+    
+    const profiles = listProfiles();
+    if (profiles.length > 1) {
+      console.log('\n🧮 Available Formula Profiles:');
+      profiles.forEach((profile, index) => {
+        console.log(`   ${index + 1}. ${profile.name}@${profile.version}${profile.description ? ` - ${profile.description}` : ''}`);
+      });
+      const choice = await askNumber(`Select formula profile (1-${profiles.length}): `, 1, profiles.length);
+      const selected = profiles[Math.floor(choice) - 1];
+      config.formulaProfile = `${selected.name}@${selected.version}`;
+    }
+    
+    if (await askYesNo('Use a multi-asset treasury (SOL plus SPL tokens)?')) {
+      await loadTreasuryAssets();
+    } else {
+      treasuryAssets = null;
+      assetPrices = null;
+    }
     
     console.log('\n✅ Settings updated!');
   }
 }
 
+// Load treasury assets and optional USD prices from JSON files
+async function loadTreasuryAssets() {
+  const assetsPath = (await askQuestion('Enter assets file path (.json): ')).trim();
+  try {
+    const assets = readAssetsFile(assetsPath);
+    const errors = validateAssets(assets);
+    if (errors.length > 0) {
+      console.log('⚠️  Assets not loaded:');
+      errors.forEach(error => console.log(`   - ${error.message}`));
+      return;
+    }
+    treasuryAssets = assets;
+  } catch (error) {
+    console.log(`❌ Could not read assets: ${error.message}`);
+    return;
+  }
+  
+  const pricesPath = (await askQuestion('Enter USD prices file path (.json, Enter to skip): ')).trim();
+  assetPrices = null;
+  if (pricesPath) {
+    try {
+      assetPrices = readPricesFile(pricesPath);
+    } catch (error) {
+      console.log(`⚠️  Prices not loaded: ${error.message}`);
+    }
+  }
+  console.log(`✅ Treasury assets: ${treasuryAssets.map(asset => asset.symbol).join(', ')}`);
+}
+
 // Add a new holder
 async function addHolder() {
   console.log('\n👤 Adding New Holder');
@@ -134,17 +267,9 @@ async function addHolder() {
   const hoursHeld = config.hoursSinceLaunch - hoursAfterLaunch;
   
   // Calculate weightage using hours
-  const weightage = calculateWeightage(tokens, hoursAfterLaunch, config.hoursSinceLaunch, config.minBalance);
-  
-  const holder = {
-    address,
-    tokens,
-    hoursAfterLaunch,
-    hoursHeld,
-    minBalance: config.minBalance,
-    maxBalance: config.maxBalance,
-    hoursSinceLaunch: config.hoursSinceLaunch
-  };
+  const weightage = calculateWeightage(tokens, hoursAfterLaunch, config.hoursSinceLaunch, config.minBalance, config.formulaProfile);
+  
+  const holder = createHolder({ address, tokens, hoursAfterLaunch }, config);
   
   holders.push(holder);
   
@@ -164,6 +289,66 @@ async function addHolder() {
   }
 }
 
+// Edit or delete a holder
+async function editHolder() {
+  console.log('\n✏️  Edit / Delete Holder');
+  console.log('='.repeat(40));
+  
+  if (holders.length === 0) {
+    console.log('\n❌ No holders added yet.');
+    return;
+  }
+  
+  const answer = (await askQuestion('Enter wallet address: ')).trim();
+  const holder = holders.find(h => h.address === answer) || holders.find(h => h.address.toLowerCase() === answer.toLowerCase());
+  if (!holder) {
+    console.log(`\n❌ No holder with address ${answer}`);
+    return;
+  }
+  
+  console.log(`   Address: ${holder.address}`);
+  console.log(`   Tokens: ${formatLargeNumber(holder.tokens)}`);
+  console.log(`   Bought at: Hour ${holder.hoursAfterLaunch} after launch`);
+  console.log('\n   1. Edit');
+  console.log('   2. Delete');
+  console.log('   3. Cancel');
+  const choice = Math.floor(await askNumber('Select option (1-3): ', 1, 3));
+  
+  if (choice === 2) {
+    holders = deriveHolders({ config, holders: deleteHolderRow(toHolderRows(holders), holder.address) });
+    console.log(`\n✅ Deleted ${holder.address} (option 13 undoes this)`);
+    return;
+  }
+  if (choice === 3) {
+    return;
+  }
+  
+  console.log('Press Enter to keep the current value.');
+  const changes = {};
+  const address = (await askQuestion(`New wallet address [${holder.address}]: `)).trim();
+  if (address !== '') {
+    changes.address = address;
+  }
+  const tokens = (await askQuestion(`New token balance [${holder.tokens}]: `)).trim();
+  if (tokens !== '') {
+    changes.tokens = parseFloat(tokens);
+  }
+  const hoursAfterLaunch = (await askQuestion(`New hours after launch [${holder.hoursAfterLaunch}]: `)).trim();
+  if (hoursAfterLaunch !== '') {
+    changes.hoursAfterLaunch = parseFloat(hoursAfterLaunch);
+  }
+  
+  const { rows, errors } = editHolderRow(toHolderRows(holders), holder.address, changes, config);
+  if (errors.length > 0) {
+    console.log('\n❌ Holder not changed:');
+    errors.forEach(error => console.log(`   - ${error}`));
+    return;
+  }
+  
+  holders = deriveHolders({ config, holders: rows });
+  console.log('\n✅ Holder updated!');
+}
+
 // View all holders
 async function viewHolders() {
   console.log('\n🔍 Checking holders...');
@@ -179,23 +364,43 @@ async function viewHolders() {
   
   console.log('\n📋 Current Holders:');
   console.log('='.repeat(120));
-  console.log('Address'.padEnd(30) + ' | ' + 'Tokens'.padStart(15) + ' | ' + 'Hour Bought'.padStart(12) + ' | ' + 'Hours Held'.padStart(12) + ' | ' + 'Weight'.padStart(12) + ' | ' + 'Status'.padStart(10));
+  console.log('Address'.padEnd(30) + ' | ' + 'Tokens'.padStart(15) + ' | ' + 'Hour Bought'.padStart(12) + ' | ' + 'Hours Held'.padStart(12) + ' | ' + 'Weight'.padStart(12) + ' | ' + 'Status');
   console.log('-'.repeat(120));
   
+  const invalidHolders = [];
+  
   holders.forEach((holder, index) => {
-    const weightage = calculateWeightage(holder.tokens, holder.hoursAfterLaunch, holder.hoursSinceLaunch, config.minBalance);
+    const errors = validateHolder(holder);
+    if (errors.length > 0) {
+      invalidHolders.push({ holder, errors });
+      console.log(
+        String(holder.address).substring(0, 29).padEnd(30) + ' | ' +
+        String(holder.tokens).padStart(15) + ' | ' +
+        `Hour ${holder.hoursAfterLaunch}`.padStart(12) + ' | ' +
+        '-'.padStart(12) + ' | ' +
+        '-'.padStart(12) + ' | ' +
+        '⚠️  Invalid'
+      );
+      return;
+    }
+    
+    const weightage = calculateWeightage(holder.tokens, holder.hoursAfterLaunch, holder.hoursSinceLaunch, config.minBalance, config.formulaProfile);
     
     // Check qualification status
     let status = '❌';
     let reason = '';
+    const exclusion = policyExclusion(policy, holder.address);
     
-    if (!weightage.qualified) {
+    if (exclusion) {
+      reason = exclusion.reason;
+    } else if (!weightage.qualified) {
       reason = 'Below min';
     } else if (holder.tokens > config.maxBalance) {
       reason = 'Above max';
     } else {
       status = '✅';
-      reason = 'Qualified';
+      const label = policyLabel(policy, holder.address);
+      reason = label ? `Qualified (${label})` : 'Qualified';
     }
     
     console.log(
@@ -204,12 +409,20 @@ async function viewHolders() {
       `Hour ${holder.hoursAfterLaunch}`.padStart(12) + ' | ' +
       `${holder.hoursHeld}h`.padStart(12) + ' | ' +
       formatNumber(weightage.totalWeight).padStart(12) + ' | ' +
-      status.padStart(10)
+      `${status} ${reason}`
     );
   });
   
   console.log('-'.repeat(120));
   console.log(`Total: ${holders.length} holders`);
+  
+  if (invalidHolders.length > 0) {
+    console.log('\n⚠️  Invalid holders (excluded from distribution):');
+    invalidHolders.forEach(({ holder, errors }) => {
+      console.log(`   ${holder.address}:`);
+      errors.forEach(error => console.log(`      - ${error.message}`));
+    });
+  }
   console.log('\nPress Enter to return to main menu...');
   await askQuestion('');
 }
@@ -228,17 +441,46 @@ async function runDistributionAndResults() {
   
   // Show filtering info
   const totalHolders = holders.length;
-  const qualifiedHolders = holders.filter(h => {
-    const weightage = calculateWeightage(h.tokens, h.hoursAfterLaunch, h.hoursSinceLaunch, config.minBalance);
+  const { valid, invalid } = checkHolders(holders);
+  const qualifiedHolders = valid.filter(h => {
+    if (policyExclusion(policy, h.address)) {
+      return false;
+    }
+    const weightage = calculateWeightage(h.tokens, h.hoursAfterLaunch, h.hoursSinceLaunch, config.minBalance, config.formulaProfile);
     return weightage.qualified && h.tokens <= config.maxBalance;
   }).length;
   
   console.log(`📊 Total holders: ${totalHolders}`);
   console.log(`✅ Qualified holders: ${qualifiedHolders}`);
   console.log(`❌ Filtered out: ${totalHolders - qualifiedHolders}`);
+  const policyExcluded = valid.filter(h => policyExclusion(policy, h.address)).length;
+  if (policyExcluded > 0) {
+    console.log(`🛡️  Excluded by wallet policy: ${policyExcluded}`);
+  }
+  
+  if (invalid.length > 0) {
+    console.log(`⚠️  Invalid holders: ${invalid.length} (excluded)`);
+    invalid.forEach(error => console.log(`   ${error.message}`));
+  }
+  
+  if (treasuryAssets) {
+    await showAssetResults(valid);
+    return;
+  }
   
   // Calculate distribution
-  const distribution = calculateDistribution(holders, config.treasuryBalance, config.feeReserve);
+  let distribution;
+  try {
+    distribution = calculateDistribution(valid, config.treasuryBalance, config.feeReserve, { ...getDistributionOptions(config), policy, strict: true });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    if (error instanceof RewardFlowError) {
+      error.errors.forEach(fieldError => console.log(`   - ${fieldError.field}: ${fieldError.message}`));
+    }
+    console.log('\nPress Enter to return to main menu...');
+    await askQuestion('');
+    return;
+  }
   
   if (distribution.length === 0) {
     console.log('❌ No valid holders for distribution');
@@ -269,6 +511,19 @@ async function runDistributionAndResults() {
   });
   
   console.log('-'.repeat(80));
+  
+  // Show holders moved by the per-wallet cap or floor
+  const clamped = sortedDistribution.filter(result => result.clamp);
+  if (clamped.length > 0) {
+    console.log('\n🔒 Clamped Holders:');
+    clamped.forEach(result => {
+      const label = result.clamp.type === 'cap' ? 'Capped' : 'Raised to floor';
+      const sign = result.clamp.adjustment >= 0 ? '+' : '';
+      console.log(`   ${result.address}: ${label} (${formatNumber(result.clamp.unclampedAmount, 6)} → ${formatNumber(result.amount, 6)} SOL, ${sign}${formatNumber(result.clamp.adjustment, 6)})`);
+    });
+    console.log('-'.repeat(80));
+  }
+  
   console.log(`Total Distributed: ${formatNumber(stats.totalDistributed, 6)} SOL`);
   console.log(`Valid Holders: ${stats.validHolders}`);
   console.log(`Average Weight: ${formatNumber(stats.averageWeight)}`);
@@ -282,10 +537,25 @@ async function runDistributionAndResults() {
   console.log(`   ${stats.bottomReward.address}: ${formatNumber(stats.bottomReward.amount, 6)} SOL`);
   
   // Show detailed breakdown for each holder
+  const formula = resolveProfile(config.formulaProfile);
+  const formulaText = describeProfile(formula);
+  
   console.log('\n📊 Detailed Results:');
+  console.log(`Formula Profile: ${profileId(formula)}`);
   console.log('='.repeat(120));
   
   distribution.forEach((result, index) => {
+    const daysBought = formatNumber(result.weightage.hoursSinceLaunch / 24, 2);
+    const daysHeld = formatNumber(result.weightage.hoursHeld / 24, 2);
+    const stepFormula = describeProfile(formula, {
+      balance: `${formatLargeNumber(result.tokens)} / ${formatLargeNumber(config.minBalance)}`
+    });
+    const stepCalculation = describeProfile(formula, {
+      balance: formatNumber(result.tokens / config.minBalance, 2),
+      earlyness: daysBought,
+      tenure: daysHeld
+    });
+    
     console.log(`\n${index + 1}. ${result.address}`);
     console.log('   ' + '─'.repeat(80));
     
@@ -299,21 +569,21 @@ async function runDistributionAndResults() {
     // Weightage Calculation Details
     console.log(`\n   🧮 Weightage Calculation:`);
     console.log(`      Formula: token_balance_weight × time_weight`);
-    console.log(`      Formula: (1 + log10(tokens/min)) × (early_bonus × tenure_bonus)`);
+    console.log(`      Formula: (${formulaText.balance}) × (early_bonus × tenure_bonus)`);
     console.log(`      `);
     console.log(`      Step 1 - Balance Weight:`);
-    console.log(`         Formula: 1 + log10(${formatLargeNumber(result.tokens)} / ${formatLargeNumber(config.minBalance)})`);
-    console.log(`         Calculation: 1 + log10(${formatNumber(result.tokens / config.minBalance, 2)})`);
+    console.log(`         Formula: ${stepFormula.balance}`);
+    console.log(`         Calculation: ${stepCalculation.balance}`);
     console.log(`         Result: ${formatNumber(result.weightage.balanceWeight, 4)}`);
     console.log(`      `);
     console.log(`      Step 2 - Early Bonus:`);
-    console.log(`         Formula: 1 + 2 × exp(-${formatNumber(result.weightage.hoursSinceLaunch / 24, 2)} / 2)`);
-    console.log(`         Calculation: 1 + 2 × exp(-${formatNumber(result.weightage.hoursSinceLaunch / 24, 2)} / 2)`);
+    console.log(`         Formula: ${formulaText.earlyness}`);
+    console.log(`         Calculation: ${stepCalculation.earlyness}`);
     console.log(`         Result: ${formatNumber(result.weightage.earlyBonus, 4)}`);
     console.log(`      `);
     console.log(`      Step 3 - Tenure Bonus:`);
-    console.log(`         Formula: 1 + 0.6 × log2(${formatNumber(result.weightage.hoursHeld / 24, 2)} + 1)`);
-    console.log(`         Calculation: 1 + 0.6 × log2(${formatNumber(result.weightage.hoursHeld / 24 + 1, 2)})`);
+    console.log(`         Formula: ${formulaText.tenure}`);
+    console.log(`         Calculation: ${stepCalculation.tenure}`);
     console.log(`         Result: ${formatNumber(result.weightage.tenureBonus, 4)}`);
     console.log(`      `);
     console.log(`      Step 4 - Time Weight:`);
@@ -345,15 +615,45 @@ async function runDistributionAndResults() {
   console.log(`   Total Tokens: ${formatLargeNumber(stats.totalTokens)}`);
   console.log(`   Total Distributed: ${formatNumber(stats.totalDistributed, 6)} SOL`);
   
+  // Fairness: compare how concentrated rewards are vs token balances
+  const { rewards, tokens } = stats.fairness;
+  console.log('\n⚖️  Fairness & Concentration:');
+  console.log('='.repeat(80));
+  console.log('Metric'.padEnd(30) + ' | ' + 'Rewards'.padStart(15) + ' | ' + 'Tokens'.padStart(15));
+  console.log('-'.repeat(80));
+  [
+    ['Gini coefficient (0-1)', formatNumber(rewards.gini), formatNumber(tokens.gini)],
+    ['Herfindahl-Hirschman (0-10000)', formatNumber(rewards.hhi * 10000, 0), formatNumber(tokens.hhi * 10000, 0)],
+    ['Nakamoto coefficient (>50%)', String(rewards.nakamoto), String(tokens.nakamoto)],
+    ['Theil index', formatNumber(rewards.theil), formatNumber(tokens.theil)]
+  ].forEach(([label, rewardValue, tokenValue]) => {
+    console.log(label.padEnd(30) + ' | ' + rewardValue.padStart(15) + ' | ' + tokenValue.padStart(15));
+  });
+  console.log('-'.repeat(80));
+  console.log('   Reward percentiles (SOL):');
+  Object.entries(rewards.percentiles).forEach(([label, value]) => {
+    console.log(`      ${label.toUpperCase().padEnd(4)} ${formatNumber(value, 6)}`);
+  });
+  
+  console.log('\n   Reward Share vs Token Share (ratio < 1 = less reward than token weight):');
+  console.log('   ' + 'Wallet Address'.padEnd(30) + ' | ' + 'Token %'.padStart(10) + ' | ' + 'Reward %'.padStart(10) + ' | ' + 'Ratio'.padStart(8));
+  [...stats.shareRatios]
+    .sort((a, b) => b.tokenShare - a.tokenShare)
+    .forEach(ratio => {
+      console.log(
+        '   ' + ratio.address.substring(0, 29).padEnd(30) + ' | ' +
+        formatNumber(ratio.tokenShare * 100, 2).padStart(10) + ' | ' +
+        formatNumber(ratio.rewardShare * 100, 2).padStart(10) + ' | ' +
+        formatNumber(ratio.ratio, 2).padStart(8)
+      );
+    });
+  
   console.log('\n💰 Distribution Summary:');
   console.log('='.repeat(80));
   console.log('Wallet Address'.padEnd(30) + ' | ' + 'Percentage'.padStart(12) + ' | ' + 'SOL Received'.padStart(15));
   console.log('-'.repeat(80));
   
-  // Sort by reward amount (highest first) for summary
-  const sortedForSummary = [...distribution].sort((a, b) => b.amount - a.amount);
-  
-  sortedForSummary.forEach((result, index) => {
+  sortedDistribution.forEach((result, index) => {
     console.log(
       result.address.substring(0, 29).padEnd(30) + ' | ' +
       `${formatNumber(result.sharePercentage, 2)}%`.padStart(12) + ' | ' +
@@ -363,64 +663,717 @@ async function runDistributionAndResults() {
   
   console.log('-'.repeat(80));
   
+  if (await askYesNo('\n📝 Save an audit report for this run?')) {
+    await saveAuditReport();
+  }
+  
+  if (await askYesNo('🔒 Record these rewards in the vesting ledger?')) {
+    await recordVesting(distribution);
+  }
+  
   console.log('\nPress Enter to return to main menu...');
   await askQuestion('');
 }
 
+// Distribute every treasury asset and show one column per asset
+async function showAssetResults(validHolders) {
+  let report;
+  try {
+    report = calculateAssetDistribution(validHolders, treasuryAssets, config, { prices: assetPrices, policy, strict: true });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    console.log('\nPress Enter to return to main menu...');
+    await askQuestion('');
+    return;
+  }
+  
+  const withUsd = report.totalUsdValue !== null;
+  const columns = report.assets.map(asset => ({ ...asset, width: Math.max(asset.symbol.length, 14) }));
+  const width = 32 + columns.reduce((sum, column) => sum + column.width + 3, 0) + (withUsd ? 15 : 0);
+  
+  console.log('\n💰 Multi-Asset Distribution Results:');
+  console.log('='.repeat(width));
+  console.log(
+    'Address'.padEnd(30) +
+    columns.map(column => ' | ' + column.symbol.padStart(column.width)).join('') +
+    (withUsd ? ' | ' + 'USD'.padStart(12) : '')
+  );
+  console.log('-'.repeat(width));
+  
+  [...report.holders].sort((a, b) => (b.usdValue || 0) - (a.usdValue || 0)).forEach(row => {
+    console.log(
+      row.address.substring(0, 29).padEnd(30) +
+      columns.map(column => ' | ' + formatUnits(row.assets[column.symbol].units, column.decimals).padStart(column.width)).join('') +
+      (withUsd ? ' | ' + formatNumber(row.usdValue, 2).padStart(12) : '')
+    );
+  });
+  console.log('-'.repeat(width));
+  
+  console.log('\n📊 Per-Asset Totals:');
+  report.assets.forEach(asset => {
+    const usd = asset.distributedUsd === null ? '' : ` ($${formatNumber(asset.distributedUsd, 2)})`;
+    console.log(
+      `   ${asset.symbol}: ${formatUnits(asset.totalUnits, asset.decimals)} total, ` +
+      `${formatUnits(asset.feeUnits, asset.decimals)} fee reserve, ` +
+      `${formatUnits(asset.distributedUnits, asset.decimals)} distributed${usd}, ` +
+      `${formatUnits(asset.dustUnits, asset.decimals)} dust (profile ${asset.profile.name}@${asset.profile.version})`
+    );
+  });
+  
+  if (withUsd) {
+    console.log(`\n💵 Combined USD value distributed: $${formatNumber(report.totalUsdValue, 2)}`);
+    if (report.unpricedAssets.length > 0) {
+      console.log(`   No price for: ${report.unpricedAssets.join(', ')} (left out of USD values)`);
+    }
+  }
+  
+  console.log('\nPress Enter to return to main menu...');
+  await askQuestion('');
+}
+
+// Project one holder's reward if they buy, sell or hold longer
+async function showProjection() {
+  console.log('\n🔮 Reward What-If');
+  console.log('='.repeat(40));
+  
+  if (holders.length === 0) {
+    console.log('\n❌ No holders added yet.');
+    return;
+  }
+  
+  const answer = (await askQuestion('Enter wallet address: ')).trim();
+  const holder = holders.find(h => h.address === answer) || holders.find(h => h.address.toLowerCase() === answer.toLowerCase());
+  if (!holder) {
+    console.log(`\n❌ No holder with address ${answer}`);
+    return;
+  }
+  
+  console.log(`   Tokens: ${formatLargeNumber(holder.tokens)}, bought at hour ${holder.hoursAfterLaunch}, now hour ${config.hoursSinceLaunch}`);
+  console.log('Press Enter to skip a change.');
+  const scenario = {};
+  const questions = [
+    ['tokensDelta', 'Tokens to buy (negative to sell): '],
+    ['extraHours', 'Extra hours to hold before the distribution: '],
+    ['tokenPrice', 'Token price in SOL (for the break-even balance): ']
+  ];
+  for (const [field, question] of questions) {
+    const value = (await askQuestion(question)).trim();
+    if (value !== '') {
+      scenario[field] = parseFloat(value);
+    }
+  }
+  
+  let projection;
+  try {
+    projection = projectReward(holders, holder.address, scenario, config, { policy });
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    if (error instanceof RewardFlowError) {
+      error.errors.forEach(fieldError => console.log(`   - ${fieldError.field}: ${fieldError.message}`));
+    }
+    return;
+  }
+  
+  const { current, projected, effects, marginal, breakEven, purchase } = projection;
+  const signed = (amount, decimals = 6) => `${amount >= 0 ? '+' : ''}${formatNumber(amount, decimals)}`;
+  const describePoint = point => point.qualified
+    ? `${formatNumber(point.reward, 6)} SOL (${formatNumber(point.share * 100, 2)}% of the pool)`
+    : `not qualified (${point.reason})`;
+  
+  console.log(`\n📊 Projection for ${holder.address}:`);
+  console.log(`   Now (hour ${current.hoursSinceLaunch}, ${formatLargeNumber(current.tokens)} tokens): ${describePoint(current)}`);
+  console.log(`   Projected (hour ${projected.hoursSinceLaunch}, ${formatLargeNumber(projected.tokens)} tokens): ${describePoint(projected)}`);
+  console.log(`   Weight: ${formatNumber(current.weightage.totalWeight)} → ${formatNumber(projected.weightage.totalWeight)}`);
+  console.log(`   Change: ${signed(projection.rewardChange)} SOL${projection.rewardChangePercent === null ? '' : ` (${signed(projection.rewardChangePercent, 2)}%)`}`);
+  console.log(`      from holding longer: ${signed(effects.time)} SOL`);
+  console.log(`      from the balance change: ${signed(effects.balance)} SOL`);
+  
+  console.log('\n📈 Marginal Reward (at the projected point):');
+  console.log(`   Per extra token: ${marginal.perToken.toExponential(3)} SOL`);
+  console.log(`   Per extra hour held: ${signed(marginal.perHour)} SOL`);
+  if (marginal.perHour < 0) {
+    console.log('   (The other holders gain tenure faster than this wallet, so its share shrinks over time)');
+  }
+  
+  if (breakEven) {
+    console.log(`\n⚖️  Break-even at ${breakEven.tokenPrice} SOL per token:`);
+    if (breakEven.limitedBy === 'maxBalance') {
+      console.log(`   Buying pays off up to the max balance of ${formatLargeNumber(breakEven.tokens)} tokens; above it the wallet stops qualifying`);
+    } else if (breakEven.extraTokens > 0) {
+      console.log(`   Buying pays off up to ${formatLargeNumber(breakEven.tokens)} tokens (${formatLargeNumber(breakEven.extraTokens)} more)`);
+    } else {
+      console.log(`   Past the break-even of ${formatLargeNumber(breakEven.tokens)} tokens: each extra token earns less than it costs`);
+    }
+  }
+  if (purchase) {
+    const payback = purchase.paybackDistributions === null ? 'never paid back' : `paid back after ${formatNumber(purchase.paybackDistributions, 2)} distributions`;
+    console.log(`   Buying ${formatLargeNumber(projection.scenario.tokensDelta)} tokens costs ${formatNumber(purchase.cost, 6)} SOL and adds ${signed(purchase.rewardGain)} SOL per distribution: ${payback}`);
+  }
+}
+
+// Inputs of a distribution run from a session state (current or snapshot)
+function runFromState(state) {
+  const runConfig = { ...DEFAULT_CONFIG, ...state.config };
+  return {
+    holders: deriveHolders({ config: runConfig, holders: state.holders }),
+    config: runConfig,
+    policy: state.policy ? createPolicy(state.policy) : null
+  };
+}
+
+// Pick a snapshot by number; null when there are none
+async function selectSnapshot(question) {
+  const snapshots = listSnapshots(workspace);
+  if (snapshots.length === 0) {
+    console.log('❌ There are no snapshots (save one with option 15)');
+    return null;
+  }
+  snapshots.forEach((snapshot, index) => {
+    console.log(`   ${index + 1}. ${snapshot.name} - ${snapshot.holders} holders, saved ${snapshot.savedAt}`);
+  });
+  const number = Math.floor(await askNumber(`${question} (1-${snapshots.length}): `, 1, snapshots.length));
+  const { name } = snapshots[number - 1];
+  return { name, state: JSON.parse(workspace.snapshots[name].state) };
+}
+
+// Compare two runs holder by holder: who gained or lost, and why
+async function compareRuns() {
+  console.log('\n🔀 Compare Runs');
+  console.log('='.repeat(40));
+  console.log('   1. Current session vs a snapshot');
+  console.log('   2. Two snapshots');
+  console.log('   3. Two audit manifests (.json)');
+  console.log('   4. Back');
+  const choice = Math.floor(await askNumber('Select option (1-4): ', 1, 4));
+  
+  let labels;
+  let diff;
+  try {
+    if (choice === 1 || choice === 2) {
+      const before = await selectSnapshot(choice === 1 ? 'Compare the session with snapshot' : 'First snapshot');
+      if (!before) {
+        return;
+      }
+      const after = choice === 1 ? { name: 'current session', state: captureState() } : await selectSnapshot('Second snapshot');
+      labels = [before.name, after.name];
+      diff = diffRuns(runFromState(before.state), runFromState(after.state));
+    } else if (choice === 3) {
+      const files = [];
+      for (const question of ['First manifest path: ', 'Second manifest path: ']) {
+        files.push((await askQuestion(question)).trim());
+      }
+      labels = files.map(file => path.basename(file));
+      const [before, after] = files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+      diff = diffDistributions(before, after);
+    } else {
+      return;
+    }
+  } catch (error) {
+    console.log(`❌ Could not compare: ${error.message}`);
+    return;
+  }
+  
+  const { summary } = diff;
+  const signed = (amount, decimals = 6) => {
+    const value = Math.abs(amount) < 0.5 * 10 ** -decimals ? 0 : amount;
+    return `${value >= 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+  };
+  const amountOf = side => (side && side.status === 'paid' ? formatNumber(side.amount, 6) : '-');
+  
+  console.log(`\n📊 ${labels[0]} → ${labels[1]}`);
+  console.log(`   Paid holders: ${summary.before.paidHolders} → ${summary.after.paidHolders}`);
+  console.log(`   Distributed: ${formatNumber(summary.before.totalDistributed, 6)} → ${formatNumber(summary.after.totalDistributed, 6)} SOL (${signed(summary.totalDistributedDelta)})`);
+  summary.configChanges.forEach(change => {
+    console.log(`   ${change.field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+  });
+  console.log(`   Gained: ${summary.gained}, lost: ${summary.lost}, qualified: ${summary.qualified}, disqualified: ${summary.disqualified}, unchanged: ${summary.unchanged}`);
+  
+  const changed = diff.holders.filter(holder => holder.change !== 'unchanged');
+  if (changed.length === 0) {
+    console.log('\n✅ No holder\'s reward changed');
+    return;
+  }
+  
+  // The two largest effects explain most of a change
+  const explain = holder => {
+    if (holder.reason) {
+      return holder.reason;
+    }
+    if (!holder.effects) {
+      return '';
+    }
+    return Object.entries(holder.effects)
+      .filter(([, amount]) => Math.abs(amount) >= 1e-9)
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .slice(0, 2)
+      .map(([factor, amount]) => `${factor} ${signed(amount)}`)
+      .join(', ');
+  };
+  
+  console.log('\n' + 'Address'.padEnd(20) + 'Change'.padEnd(14) + 'Before'.padEnd(14) + 'After'.padEnd(14) + 'Delta'.padEnd(14) + 'Why');
+  console.log('-'.repeat(100));
+  changed.forEach(holder => {
+    const address = holder.address.length > 18 ? holder.address.slice(0, 15) + '...' : holder.address;
+    console.log(
+      address.padEnd(20) +
+      holder.change.padEnd(14) +
+      amountOf(holder.before).padEnd(14) +
+      amountOf(holder.after).padEnd(14) +
+      signed(holder.rewardDelta).padEnd(14) +
+      explain(holder)
+    );
+  });
+  if (summary.unchanged > 0) {
+    console.log(`   (${summary.unchanged} unchanged holders not shown)`);
+  }
+}
+
+// Forfeit unvested rewards of holders now below the minimum balance
+function checkVestingBalances() {
+  const forfeits = applyBalanceCheck(vestingLedger, holders, config.hoursSinceLaunch, config.minBalance);
+  forfeits.forEach(({ address, amount }) => {
+    console.log(`   ⛔ ${address} is below the min balance: ${formatNumber(amount, 6)} SOL unvested rewards forfeited`);
+  });
+}
+
+// Add a distribution to the vesting ledger with a schedule
+async function recordVesting(distribution) {
+  console.log('\n   1. No vesting (unlock immediately)');
+  console.log('   2. Linear');
+  console.log('   3. Cliff');
+  const type = ['none', 'linear', 'cliff'][Math.floor(await askNumber('Select schedule (1-3): ', 1, 3)) - 1];
+  
+  const schedule = { type };
+  if (type !== 'none') {
+    schedule.durationHours = await askNumber('Vesting duration in hours: ', 0.01);
+    if (type === 'linear') {
+      schedule.cliffHours = await askNumber('Cliff in hours (0 = none): ', 0, schedule.durationHours);
+    }
+    schedule.instantUnlockBelow = await askNumber('Unlock rewards below this amount immediately (SOL, 0 = none): ', 0);
+  }
+  
+  checkVestingBalances();
+  const run = recordDistribution(vestingLedger, distribution, { hour: config.hoursSinceLaunch, schedule });
+  console.log(`✅ Recorded ${run.id} at hour ${run.hour}: ${formatNumber(run.granted, 6)} SOL granted, ${formatNumber(run.instant, 6)} SOL unlocked immediately`);
+}
+
+// Show the vesting ledger for every wallet
+async function viewVestingLedger() {
+  if (vestingLedger.runs.length === 0) {
+    console.log('\n🔒 The vesting ledger is empty');
+    console.log('   Record a run from option 5 (Run Distribution & View Results)');
+    console.log('\nPress Enter to return to main menu...');
+    await askQuestion('');
+    return;
+  }
+  
+  const hour = config.hoursSinceLaunch;
+  console.log(`\n🔒 Vesting Ledger at hour ${hour} (change "Hours Since Launch" in settings to move time)`);
+  checkVestingBalances();
+  
+  console.log('='.repeat(120));
+  console.log(
+    'Address'.padEnd(30) + ' | ' + 'Granted'.padStart(11) + ' | ' + 'Vested'.padStart(11) + ' | ' + 'Claimed'.padStart(11) + ' | ' +
+    'Claimable'.padStart(11) + ' | ' + 'Locked'.padStart(11) + ' | ' + 'Forfeited'.padStart(11)
+  );
+  console.log('-'.repeat(120));
+  
+  const balances = walletBalances(vestingLedger, hour);
+  balances.forEach(wallet => {
+    console.log(
+      wallet.address.substring(0, 29).padEnd(30) + ' | ' +
+      [wallet.granted, wallet.vested, wallet.claimed, wallet.claimable, wallet.locked, wallet.forfeited]
+        .map(amount => formatNumber(amount, 6).padStart(11))
+        .join(' | ')
+    );
+  });
+  console.log('-'.repeat(120));
+  
+  console.log('Runs:');
+  vestingLedger.runs.forEach(run => {
+    const schedule = run.schedule.type === 'none'
+      ? 'no vesting'
+      : `${run.schedule.type} over ${run.schedule.durationHours}h${run.schedule.cliffHours ? `, ${run.schedule.cliffHours}h cliff` : ''}`;
+    console.log(`   ${run.id} (hour ${run.hour}): ${formatNumber(run.granted, 6)} SOL, ${schedule}`);
+  });
+  console.log(`Forfeited pool: ${formatNumber(vestingLedger.pool, 6)} SOL`);
+  
+  const claimable = balances.reduce((sum, wallet) => sum + wallet.claimable, 0);
+  if (claimable > 0 && await askYesNo(`\nClaim all ${formatNumber(claimable, 6)} SOL claimable now?`)) {
+    balances.forEach(wallet => claim(vestingLedger, wallet.address, hour));
+    console.log('✅ Claimed');
+  }
+  
+  if (vestingLedger.pool > 0 && await askYesNo(`Return the ${formatNumber(vestingLedger.pool, 6)} SOL forfeited pool to the treasury?`)) {
+    config.treasuryBalance += releasePool(vestingLedger);
+    console.log(`✅ Treasury Balance is now ${config.treasuryBalance} SOL`);
+  }
+}
+
+// Manage the denylist, allowlist and wallet labels
+async function managePolicy() {
+  while (true) {
+    const labeled = Object.entries(policy.labels);
+    console.log('\n🛡️  Wallet Policy');
+    console.log('='.repeat(40));
+    console.log(`   Mode: ${policy.allowlistOnly ? 'allowlist only' : 'open (everyone not excluded)'}`);
+    console.log(`   Denylist: ${policy.deny.length > 0 ? policy.deny.join(', ') : '(empty)'}`);
+    console.log(`   Allowlist: ${policy.allow.length > 0 ? policy.allow.join(', ') : '(empty)'}`);
+    console.log(`   Labels: ${labeled.length > 0 ? labeled.map(([address, label]) => `${address} = ${label}`).join(', ') : '(none)'}`);
+    console.log(`   Excluded labels: ${policy.excludeLabels.length > 0 ? policy.excludeLabels.join(', ') : '(none)'}`);
+    console.log('\n   1. Denylist a wallet');
+    console.log('   2. Allowlist a wallet');
+    console.log('   3. Label a wallet (e.g. LP, team, burn, CEX)');
+    console.log('   4. Remove a wallet from the lists');
+    console.log(`   5. Turn allowlist-only mode ${policy.allowlistOnly ? 'off' : 'on'}`);
+    console.log('   6. Set excluded labels');
+    console.log('   7. Load policy file');
+    console.log('   8. Save policy file');
+    console.log('   9. Back');
+    
+    const choice = Math.floor(await askNumber('Select option (1-9): ', 1, 9));
+    if (choice === 9) {
+      return;
+    }
+    
+    if (choice <= 4) {
+      const address = (await askQuestion('Wallet address: ')).trim();
+      if (address === '') {
+        console.log('❌ Address is required');
+      } else if (choice === 4) {
+        console.log(removeWalletPolicy(policy, address) ? `✅ Removed ${address}` : `⚠️  ${address} is not on any list`);
+      } else if (choice === 3) {
+        const label = (await askQuestion('Label: ')).trim();
+        if (label === '') {
+          console.log('❌ Label is required');
+        } else {
+          setWalletPolicy(policy, address, 'label', label);
+          const excluded = policyExclusion(policy, address) !== null;
+          console.log(`✅ Labeled ${address} as ${label}${excluded ? ' (excluded from rewards)' : ''}`);
+        }
+      } else {
+        setWalletPolicy(policy, address, choice === 1 ? 'deny' : 'allow');
+        console.log(`✅ Added ${address} to the ${choice === 1 ? 'denylist' : 'allowlist'}`);
+      }
+    } else if (choice === 5) {
+      policy.allowlistOnly = !policy.allowlistOnly;
+      console.log(`✅ Allowlist-only mode is ${policy.allowlistOnly ? 'on' : 'off'}`);
+    } else if (choice === 6) {
+      const answer = await askQuestion('Excluded labels, comma separated (empty = none): ');
+      policy.excludeLabels = answer.split(',').map(label => label.trim()).filter(label => label !== '');
+      console.log('✅ Excluded labels updated');
+    } else if (choice === 7) {
+      const filePath = (await askQuestion('Enter file path (.json): ')).trim();
+      try {
+        policy = readPolicyFile(filePath);
+        console.log(`✅ Loaded policy from ${filePath}`);
+      } catch (error) {
+        console.log(`❌ Could not read policy: ${error.message}`);
+      }
+    } else {
+      const filePath = (await askQuestion('Enter file path (.json) [policy.json]: ')).trim() || 'policy.json';
+      try {
+        writePolicyFile(filePath, policy);
+        console.log(`✅ Saved policy to ${filePath}`);
+      } catch (error) {
+        console.log(`❌ Could not save policy: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Undo or redo the last change
+function stepHistory(direction) {
+  const label = direction === 'undo' ? undo(workspace) : redo(workspace);
+  if (label === null) {
+    console.log(`\n⚠️  Nothing to ${direction}`);
+    return;
+  }
+  
+  restoreState(workspace.state);
+  autosave();
+  console.log(direction === 'undo' ? `\n↩️  Undid: ${label}` : `\n↪️  Redid: ${label}`);
+}
+
+// Save, switch between and delete named snapshots
+async function manageSnapshots() {
+  console.log('\n📸 Snapshots');
+  console.log('='.repeat(40));
+  
+  const snapshots = listSnapshots(workspace);
+  if (snapshots.length === 0) {
+    console.log('   (none yet)');
+  }
+  snapshots.forEach((snapshot, index) => {
+    console.log(`   ${index + 1}. ${snapshot.name} - ${snapshot.holders} holders, saved ${snapshot.savedAt}`);
+  });
+  
+  console.log('\n   1. Save current session as a snapshot');
+  console.log('   2. Switch to a snapshot');
+  console.log('   3. Delete a snapshot');
+  console.log('   4. Back');
+  const choice = Math.floor(await askNumber('Select option (1-4): ', 1, 4));
+  
+  if (choice === 1) {
+    const name = (await askQuestion('Snapshot name: ')).trim();
+    if (name === '') {
+      console.log('❌ Snapshot name is required');
+      return;
+    }
+    saveSnapshot(workspace, name);
+    autosave();
+    console.log(`✅ Saved snapshot "${name}"`);
+  } else if (choice === 2 || choice === 3) {
+    if (snapshots.length === 0) {
+      console.log('❌ There are no snapshots');
+      return;
+    }
+    const number = Math.floor(await askNumber(`Select snapshot (1-${snapshots.length}): `, 1, snapshots.length));
+    const { name } = snapshots[number - 1];
+    if (choice === 2) {
+      if (switchSnapshot(workspace, name)) {
+        restoreState(workspace.state);
+        autosave();
+      }
+      console.log(`✅ Switched to snapshot "${name}" (${holders.length} holders)`);
+    } else {
+      deleteSnapshot(workspace, name);
+      autosave();
+      console.log(`✅ Deleted snapshot "${name}"`);
+    }
+  }
+}
+
+// Restore the session from the workspace file, or start a new workspace
+function openWorkspace(filePath) {
+  workspaceFile = filePath;
+  if (!fs.existsSync(filePath)) {
+    workspace = createWorkspace(captureState());
+    return;
+  }
+  
+  try {
+    workspace = readWorkspaceFile(filePath);
+    restoreState(workspace.state);
+    console.log(`📂 Restored session from ${filePath}: ${holders.length} holders, ${Object.keys(workspace.snapshots).length} snapshots`);
+  } catch (error) {
+    workspace = createWorkspace(captureState());
+    workspaceFile = null;
+    console.log(`⚠️  Could not restore ${filePath}: ${error.message}`);
+    console.log('   Starting an empty session; autosave is off so the file is left as it is.');
+  }
+}
+
+// Save the audit manifest (.json) or a rendered report (.md / .html)
+async function saveAuditReport() {
+  const answer = (await askQuestion('Enter file path (.json, .md or .html) [audit.json]: ')).trim();
+  const filePath = answer || 'audit.json';
+  const renderers = { '.json': toJson, '.md': renderMarkdown, '.html': renderHtml };
+  const render = renderers[path.extname(filePath).toLowerCase()];
+  
+  if (!render) {
+    console.log('❌ Unsupported file type (use .json, .md or .html)');
+    return;
+  }
+  
+  try {
+    const manifest = createManifest(holders, config, { policy });
+    fs.writeFileSync(filePath, render(manifest) + '\n');
+    console.log(`✅ Saved audit report to ${filePath}`);
+    console.log(`   Input hash: ${manifest.inputHash}`);
+  } catch (error) {
+    console.log(`❌ Could not save audit report: ${error.message}`);
+  }
+}
+
+// Import holders from a CSV or JSON file
+async function importHolders() {
+  console.log('\n📥 Import Holders');
+  console.log('='.repeat(40));
+  
+  const filePath = (await askQuestion('Enter file path (.csv or .json): ')).trim();
+  
+  let file;
+  try {
+    file = readHoldersFile(filePath);
+  } catch (error) {
+    console.log(`\n❌ Could not read file: ${error.message}`);
+    return;
+  }
+  
+  if (file.config) {
+    console.log('\n📋 Settings found in file:');
+    Object.entries(file.config).forEach(([key, value]) => {
+      console.log(`   ${key}: ${value}`);
+    });
+    if (await askYesNo('Apply these settings?')) {
+      const errors = validateConfig({ ...config, ...file.config });
+      if (errors.length > 0) {
+        console.log('⚠️  Settings not applied:');
+        errors.forEach(error => console.log(`   - ${error.message}`));
+      } else {
+        config = { ...config, ...file.config };
+        console.log('✅ Settings applied');
+      }
+    }
+  }
+  
+  if (holders.length > 0 && await askYesNo(`Replace the ${holders.length} current holders?`)) {
+    holders = [];
+  }
+  
+  const { valid, rejected } = validateHolderRows(file.rows, config, holders);
+  valid.forEach(row => holders.push(createHolder(row, config)));
+  
+  console.log(`\n✅ Imported ${valid.length} holders`);
+  
+  if (rejected.length > 0) {
+    console.log(`⚠️  Rejected ${rejected.length} rows:`);
+    rejected.forEach(({ row, errors }) => {
+      console.log(`   ${describeRowLocation(row)}: ${errors.join('; ')}`);
+    });
+  }
+  
+  console.log('\nPress Enter to return to main menu...');
+  await askQuestion('');
+}
+
+// Export holders and settings to a CSV or JSON file
+async function exportHolders() {
+  if (holders.length === 0) {
+    console.log('\n❌ No holders to export.');
+    return;
+  }
+  
+  const answer = (await askQuestion('Enter file path (.csv or .json) [holders.json]: ')).trim();
+  const filePath = answer || 'holders.json';
+  
+  try {
+    writeHoldersFile(filePath, holders, config);
+    console.log(`\n✅ Saved ${holders.length} holders and settings to ${filePath}`);
+  } catch (error) {
+    console.log(`\n❌ Could not save file: ${error.message}`);
+  }
+}
+
+// Generate a synthetic holder set from a preset
+async function loadSyntheticHolders() {
+  console.log('\n🧪 Load Synthetic Holders');
+  console.log('='.repeat(40));
+  
+  const presets = listPresets();
+  presets.forEach((preset, index) => {
+    console.log(`   ${index + 1}. ${preset.name} - ${preset.description}`);
+  });
+  const choice = await askNumber(`Select preset (1-${presets.length}): `, 1, presets.length);
+  const preset = presets[Math.floor(choice) - 1].name;
+  const count = Math.floor(await askNumber('Number of holders (e.g. 10000): ', 1));
+  const seed = (await askQuestion('Seed (same seed = same holders) [1]: ')).trim() || '1';
+  
+  if (holders.length > 0 && await askYesNo(`Replace the ${holders.length} current holders?`)) {
+    holders = [];
+  }
+  
+  const rows = generateHolders({ count, seed, preset, hoursSinceLaunch: config.hoursSinceLaunch });
+  const { valid, rejected } = validateHolderRows(rows, config, holders);
+  valid.forEach(row => holders.push(createHolder(row, config)));
+  
+  console.log(`\n✅ Loaded ${valid.length} synthetic holders (${preset}, seed ${seed})`);
+  if (rejected.length > 0) {
+    console.log(`⚠️  Skipped ${rejected.length} rows that clash with current holders`);
+  }
+}
+
 // Clear all data
 async function clearData() {
   const confirm = await askYesNo('Are you sure you want to clear all data?');
   
   if (confirm) {
     holders = [];
+    vestingLedger = createVestingLedger();
     global.distributionResults = null;
     global.distributionStats = null;
-    console.log('\n✅ All data cleared!');
+    console.log('\n✅ All data cleared! (option 13 undoes this)');
   }
 }
 
-// Main application loop
-async function main() {
+// Menu actions that change the session, with their undo labels
+const ACTIONS = {
+  '1': { run: () => configureSettings(), label: 'Configure settings' },
+  '2': { run: () => addHolder(), label: 'Add holder' },
+  '3': { run: () => editHolder(), label: 'Edit or delete holder' },
+  '4': { run: () => viewHolders() },
+  '5': { run: () => runDistributionAndResults(), label: 'Run distribution' },
+  '6': { run: () => showProjection() },
+  '7': { run: () => compareRuns() },
+  '8': { run: () => importHolders(), label: 'Import holders' },
+  '9': { run: () => exportHolders() },
+  '10': { run: () => loadSyntheticHolders(), label: 'Load synthetic holders' },
+  '11': { run: () => viewVestingLedger(), label: 'Vesting ledger' },
+  '12': { run: () => managePolicy(), label: 'Wallet policy' },
+  '13': { run: () => stepHistory('undo') },
+  '14': { run: () => stepHistory('redo') },
+  '15': { run: () => manageSnapshots() },
+  '16': { run: () => clearData(), label: 'Clear all data' }
+};
+
+/**
+ * Main application loop
+ *
+ * @param {object} options - Optional settings
+ * @param {string|null} options.workspace - Workspace file to restore and autosave
+ *   (default rewardflow-workspace.json; null for none)
+ */
+async function main(options = {}) {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  // Handle Ctrl+C gracefully
+  process.on('SIGINT', () => {
+    console.log('\n\n👋 Thanks for using RewardFlow Distribution Algorithm!');
+    rl.close();
+    process.exit(0);
+  });
+
   console.log('🚀 Welcome to RewardFlow Distribution Algorithm Demo!');
   console.log('This interactive tool lets you test the fair distribution algorithm.');
   
+  const filePath = options.workspace === undefined ? DEFAULT_WORKSPACE_FILE : options.workspace;
+  if (filePath) {
+    openWorkspace(filePath);
+  } else {
+    workspace = createWorkspace(captureState());
+  }
+  
   while (true) {
     displayMenu();
     
-    const choice = await askQuestion('\nEnter your choice (1-6): ');
+    const choice = await askQuestion('\nEnter your choice (1-17): ');
     
-    switch (choice) {
-      case '1':
-        await configureSettings();
-        break;
-      case '2':
-        await addHolder();
-        break;
-      case '3':
-        await viewHolders();
-        break;
-      case '4':
-        await runDistributionAndResults();
-        break;
-      case '5':
-        await clearData();
-        break;
-      case '6':
-        console.log('\n👋 Thanks for using RewardFlow Distribution Algorithm!');
-        rl.close();
-        return;
-      default:
-        console.log('\n❌ Invalid choice. Please enter 1-6.');
+    if (choice === '17') {
+      console.log('\n👋 Thanks for using RewardFlow Distribution Algorithm!');
+      rl.close();
+      return;
+    }
+    
+    const action = ACTIONS[choice];
+    if (!action) {
+      console.log('\n❌ Invalid choice. Please enter 1-17.');
+      continue;
+    }
+    
+    await action.run();
+    if (action.label) {
+      commitChange(action.label);
     }
   }
 }
 
-// Handle Ctrl+C gracefully
-process.on('SIGINT', () => {
-  console.log('\n\n👋 Thanks for using RewardFlow Distribution Algorithm!');
-  rl.close();
-  process.exit(0);
-});
+module.exports = { main };
 
-// Start the application
-main().catch(console.error);
+// Start the application when run directly
+if (require.main === module) {
+  main().catch(console.error);
+}
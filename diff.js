@@ -0,0 +1,309 @@
+/**
+ * RewardFlow Distribution Algorithm - Distribution Diffs
+ *
+ * Compares two distributions - audit manifests, `distribute` outputs or
+ * plain result lists - or two sets of inputs (holders and settings),
+ * matching holders by address. Each holder's change is one of:
+ * - gained / lost / unchanged: paid in both runs (or in neither)
+ * - qualified: paid only in the second run, with the reason it was not
+ *   paid before (or "new holder")
+ * - disqualified: paid only in the first run, with the reason it is
+ *   not paid now (or "no longer a holder")
+ *
+ * The reward of a holder paid in both runs is
+ *   pool × balanceWeight × earlyBonus × tenureBonus / totalWeight
+ * so its change is split into the effect of each factor with the
+ * logarithmic mean (LMDI) method: the effects add up exactly to the
+ * change and do not depend on the order of the factors. Payout caps,
+ * floors and cluster splits move rewards away from that product; what
+ * they add is reported as the `limits` effect.
+ */
+
+const { createManifest } = require('./audit');
+const { resolveProfile, profileId } = require('./profiles');
+
+/**
+ * Reward changes smaller than this count as unchanged (SOL)
+ */
+const DEFAULT_TOLERANCE = 1e-9;
+
+/**
+ * Factors of the reward, in report order
+ */
+const FACTORS = ['balance', 'earlyness', 'tenure', 'pool', 'totalWeight'];
+
+/**
+ * Bring a manifest, a `distribute` output or a result list to one shape
+ *
+ * A plain result list only holds paid wallets, so its pool is recovered
+ * from the amounts and shares.
+ *
+ * @param {object|Array} input - Manifest, { config, distribution } or distribution results
+ * @returns {object} { config, policy, clusters, pool, totalWeight, totalDistributed, holders: Map }
+ * @throws {Error} If the input is none of these
+ */
+function normalizeRun(input) {
+  if (input && input.manifestVersion !== undefined) {
+    return {
+      config: input.inputs.config,
+      policy: input.inputs.policy,
+      clusters: input.inputs.clusters,
+      pool: input.summary.distributable,
+      totalWeight: input.summary.totalWeight,
+      totalDistributed: input.summary.totalDistributed,
+      holders: new Map(input.holders.map(entry => [entry.address, entry]))
+    };
+  }
+
+  const results = Array.isArray(input) ? input : input && input.distribution;
+  if (!Array.isArray(results)) {
+    throw new Error('Expected an audit manifest, a distribution output or a list of distribution results');
+  }
+
+  const sum = field => results.reduce((total, result) => total + field(result), 0);
+  const totalShare = sum(result => result.share);
+  const totalDistributed = sum(result => result.amount);
+
+  return {
+    config: Array.isArray(input) ? null : input.config || null,
+    policy: null,
+    clusters: null,
+    pool: totalShare > 0 ? totalDistributed / totalShare : null,
+    totalWeight: sum(result => result.weightage.totalWeight),
+    totalDistributed,
+    holders: new Map(results.map(result => [result.address, { ...result, status: 'paid', reason: null }]))
+  };
+}
+
+/**
+ * Values of the reward factors for one holder in one run
+ *
+ * @param {object} entry - Paid holder entry
+ * @param {object} run - Normalized run
+ * @returns {object} Factor -> value
+ */
+function factorValues(entry, run) {
+  const { balanceWeight, earlyBonus, tenureBonus } = entry.weightage;
+  return { balance: balanceWeight, earlyness: earlyBonus, tenure: tenureBonus, pool: run.pool, totalWeight: 1 / run.totalWeight };
+}
+
+/**
+ * Logarithmic mean of two positive numbers
+ *
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @returns {number} (a - b) / (ln a - ln b), or a when they are equal
+ */
+function logMean(a, b) {
+  return a === b ? a : (a - b) / (Math.log(a) - Math.log(b));
+}
+
+/**
+ * Split the reward change of a holder paid in both runs
+ *
+ * @param {object} before - Entry in the first run
+ * @param {object} after - Entry in the second run
+ * @param {object} runs - { before, after } normalized runs
+ * @returns {object|null} { balance, earlyness, tenure, pool, totalWeight, limits }, or null
+ *   when a run has no weightage or pool to split by
+ */
+function decompose(before, after, runs) {
+  if (!before.weightage || !after.weightage || !(runs.before.pool > 0) || !(runs.after.pool > 0)) {
+    return null;
+  }
+
+  const from = factorValues(before, runs.before);
+  const to = factorValues(after, runs.after);
+  const product = values => FACTORS.reduce((total, factor) => total * values[factor], 1);
+  const modelled = { before: product(from), after: product(to) };
+  if (!(modelled.before > 0) || !(modelled.after > 0)) {
+    return null;
+  }
+
+  const weight = logMean(modelled.after, modelled.before);
+  const effects = {};
+  FACTORS.forEach(factor => {
+    effects[factor] = weight * Math.log(to[factor] / from[factor]);
+  });
+  effects.limits = (after.amount - before.amount) - (modelled.after - modelled.before);
+  return effects;
+}
+
+/**
+ * Compare one holder across the two runs
+ *
+ * @param {string} address - Holder address
+ * @param {object} runs - { before, after } normalized runs
+ * @param {number} tolerance - Smallest reward change that counts (SOL)
+ * @returns {object} Holder diff
+ */
+function diffHolder(address, runs, tolerance) {
+  const before = runs.before.holders.get(address) || null;
+  const after = runs.after.holders.get(address) || null;
+  const paidBefore = Boolean(before && before.status === 'paid');
+  const paidAfter = Boolean(after && after.status === 'paid');
+  const amountBefore = paidBefore ? before.amount : 0;
+  const amountAfter = paidAfter ? after.amount : 0;
+  const rewardDelta = amountAfter - amountBefore;
+
+  let change;
+  let reason = null;
+  if (paidAfter && !paidBefore) {
+    change = 'qualified';
+    reason = before ? `was excluded: ${before.reason}` : 'new holder';
+  } else if (paidBefore && !paidAfter) {
+    change = 'disqualified';
+    reason = after ? after.reason : 'no longer a holder';
+  } else if (Math.abs(rewardDelta) < tolerance) {
+    change = 'unchanged';
+    reason = paidAfter ? null : (after ? after.reason : 'no longer a holder');
+  } else {
+    change = rewardDelta > 0 ? 'gained' : 'lost';
+  }
+
+  const side = entry => entry && {
+    status: entry.status,
+    tokens: entry.tokens,
+    hoursAfterLaunch: entry.hoursAfterLaunch === undefined ? null : entry.hoursAfterLaunch,
+    weight: entry.weightage ? entry.weightage.totalWeight : 0,
+    share: entry.status === 'paid' ? entry.share : 0,
+    amount: entry.status === 'paid' ? entry.amount : 0
+  };
+
+  return {
+    address,
+    change,
+    reason,
+    before: side(before),
+    after: side(after),
+    rewardDelta,
+    shareDelta: (paidAfter ? after.share : 0) - (paidBefore ? before.share : 0),
+    effects: paidBefore && paidAfter ? decompose(before, after, runs) : null
+  };
+}
+
+/**
+ * Comparable value of a setting
+ *
+ * Profiles are compared by name@version, so "rewardflow-v1" and
+ * "rewardflow-v1@1.0.0" are the same setting.
+ *
+ * @param {string} field - Setting name
+ * @param {*} value - Setting value
+ * @returns {string} JSON text
+ */
+function settingKey(field, value) {
+  if (field === 'formulaProfile' && value !== null) {
+    try {
+      return profileId(resolveProfile(value));
+    } catch (error) {
+      // Profiles not registered here are compared as they are
+    }
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Settings that differ between two runs
+ *
+ * @param {object} before - Normalized run
+ * @param {object} after - Normalized run
+ * @returns {Array} { field, before, after } (empty when either run has no settings)
+ */
+function configChanges(before, after) {
+  if (!before.config || !after.config) {
+    return [];
+  }
+
+  const changes = [];
+  const fields = [...new Set([...Object.keys(before.config), ...Object.keys(after.config)])];
+  fields.forEach(field => {
+    const from = before.config[field] === undefined ? null : before.config[field];
+    const to = after.config[field] === undefined ? null : after.config[field];
+    if (settingKey(field, from) !== settingKey(field, to)) {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+  ['policy', 'clusters'].forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, before: before[field], after: after[field] });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Compare two distributions
+ *
+ * Holders are listed qualified and disqualified first, then by the
+ * size of their reward change, with unchanged holders last.
+ *
+ * @param {object|Array} before - Manifest, { config, distribution } or distribution results
+ * @param {object|Array} after - Same, for the second run
+ * @param {object} options - Optional settings
+ * @param {number} options.tolerance - Smallest reward change that counts (default 1e-9 SOL)
+ * @returns {object} { summary, holders }
+ * @throws {Error} If an input is not a distribution
+ */
+function diffDistributions(before, after, options = {}) {
+  const tolerance = options.tolerance === undefined ? DEFAULT_TOLERANCE : options.tolerance;
+  const runs = { before: normalizeRun(before), after: normalizeRun(after) };
+
+  const addresses = [...new Set([...runs.before.holders.keys(), ...runs.after.holders.keys()])];
+  const order = { qualified: 0, disqualified: 0, gained: 1, lost: 1, unchanged: 2 };
+  const holders = addresses
+    .map(address => diffHolder(address, runs, tolerance))
+    .sort((a, b) => order[a.change] - order[b.change] ||
+      Math.abs(b.rewardDelta) - Math.abs(a.rewardDelta) ||
+      a.address.localeCompare(b.address));
+
+  const count = change => holders.filter(holder => holder.change === change).length;
+  const runSummary = run => {
+    const entries = [...run.holders.values()];
+    return {
+      holders: entries.length,
+      paidHolders: entries.filter(entry => entry.status === 'paid').length,
+      pool: run.pool,
+      totalWeight: run.totalWeight,
+      totalDistributed: run.totalDistributed
+    };
+  };
+
+  return {
+    summary: {
+      before: runSummary(runs.before),
+      after: runSummary(runs.after),
+      totalDistributedDelta: runs.after.totalDistributed - runs.before.totalDistributed,
+      configChanges: configChanges(runs.before, runs.after),
+      gained: count('gained'),
+      lost: count('lost'),
+      unchanged: count('unchanged'),
+      qualified: count('qualified'),
+      disqualified: count('disqualified'),
+      largestChange: holders.reduce((largest, holder) => Math.max(largest, Math.abs(holder.rewardDelta)), 0)
+    },
+    holders
+  };
+}
+
+/**
+ * Compare two sets of inputs
+ *
+ * Each run is computed as an audit manifest, so excluded holders get
+ * the same reasons as in an audit report.
+ *
+ * @param {object} before - { holders, config, clusters, policy } (holders as built by createHolder)
+ * @param {object} after - Same, for the second run
+ * @param {object} options - Optional settings (see diffDistributions)
+ * @returns {object} { summary, holders }
+ */
+function diffRuns(before, after, options = {}) {
+  const manifest = run => createManifest(run.holders, run.config, { clusters: run.clusters, policy: run.policy });
+  return diffDistributions(manifest(before), manifest(after), options);
+}
+
+module.exports = {
+  FACTORS,
+  diffDistributions,
+  diffRuns
+};
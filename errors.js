@@ -0,0 +1,64 @@
+/**
+ * RewardFlow Distribution Algorithm - Error Classes
+ *
+ * Every error carries a list of field-level problems:
+ *   { field: 'hoursAfterLaunch', message: 'hoursAfterLaunch must be 0 or more', value: -3 }
+ */
+
+/**
+ * Base class for input errors raised by RewardFlow
+ */
+class RewardFlowError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array} errors - Field-level problems [{ field, message, value }]
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'RewardFlowError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A holder has missing or impossible values
+ */
+class InvalidHolderError extends RewardFlowError {
+  /**
+   * @param {object} holder - The offending holder
+   * @param {Array} errors - Field-level problems
+   * @param {number} index - Position in the holder list (if known)
+   */
+  constructor(holder, errors, index = null) {
+    let label = 'Invalid holder';
+    if (holder && typeof holder.address === 'string' && holder.address.trim() !== '') {
+      label += ` "${holder.address}"`;
+    } else if (index !== null) {
+      label += ` #${index + 1}`;
+    }
+    super(`${label}: ${errors.map(error => error.message).join('; ')}`, errors);
+    this.name = 'InvalidHolderError';
+    this.address = holder ? holder.address : undefined;
+    this.index = index;
+  }
+}
+
+/**
+ * Distribution settings are missing or out of range
+ */
+class ConfigError extends RewardFlowError {
+  /**
+   * @param {Array} errors - Field-level problems
+   */
+  constructor(errors) {
+    super(`Invalid settings: ${errors.map(error => error.message).join('; ')}`, errors);
+    this.name = 'ConfigError';
+    this.field = errors.length > 0 ? errors[0].field : null;
+  }
+}
+
+module.exports = {
+  RewardFlowError,
+  InvalidHolderError,
+  ConfigError
+};
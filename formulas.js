@@ -5,10 +5,17 @@
  * fair reward distributions to token holders.
  */
 
+const { resolveProfile, evaluateProfile } = require('./profiles');
+const { concentration } = require('./metrics');
+const { mergeClusters, splitEntityResults } = require('./clusters');
+const { applyPolicy } = require('./policy');
+const { InvalidHolderError, ConfigError } = require('./errors');
+const { validateWeightageInputs, checkHolders, assertValidHolders, assertValidPool } = require('./validation');
+
 /**
  * Calculate the weightage for a single holder
  *
- * Uses the EXACT formulas provided by the user:
+ * Uses the EXACT formulas provided by the user (default profile rewardflow-v1):
  * 
  * token_balance_weight = 1 + log10(token_balance / min_threshold)
  * early_bonus = 1 + 2 × exp(-days_since_launch / 2)
@@ -16,63 +23,30 @@
  * time_weight = early_bonus × tenure_bonus
  * total_weight = token_balance_weight × time_weight
  *
+ * Other formula profiles (see profiles.js) swap the three component
+ * curves; the way they are combined stays the same.
+ *
  * @param {number} tokens - Number of tokens held
  * @param {number} hoursAfterLaunch - Hours after launch when first bought
  * @param {number} hoursSinceLaunch - Total hours since launch
  * @param {number} minBalance - Minimum balance required to qualify
+ * @param {string|object} profile - Formula profile name or object (default rewardflow-v1)
  * @returns {object} Detailed weightage breakdown
+ * @throws {InvalidHolderError} If an input is not a number, negative, or
+ *   hoursAfterLaunch is later than hoursSinceLaunch
  */
-function calculateWeightage(tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance) {
-  try {
-    // Only include holders with balance ≥ minimum threshold
-    if (tokens < minBalance) {
-      return {
-        balanceWeight: 0,
-        earlyBonus: 0,
-        tenureBonus: 0,
-        timeWeight: 0,
-        totalWeight: 0,
-        hoursSinceLaunch: 0,
-        hoursHeld: 0,
-        qualified: false
-      };
-    }
-    
-    // Calculate time differences in hours
-    const hoursHeld = hoursSinceLaunch - hoursAfterLaunch;
-    
-    // Convert to days for the same formula as main website
-    const daysSinceLaunch = hoursAfterLaunch / 24;
-    const daysHeld = hoursHeld / 24;
-    
-    // 1. Token Balance Weight - EXACT FORMULA FROM USER
-    const tokenBalanceWeight = 1 + Math.log10(tokens / minBalance);
-    
-    // 2. Early Bonus - EXACT FORMULA FROM USER
-    const earlyBonus = 1 + 2 * Math.exp(-daysSinceLaunch / 2);
-    
-    // 3. Tenure Bonus - EXACT FORMULA FROM USER
-    const tenureBonus = 1 + 0.6 * Math.log2(daysHeld + 1);
-    
-    // 4. Time Weight - EXACT FORMULA FROM USER
-    const timeWeight = earlyBonus * tenureBonus;
-    
-    // 5. Total Weight - EXACT FORMULA FROM USER
-    const totalWeight = tokenBalanceWeight * timeWeight;
-    
-    return {
-      balanceWeight: tokenBalanceWeight,
-      earlyBonus,
-      tenureBonus,
-      timeWeight,
-      totalWeight,
-      hoursSinceLaunch: hoursAfterLaunch,
-      hoursHeld,
-      qualified: true
-    };
-    
-  } catch (error) {
-    console.error('Error calculating weightage:', error);
+function calculateWeightage(tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance, profile) {
+  const formula = resolveProfile(profile);
+  const profileInfo = { name: formula.name, version: formula.version };
+
+  // Reject inputs that would turn the weight into NaN
+  const errors = validateWeightageInputs(tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance);
+  if (errors.length > 0) {
+    throw new InvalidHolderError(null, errors);
+  }
+
+  // Only include holders with balance ≥ minimum threshold
+  if (tokens < minBalance) {
     return {
       balanceWeight: 0,
       earlyBonus: 0,
@@ -81,53 +55,355 @@ function calculateWeightage(tokens, hoursAfterLaunch, hoursSinceLaunch, minBalan
       totalWeight: 0,
       hoursSinceLaunch: 0,
       hoursHeld: 0,
-      qualified: false
+      qualified: false,
+      profile: profileInfo
     };
   }
+  
+  // Calculate time differences in hours
+  const hoursHeld = hoursSinceLaunch - hoursAfterLaunch;
+  
+  // Convert to days for the same formula as main website
+  const daysSinceLaunch = hoursAfterLaunch / 24;
+  const daysHeld = hoursHeld / 24;
+  
+  // 1-3. Token Balance Weight, Early Bonus, Tenure Bonus - from the formula profile
+  const { balanceWeight: tokenBalanceWeight, earlyBonus, tenureBonus } = evaluateProfile(formula, {
+    tokenRatio: tokens / minBalance,
+    daysSinceLaunch,
+    daysHeld
+  });
+  
+  // 4. Time Weight - EXACT FORMULA FROM USER
+  const timeWeight = earlyBonus * tenureBonus;
+  
+  // 5. Total Weight - EXACT FORMULA FROM USER
+  const totalWeight = tokenBalanceWeight * timeWeight;
+  
+  return {
+    balanceWeight: tokenBalanceWeight,
+    earlyBonus,
+    tenureBonus,
+    timeWeight,
+    totalWeight,
+    hoursSinceLaunch: hoursAfterLaunch,
+    hoursHeld,
+    qualified: true,
+    profile: profileInfo
+  };
 }
 
 /**
- * Calculate distribution amounts for all holders
- * 
- * Uses the EXACT reward formula: reward = (your_weight / total_weights_all) × total_rewards
- * 
+ * Lamports per SOL (1 SOL = 1,000,000,000 lamports)
+ */
+const LAMPORTS_PER_SOL = 1000000000n;
+
+/**
+ * Default dust threshold in lamports (0.000001 SOL), matching the cutoff
+ * used by calculateDistribution
+ */
+const DEFAULT_MIN_PAYOUT_LAMPORTS = 1000n;
+
+/**
+ * Fixed-point scale used to turn floating-point weights into integers
+ */
+const WEIGHT_SCALE = 1e9;
+
+/**
+ * Fixed-point scale used to turn token balances into integers
+ */
+const TOKEN_SCALE = 1e6;
+
+/**
+ * Create a running sum with Neumaier compensation
+ *
+ * Adding many weights of very different sizes to a plain float total
+ * loses the low-order bits of the small ones, and the error depends on
+ * the order of the holders. The compensation term keeps the lost bits,
+ * so the total is accurate to the last bit whatever the count.
+ *
+ * @returns {object} { add(value), total() }
+ */
+function createCompensatedSum() {
+  let sum = 0;
+  let compensation = 0;
+
+  return {
+    add(value) {
+      const next = sum + value;
+      if (Math.abs(sum) >= Math.abs(value)) {
+        compensation += (sum - next) + value;
+      } else {
+        compensation += (value - next) + sum;
+      }
+      sum = next;
+    },
+    total() {
+      return sum + compensation;
+    }
+  };
+}
+
+/**
+ * Check the inputs of a distribution
+ *
+ * An invalid treasury or fee reserve always throws: there is no pool
+ * left to split, and an empty result would hide that. In strict mode
+ * an invalid holder throws too; otherwise invalid holders are left out
+ * (they could only produce NaN weights) and the rest are returned.
+ *
  * @param {Array} holders - Array of holder objects
- * @param {number} totalTreasury - Total treasury amount to distribute
- * @param {number} feeReserve - Percentage to reserve for fees (0-1)
- * @returns {Array} Distribution results for each holder
+ * @param {number|bigint} totalTreasury - Treasury amount
+ * @param {number} feeReserve - Fee reserve (0-1)
+ * @param {object} options - { strict, policy }; with a wallet policy
+ *   (see policy.js) the wallets it excludes are left out as well
+ * @returns {Array} Valid holders
  */
-function calculateDistribution(holders, totalTreasury, feeReserve = 0.05) {
-  // Filter out holders with zero weightage or above max balance
-  const validHolders = holders
+function screenInput(holders, totalTreasury, feeReserve, options) {
+  assertValidPool(totalTreasury, feeReserve);
+  if (options.strict) {
+    assertValidHolders(holders);
+    return applyPolicy(holders, options.policy).included;
+  }
+  return applyPolicy(checkHolders(holders).valid, options.policy).included;
+}
+
+/**
+ * Attach weightage to every holder and keep only qualified ones
+ *
+ * A holder qualifies when they meet the minimum balance AND are not
+ * above the maximum balance.
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {object} profile - Resolved formula profile
+ * @returns {Array} Qualified holders with their weightage attached
+ */
+function getQualifiedHolders(holders, profile) {
+  return holders
     .map(holder => ({
       ...holder,
       weightage: calculateWeightage(
         holder.tokens, 
         holder.hoursAfterLaunch, 
         holder.hoursSinceLaunch, 
-        holder.minBalance
+        holder.minBalance,
+        profile
       )
     }))
-    .filter(holder => {
-      // Check if qualified (meets min balance) AND not above max balance
-      return holder.weightage.qualified && holder.tokens <= holder.maxBalance;
+    .filter(holder => holder.weightage.qualified && holder.tokens <= holder.maxBalance);
+}
+
+/**
+ * Find the payout of every holder under per-wallet caps and floors
+ *
+ * Water-filling: every holder receives clamp(level × weight, floor, cap)
+ * and the water level is raised until the whole pool is used. Holders
+ * that hit the cap give their excess back to the others, holders lifted
+ * to the floor are funded by the others, and everyone still between the
+ * limits keeps a payout proportional to their weight.
+ *
+ * The level is found exactly by walking the breakpoints (floor / weight
+ * and cap / weight) where a holder becomes clamped or unclamped.
+ *
+ * @param {Array<number>} weights - Holder weights (all > 0)
+ * @param {number} pool - Amount to distribute
+ * @param {object} bounds - { floor, cap } in the same unit as pool
+ * @returns {object} { amounts, clampTypes, unallocated }
+ */
+function waterFill(weights, pool, { floor = 0, cap = Infinity }) {
+  const clampAt = level => weights.map(weight => Math.min(cap, Math.max(floor, level * weight)));
+  const fillAt = level => clampAt(level).reduce((sum, amount) => sum + amount, 0);
+
+  let level;
+  if (weights.length * cap <= pool) {
+    // Everyone is capped; whatever is left cannot be distributed
+    level = Infinity;
+  } else {
+    const breakpoints = [...new Set(
+      weights.flatMap(weight => [floor / weight, cap / weight]).filter(Number.isFinite)
+    )].sort((a, b) => a - b);
+
+    // Last breakpoint where the pool is not yet exhausted
+    let low = -1;
+    let high = breakpoints.length;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (fillAt(breakpoints[mid]) <= pool) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    // Between two breakpoints the fill is linear in the level
+    const start = low >= 0 ? breakpoints[low] : 0;
+    const end = high < breakpoints.length ? breakpoints[high] : start * 2 + 1;
+    const probe = (start + end) / 2;
+
+    let fixed = 0;
+    let freeWeight = 0;
+    weights.forEach(weight => {
+      const raw = probe * weight;
+      if (raw >= cap) {
+        fixed += cap;
+      } else if (raw <= floor) {
+        fixed += floor;
+      } else {
+        freeWeight += weight;
+      }
     });
 
+    level = freeWeight > 0 ? (pool - fixed) / freeWeight : start;
+  }
+
+  const amounts = clampAt(level);
+  const clampTypes = weights.map(weight => {
+    if (level * weight > cap) return 'cap';
+    if (level * weight < floor) return 'floor';
+    return null;
+  });
+
+  return {
+    amounts,
+    clampTypes,
+    unallocated: Math.max(0, pool - amounts.reduce((sum, amount) => sum + amount, 0))
+  };
+}
+
+/**
+ * Turn payout limits into a floor and cap for a pool
+ *
+ * @param {object} limits - Payout limits
+ * @param {number} limits.maxShare - Largest share of the pool one wallet may receive (0-1)
+ * @param {number} limits.maxAmount - Largest amount one wallet may receive
+ * @param {number} limits.minAmount - Smallest amount every qualified wallet receives
+ * @param {number} pool - Amount to distribute
+ * @param {number} holderCount - Number of qualified holders
+ * @returns {object|null} { floor, cap }, or null when no limit is set
+ */
+function resolvePayoutBounds(limits, pool, holderCount) {
+  const { maxShare, maxAmount, minAmount } = limits || {};
+  const cap = Math.min(
+    maxShare > 0 ? maxShare * pool : Infinity,
+    maxAmount > 0 ? maxAmount : Infinity
+  );
+  const floor = minAmount > 0 ? minAmount : 0;
+
+  if (cap === Infinity && floor === 0) {
+    return null;
+  }
+  if (floor > cap) {
+    throw new RangeError('Payout floor is larger than the payout cap');
+  }
+  if (floor * holderCount > pool) {
+    throw new RangeError(`Payout floor of ${floor} for ${holderCount} holders exceeds the pool of ${pool}`);
+  }
+
+  return { floor, cap };
+}
+
+/**
+ * Describe how a holder's payout was clamped
+ *
+ * @param {string|null} type - 'cap', 'floor' or null
+ * @param {number} limit - The limit that applied
+ * @param {number} unclampedAmount - Proportional amount before limits
+ * @param {number} amount - Final amount
+ * @returns {object|null} Clamp details, or null when not clamped
+ */
+function describeClamp(type, limit, unclampedAmount, amount) {
+  if (!type) {
+    return null;
+  }
+  return {
+    type,
+    limit,
+    unclampedAmount,
+    adjustment: amount - unclampedAmount
+  };
+}
+
+/**
+ * Calculate distribution amounts for all holders
+ * 
+ * Uses the EXACT reward formula: reward = (your_weight / total_weights_all) × total_rewards
+ *
+ * With payout limits, caps and floors are applied by water-filling (see
+ * waterFill): clamped holders carry a `clamp` object with the limit and
+ * the adjustment from their proportional amount, and `share` becomes
+ * the share of the pool actually received.
+ *
+ * With a cluster map (see clusters.js), linked wallets are merged into
+ * one entity before weighting; the entity's payout is split back across
+ * its wallets by token balance and each wallet result carries `entity`.
+ *
+ * With a wallet policy (see policy.js), denylisted wallets, wallets with
+ * an excluded label and, in allowlist-only mode, wallets not on the
+ * allowlist are left out before weighting (and before clustering).
+ *
+ * Holders with invalid values (see validation.js) are left out; with
+ * `strict` they throw instead. An invalid treasury or fee reserve
+ * always throws.
+ * 
+ * @param {Array} holders - Array of holder objects
+ * @param {number} totalTreasury - Total treasury amount to distribute
+ * @param {number} feeReserve - Percentage to reserve for fees (0-1)
+ * @param {object} options - Optional settings
+ * @param {string|object} options.profile - Formula profile name or object (default rewardflow-v1)
+ * @param {object} options.limits - Payout limits { maxShare, maxAmount, minAmount } (SOL)
+ * @param {object|Map} options.clusters - Address -> entity ID map
+ * @param {object} options.policy - Wallet policy { deny, allow, allowlistOnly, labels, excludeLabels }
+ * @param {boolean} options.strict - Throw on invalid input instead of skipping it
+ * @returns {Array} Distribution results for each holder
+ * @throws {ConfigError} If the treasury or fee reserve is invalid
+ * @throws {InvalidHolderError} In strict mode, on an invalid holder
+ */
+function calculateDistribution(holders, totalTreasury, feeReserve = 0.05, options = {}) {
+  const checkedHolders = screenInput(holders, totalTreasury, feeReserve, options);
+
+  if (options.clusters) {
+    const { entities, members } = mergeClusters(checkedHolders, options.clusters);
+    const entityResults = calculateDistribution(entities, totalTreasury, feeReserve, { ...options, clusters: null, policy: null });
+
+    return splitEntityResults(entityResults, members, (result, group) =>
+      group.map(holder => ({ amount: result.tokens > 0 ? result.amount * holder.tokens / result.tokens : 0 }))
+    ).filter(result => result.amount >= 0.000001);
+  }
+
+  const profile = resolveProfile(options.profile);
+
+  // Filter out holders with zero weightage or above max balance
+  const validHolders = getQualifiedHolders(checkedHolders, profile);
+
   if (validHolders.length === 0) {
     return [];
   }
 
   // Calculate total weightage
-  const totalWeightage = validHolders.reduce((sum, holder) => sum + holder.weightage.totalWeight, 0);
+  const weightSum = createCompensatedSum();
+  validHolders.forEach(holder => weightSum.add(holder.weightage.totalWeight));
+  const totalWeightage = weightSum.total();
 
   // Reserve fees
   const feeAmount = totalTreasury * feeReserve;
   const availableForDistribution = totalTreasury - feeAmount;
 
+  // Apply per-wallet caps and floors
+  const bounds = resolvePayoutBounds(options.limits, availableForDistribution, validHolders.length);
+  const filled = bounds && waterFill(validHolders.map(holder => holder.weightage.totalWeight), availableForDistribution, bounds);
+
   // Calculate distribution amounts
-  const distributionResults = validHolders.map(holder => {
-    const share = holder.weightage.totalWeight / totalWeightage;
-    const amount = availableForDistribution * share;
+  const distributionResults = validHolders.map((holder, index) => {
+    let share = holder.weightage.totalWeight / totalWeightage;
+    let amount = availableForDistribution * share;
+    let clamp = null;
+
+    if (filled) {
+      const type = filled.clampTypes[index];
+      clamp = describeClamp(type, type && bounds[type], amount, filled.amounts[index]);
+      amount = filled.amounts[index];
+      share = amount / availableForDistribution;
+    }
 
     return {
       address: holder.address,
@@ -135,7 +411,9 @@ function calculateDistribution(holders, totalTreasury, feeReserve = 0.05) {
       weightage: holder.weightage,
       share,
       amount,
-      sharePercentage: share * 100
+      sharePercentage: share * 100,
+      profile: holder.weightage.profile,
+      clamp
     };
   });
 
@@ -145,18 +423,302 @@ function calculateDistribution(holders, totalTreasury, feeReserve = 0.05) {
   return filteredResults;
 }
 
+/**
+ * Largest SOL amount (exclusive) that toFixed still writes out in full
+ */
+const MAX_SOL = 1e21;
+
+/**
+ * Convert a SOL amount to lamports
+ *
+ * Goes through the decimal representation so that values like 0.1 SOL
+ * become exactly 100,000,000 lamports instead of picking up float error.
+ *
+ * @param {number|bigint} sol - Amount in SOL (a bigint is taken as lamports already)
+ * @returns {bigint} Amount in lamports
+ * @throws {ConfigError} If the amount is not a finite number below 1e21
+ */
+function solToLamports(sol) {
+  if (typeof sol === 'bigint') {
+    return sol;
+  }
+  if (typeof sol !== 'number' || !Number.isFinite(sol) || Math.abs(sol) >= MAX_SOL) {
+    throw new ConfigError([{ field: 'sol', message: `sol must be a finite number below ${MAX_SOL}`, value: sol }]);
+  }
+
+  const [whole, fraction] = sol.toFixed(9).split('.');
+  return BigInt(whole + fraction);
+}
+
+/**
+ * Convert lamports to a SOL number for display
+ *
+ * @param {bigint} lamports - Amount in lamports
+ * @returns {number} Amount in SOL
+ */
+function lamportsToSol(lamports) {
+  return Number(lamports) / Number(LAMPORTS_PER_SOL);
+}
+
+/**
+ * Lamports reserved for fees: floor(totalLamports × feeReserve)
+ *
+ * The fee share is scaled to a fixed-point integer first, so every
+ * caller rounds the fee the same way.
+ *
+ * @param {bigint} totalLamports - Amount the fee is taken from
+ * @param {number} feeReserve - Percentage to reserve for fees (0-1)
+ * @returns {bigint} Fee in lamports
+ */
+function reserveFeeLamports(totalLamports, feeReserve) {
+  return totalLamports * BigInt(Math.round(feeReserve * WEIGHT_SCALE)) / BigInt(WEIGHT_SCALE);
+}
+
+/**
+ * Split a lamport pool by weight using the largest remainder method
+ *
+ * Every entry gets floor(pool × weight / total_weight); the leftover
+ * lamports go one each to the largest remainders, ties broken by
+ * address in ascending order.
+ *
+ * @param {Array} entries - { address, weight } with bigint weights
+ * @param {bigint} pool - Lamports to split
+ * @returns {Array<bigint>} Lamports per entry, in input order
+ */
+function allocateLargestRemainder(entries, pool) {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0n);
+  if (totalWeight <= 0n) {
+    return entries.map(() => 0n);
+  }
+
+  // Round every share down and remember the remainder
+  const allocations = entries.map(entry => {
+    const numerator = pool * entry.weight;
+    return {
+      address: entry.address,
+      lamports: numerator / totalWeight,
+      remainder: numerator % totalWeight
+    };
+  });
+
+  // Hand out the leftover lamports by largest remainder, ties by address
+  const allocated = allocations.reduce((sum, allocation) => sum + allocation.lamports, 0n);
+  let leftover = pool - allocated;
+
+  const byRemainder = [...allocations].sort((a, b) => {
+    if (a.remainder !== b.remainder) {
+      return a.remainder > b.remainder ? -1 : 1;
+    }
+    return a.address < b.address ? -1 : a.address > b.address ? 1 : 0;
+  });
+
+  for (let i = 0; leftover > 0n; i++, leftover--) {
+    byRemainder[i].lamports += 1n;
+  }
+
+  return allocations.map(allocation => allocation.lamports);
+}
+
+/**
+ * Calculate lamport-exact distribution amounts for all holders
+ *
+ * Works entirely in integer lamports so the books always reconcile:
+ *
+ *   sum(payouts) + feeLamports + dustLamports === totalLamports
+ *
+ * Allocation rule (largest remainder method):
+ * 1. feeLamports = floor(totalLamports × feeReserve)
+ * 2. Every qualified holder gets floor(distributable × weight / total_weight)
+ * 3. The leftover lamports (always fewer than the number of holders) are
+ *    handed out one each, in order of largest fractional remainder; ties
+ *    are broken by address in ascending order
+ * 4. Holders whose payout is below minPayoutLamports are moved to the
+ *    `dropped` list and their lamports are reported as dust
+ *
+ * Weights are converted to fixed-point integers (scaled by 1e9) before
+ * dividing, so the result is identical on every platform.
+ *
+ * With payout limits, clamped holders receive exactly their cap or
+ * floor in lamports and the remaining lamports are split among the
+ * unclamped holders with the rule above. If every holder is capped,
+ * the lamports nobody may receive are reported as dust.
+ *
+ * With a cluster map, each entity's lamports are split across its
+ * wallets by token balance with the same largest remainder rule.
+ *
+ * Invalid holders are left out, or throw with `strict`; an invalid
+ * treasury or fee reserve always throws. A wallet policy applies, as
+ * in calculateDistribution.
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {number|bigint} totalTreasury - Treasury in SOL (number) or lamports (bigint)
+ * @param {number} feeReserve - Percentage to reserve for fees (0-1)
+ * @param {object} options - Optional settings
+ * @param {bigint} options.minPayoutLamports - Dust threshold (default 1000 lamports)
+ * @param {string|object} options.profile - Formula profile name or object (default rewardflow-v1)
+ * @param {object} options.limits - Payout limits { maxShare, maxAmount, minAmount } (SOL)
+ * @param {object|Map} options.clusters - Address -> entity ID map
+ * @param {object} options.policy - Wallet policy (see policy.js)
+ * @param {boolean} options.strict - Throw on invalid input instead of skipping it
+ * @returns {object} Payouts, dropped holders and the lamport totals
+ * @throws {ConfigError} If the treasury or fee reserve is invalid
+ * @throws {InvalidHolderError} In strict mode, on an invalid holder
+ */
+function calculateLamportDistribution(holders, totalTreasury, feeReserve = 0.05, options = {}) {
+  const { minPayoutLamports = DEFAULT_MIN_PAYOUT_LAMPORTS } = options;
+
+  const checkedHolders = screenInput(holders, totalTreasury, feeReserve, options);
+
+  if (options.clusters) {
+    const { entities, members } = mergeClusters(checkedHolders, options.clusters);
+    const entityResult = calculateLamportDistribution(entities, totalTreasury, feeReserve, { ...options, clusters: null, policy: null });
+
+    const split = results => splitEntityResults(results, members, (result, group) => {
+      const lamports = allocateLargestRemainder(
+        group.map(holder => ({ address: holder.address, weight: BigInt(Math.round(holder.tokens * TOKEN_SCALE)) })),
+        result.lamports
+      );
+      return lamports.map(walletLamports => ({ lamports: walletLamports, amount: lamportsToSol(walletLamports) }));
+    });
+
+    const wallets = split(entityResult.distribution);
+    const distribution = wallets.filter(result => result.lamports >= minPayoutLamports);
+    const dropped = [...split(entityResult.dropped), ...wallets.filter(result => result.lamports < minPayoutLamports)];
+    const distributedLamports = distribution.reduce((sum, result) => sum + result.lamports, 0n);
+
+    return {
+      ...entityResult,
+      distribution,
+      dropped,
+      distributedLamports,
+      dustLamports: entityResult.distributableLamports - distributedLamports
+    };
+  }
+
+  const profile = resolveProfile(options.profile);
+
+  const totalLamports = solToLamports(totalTreasury);
+  const feeLamports = reserveFeeLamports(totalLamports, feeReserve);
+  const distributableLamports = totalLamports - feeLamports;
+
+  const validHolders = getQualifiedHolders(checkedHolders, profile);
+
+  if (validHolders.length === 0) {
+    return {
+      profile: { name: profile.name, version: profile.version },
+      distribution: [],
+      dropped: [],
+      totalLamports,
+      feeLamports,
+      distributableLamports,
+      distributedLamports: 0n,
+      dustLamports: distributableLamports
+    };
+  }
+
+  const totalWeightage = validHolders.reduce((sum, holder) => sum + holder.weightage.totalWeight, 0);
+  const pool = Number(distributableLamports);
+
+  // Apply per-wallet caps and floors (in whole lamports)
+  const { maxAmount, minAmount } = options.limits || {};
+  const bounds = resolvePayoutBounds({
+    ...options.limits,
+    maxAmount: maxAmount > 0 ? Number(solToLamports(maxAmount)) : undefined,
+    minAmount: minAmount > 0 ? Number(solToLamports(minAmount)) : undefined
+  }, pool, validHolders.length);
+
+  if (bounds) {
+    bounds.cap = Math.floor(bounds.cap);
+  }
+  const filled = bounds && waterFill(validHolders.map(holder => holder.weightage.totalWeight), pool, bounds);
+  const clampTypes = filled ? filled.clampTypes : validHolders.map(() => null);
+
+  // Clamped holders get their limit exactly, the rest is split by weight
+  const clampedLamports = clampTypes.map(type => (type ? BigInt(bounds[type]) : 0n));
+  const freeIndexes = validHolders.map((holder, index) => index).filter(index => !clampTypes[index]);
+  const anyFree = freeIndexes.length > 0;
+  const freePool = anyFree
+    ? distributableLamports - clampedLamports.reduce((sum, lamports) => sum + lamports, 0n)
+    : 0n;
+
+  const freeLamports = allocateLargestRemainder(
+    freeIndexes.map(index => ({
+      address: validHolders[index].address,
+      weight: BigInt(Math.round(validHolders[index].weightage.totalWeight * WEIGHT_SCALE))
+    })),
+    freePool
+  );
+  const payouts = [...clampedLamports];
+  freeIndexes.forEach((holderIndex, i) => {
+    payouts[holderIndex] = freeLamports[i];
+  });
+
+  const results = validHolders.map((holder, index) => {
+    const lamports = payouts[index];
+    let share = holder.weightage.totalWeight / totalWeightage;
+    let clamp = null;
+
+    if (filled) {
+      const type = clampTypes[index];
+      clamp = describeClamp(type, type && bounds[type], pool * share, Number(lamports));
+      share = Number(lamports) / pool;
+    }
+
+    return {
+      address: holder.address,
+      tokens: holder.tokens,
+      weightage: holder.weightage,
+      share,
+      lamports,
+      amount: lamportsToSol(lamports),
+      sharePercentage: share * 100,
+      profile: holder.weightage.profile,
+      clamp
+    };
+  });
+
+  // Sub-threshold payouts are reported, not silently discarded
+  const distribution = results.filter(result => result.lamports >= minPayoutLamports);
+  const dropped = results.filter(result => result.lamports < minPayoutLamports);
+
+  const distributedLamports = distribution.reduce((sum, result) => sum + result.lamports, 0n);
+
+  return {
+    profile: { name: profile.name, version: profile.version },
+    distribution,
+    dropped,
+    totalLamports,
+    feeLamports,
+    distributableLamports,
+    distributedLamports,
+    dustLamports: distributableLamports - distributedLamports
+  };
+}
+
 /**
  * Get distribution statistics
+ *
+ * Besides totals and averages, reports how concentrated the rewards
+ * are (Gini, Herfindahl-Hirschman, Nakamoto, Theil, percentiles) next
+ * to the same metrics for the recipients' token balances, plus each
+ * recipient's reward share vs token share. A ratio below 1 means the
+ * holder receives a smaller share of rewards than of tokens.
  * 
  * @param {Array} holders - Array of holder objects
  * @param {Array} distribution - Distribution results
  * @returns {object} Statistics about the distribution
  */
 function getDistributionStats(holders, distribution) {
-  const validHolders = holders.filter(h => h.tokens >= h.minBalance);
+  const validHolders = holders.filter(h => h.tokens >= h.minBalance && h.tokens <= h.maxBalance);
   const totalTokens = validHolders.reduce((sum, h) => sum + h.tokens, 0);
-  const totalWeightage = distribution.reduce((sum, d) => sum + d.weightage.totalWeight, 0);
-  const totalDistributed = distribution.reduce((sum, d) => sum + d.amount, 0);
+  const weightSum = createCompensatedSum();
+  const amountSum = createCompensatedSum();
+  distribution.forEach(d => {
+    weightSum.add(d.weightage.totalWeight);
+    amountSum.add(d.amount);
+  });
+  const totalWeightage = weightSum.total();
+  const totalDistributed = amountSum.total();
 
   // Calculate averages
   const averageWeight = totalWeightage / distribution.length;
@@ -166,6 +728,20 @@ function getDistributionStats(holders, distribution) {
   const sortedByWeight = [...distribution].sort((a, b) => b.weightage.totalWeight - a.weightage.totalWeight);
   const sortedByReward = [...distribution].sort((a, b) => b.amount - a.amount);
 
+  // Reward share vs token share for every recipient
+  const recipientTokens = distribution.reduce((sum, d) => sum + d.tokens, 0);
+  const shareRatios = distribution.map(d => {
+    const tokenShare = recipientTokens > 0 ? d.tokens / recipientTokens : 0;
+    const rewardShare = totalDistributed > 0 ? d.amount / totalDistributed : 0;
+
+    return {
+      address: d.address,
+      tokenShare,
+      rewardShare,
+      ratio: tokenShare > 0 ? rewardShare / tokenShare : 0
+    };
+  });
+
   return {
     totalHolders: holders.length,
     validHolders: validHolders.length,
@@ -177,7 +753,12 @@ function getDistributionStats(holders, distribution) {
     topWeight: sortedByWeight[0],
     topReward: sortedByReward[0],
     bottomWeight: sortedByWeight[sortedByWeight.length - 1],
-    bottomReward: sortedByReward[sortedByReward.length - 1]
+    bottomReward: sortedByReward[sortedByReward.length - 1],
+    fairness: {
+      rewards: concentration(distribution.map(d => d.amount)),
+      tokens: concentration(distribution.map(d => d.tokens))
+    },
+    shareRatios
   };
 }
 
@@ -203,8 +784,14 @@ function formatLargeNumber(num) {
 }
 
 module.exports = {
+  LAMPORTS_PER_SOL,
+  createCompensatedSum,
   calculateWeightage,
   calculateDistribution,
+  calculateLamportDistribution,
+  solToLamports,
+  lamportsToSol,
+  reserveFeeLamports,
   getDistributionStats,
   formatNumber,
   formatLargeNumber
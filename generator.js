@@ -0,0 +1,275 @@
+/**
+ * RewardFlow Distribution Algorithm - Synthetic Holder Generator
+ *
+ * Builds realistic holder sets for load and scenario testing. A
+ * population is a list of segments, each drawing its balances from a
+ * Pareto or log-normal distribution and its purchase hours from a
+ * launch curve. Runs are seeded, so the same options always give the
+ * same holders.
+ *
+ * Balance distributions:
+ * - pareto:    { distribution: 'pareto', min, alpha }
+ * - lognormal: { distribution: 'lognormal', median, sigma }
+ * Either may set `max` to cap the balance.
+ *
+ * Launch curves (purchase hour between 0 and hoursSinceLaunch):
+ * - uniform:      { curve: 'uniform' }
+ * - exponential:  { curve: 'exponential', halfLifeHours }  most buys early
+ * - linear-decay: { curve: 'linear-decay' }                buys taper off to zero
+ * - burst:        { curve: 'burst', atHour, widthHours }   buys bunched around one hour
+ */
+
+const { encodeBase58 } = require('./base58');
+
+const PRESETS = {
+  'fair-launch': {
+    description: 'Organic buyers, balances log-normal around 60K, most buying in the first day',
+    segments: [
+      { share: 1, balance: { distribution: 'lognormal', median: 60000, sigma: 1.3 }, launch: { curve: 'exponential', halfLifeHours: 12 } }
+    ]
+  },
+  'whale-heavy': {
+    description: 'Heavy-tailed retail plus a few large wallets that hold most of the supply',
+    segments: [
+      { share: 0.97, balance: { distribution: 'pareto', min: 5000, alpha: 1.1, max: 50000000 }, launch: { curve: 'linear-decay' } },
+      { share: 0.03, balance: { distribution: 'lognormal', median: 20000000, sigma: 0.8 }, launch: { curve: 'uniform' } }
+    ]
+  },
+  'bot-sniper-swarm': {
+    description: 'A swarm of near-identical sniper wallets in the first minutes, then organic buyers',
+    segments: [
+      { share: 0.4, balance: { distribution: 'lognormal', median: 25000, sigma: 0.05 }, launch: { curve: 'burst', atHour: 0.05, widthHours: 0.05 } },
+      { share: 0.6, balance: { distribution: 'lognormal', median: 60000, sigma: 1.3 }, launch: { curve: 'exponential', halfLifeHours: 12 } }
+    ]
+  }
+};
+
+/**
+ * Turn a seed into a 32-bit integer
+ *
+ * Whole numbers (and their text, as typed on the command line) are used
+ * as they are; other text is hashed.
+ *
+ * @param {number|string} seed - Seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+function seedToInt(seed) {
+  if (/^\d+$/.test(String(seed))) {
+    return Number(seed) >>> 0;
+  }
+
+  // FNV-1a over the text
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ *
+ * @param {number|string} seed - Seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRng(seed) {
+  let state = seedToInt(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ *
+ * @param {Function} random - RNG
+ * @returns {number} Sample
+ */
+function normal(random) {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Draw a token balance
+ *
+ * @param {Function} random - RNG
+ * @param {object} spec - Balance distribution
+ * @returns {number} Whole number of tokens, at least 1
+ * @throws {Error} On an unknown distribution or bad parameters
+ */
+function sampleBalance(random, spec) {
+  let tokens;
+  if (spec.distribution === 'pareto') {
+    if (!(spec.min > 0) || !(spec.alpha > 0)) {
+      throw new Error('pareto balances need min > 0 and alpha > 0');
+    }
+    tokens = spec.min / Math.pow(1 - random(), 1 / spec.alpha);
+  } else if (spec.distribution === 'lognormal') {
+    if (!(spec.median > 0) || !(spec.sigma >= 0)) {
+      throw new Error('lognormal balances need median > 0 and sigma >= 0');
+    }
+    tokens = spec.median * Math.exp(spec.sigma * normal(random));
+  } else {
+    throw new Error(`Unknown balance distribution "${spec.distribution}"`);
+  }
+
+  if (spec.max !== undefined) {
+    tokens = Math.min(tokens, spec.max);
+  }
+  return Math.max(1, Math.round(tokens));
+}
+
+/**
+ * Draw a purchase hour
+ *
+ * @param {Function} random - RNG
+ * @param {object} spec - Launch curve
+ * @param {number} hoursSinceLaunch - Latest possible hour
+ * @returns {number} Hours after launch, rounded to 0.01
+ * @throws {Error} On an unknown curve or bad parameters
+ */
+function samplePurchaseHour(random, spec, hoursSinceLaunch) {
+  let hour;
+  if (spec.curve === 'uniform') {
+    hour = random() * hoursSinceLaunch;
+  } else if (spec.curve === 'exponential') {
+    if (!(spec.halfLifeHours > 0)) {
+      throw new Error('exponential launch curves need halfLifeHours > 0');
+    }
+    // Inverse CDF of an exponential truncated to [0, hoursSinceLaunch]
+    const rate = Math.LN2 / spec.halfLifeHours;
+    const tail = 1 - Math.exp(-rate * hoursSinceLaunch);
+    hour = -Math.log(1 - random() * tail) / rate;
+  } else if (spec.curve === 'linear-decay') {
+    hour = (1 - Math.sqrt(1 - random())) * hoursSinceLaunch;
+  } else if (spec.curve === 'burst') {
+    if (!Number.isFinite(spec.atHour) || !(spec.widthHours >= 0)) {
+      throw new Error('burst launch curves need atHour and widthHours >= 0');
+    }
+    hour = spec.atHour + spec.widthHours * normal(random);
+  } else {
+    throw new Error(`Unknown launch curve "${spec.curve}"`);
+  }
+
+  return Math.round(Math.min(Math.max(hour, 0), hoursSinceLaunch) * 100) / 100;
+}
+
+/**
+ * Draw a random 32-byte public key, base58 encoded
+ *
+ * @param {Function} random - RNG
+ * @returns {string} Address
+ */
+function sampleAddress(random) {
+  const bytes = Buffer.alloc(32);
+  for (let i = 0; i < 32; i += 4) {
+    bytes.writeUInt32LE(Math.floor(random() * 4294967296), i);
+  }
+  return encodeBase58(bytes);
+}
+
+/**
+ * Split a holder count between segments by share (largest remainder)
+ *
+ * @param {number} count - Total holders
+ * @param {Array} segments - Segments with share
+ * @returns {Array<number>} Holders per segment, summing to count
+ */
+function segmentCounts(count, segments) {
+  const totalShare = segments.reduce((sum, segment) => sum + segment.share, 0);
+  const exact = segments.map(segment => (count * segment.share) / totalShare);
+  const counts = exact.map(Math.floor);
+  let remaining = count - counts.reduce((sum, n) => sum + n, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        counts[index]++;
+        remaining--;
+      }
+    });
+
+  return counts;
+}
+
+/**
+ * Generate synthetic holder rows
+ *
+ * Rows have the same shape as imported rows, so they go through
+ * createHolder into calculateDistribution like any holder file.
+ *
+ * @param {object} options - Generator settings
+ * @param {number} options.count - Number of holders
+ * @param {number|string} options.seed - Seed (default 1)
+ * @param {string} options.preset - Preset name (default 'fair-launch'), ignored when segments are given
+ * @param {Array} options.segments - [{ share, balance, launch }]
+ * @param {number} options.hoursSinceLaunch - Latest purchase hour (default 48)
+ * @returns {Array} Rows { address, tokens, hoursAfterLaunch }, segment by segment
+ * @throws {Error} On an unknown preset, a bad count or bad segment settings
+ */
+function generateHolders(options = {}) {
+  const { count, seed = 1, preset = 'fair-launch', hoursSinceLaunch = 48 } = options;
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error('count must be a whole number of holders');
+  }
+  if (!(hoursSinceLaunch > 0)) {
+    throw new Error('hoursSinceLaunch must be greater than 0');
+  }
+
+  let segments = options.segments;
+  if (!segments) {
+    if (!PRESETS[preset]) {
+      throw new Error(`Unknown preset "${preset}" (available: ${Object.keys(PRESETS).join(', ')})`);
+    }
+    segments = PRESETS[preset].segments;
+  }
+  if (segments.length === 0 || segments.some(segment => !(segment.share > 0))) {
+    throw new Error('Every segment needs a share greater than 0');
+  }
+
+  const random = createRng(seed);
+  const addresses = new Set();
+  const rows = [];
+
+  segmentCounts(count, segments).forEach((segmentCount, index) => {
+    const { balance, launch } = segments[index];
+    for (let i = 0; i < segmentCount; i++) {
+      let address;
+      do {
+        address = sampleAddress(random);
+      } while (addresses.has(address));
+      addresses.add(address);
+
+      rows.push({
+        address,
+        tokens: sampleBalance(random, balance),
+        hoursAfterLaunch: samplePurchaseHour(random, launch, hoursSinceLaunch)
+      });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * List the built-in presets
+ *
+ * @returns {Array} { name, description }
+ */
+function listPresets() {
+  return Object.entries(PRESETS).map(([name, { description }]) => ({ name, description }));
+}
+
+module.exports = {
+  PRESETS,
+  createRng,
+  generateHolders,
+  listPresets
+};
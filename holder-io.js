@@ -0,0 +1,395 @@
+/**
+ * RewardFlow Distribution Algorithm - Holder Files
+ * 
+ * Reading holder lists from CSV or JSON files and turning rows into
+ * the holder objects used by calculateDistribution.
+ *
+ * CSV files need a header row with (case-insensitive) columns:
+ *   address,tokens,hoursAfterLaunch
+ * Blank lines and lines starting with '#' are ignored, except settings
+ * comments in the form `# minBalance=20000`. The demo and the CLI both
+ * apply them; the CLI reads them from above the header row only.
+ *
+ * JSON files contain either an array of rows or an object with a
+ * `holders` array and an optional `config` object.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { DEFAULT_CONFIG } = require('./config');
+const { validateHolderRow } = require('./validation');
+const { getProfile, profileId } = require('./profiles');
+const { canonicalJson } = require('./json');
+
+const CONFIG_KEYS = Object.keys(DEFAULT_CONFIG);
+
+/**
+ * Build a holder object from raw fields and the current settings
+ *
+ * @param {object} fields - Holder fields
+ * @param {string} fields.address - Wallet address
+ * @param {number} fields.tokens - Number of tokens held
+ * @param {number} fields.hoursAfterLaunch - Hours after launch when first bought
+ * @param {object} config - Current settings (minBalance, maxBalance, hoursSinceLaunch)
+ * @returns {object} Holder object
+ */
+function createHolder({ address, tokens, hoursAfterLaunch }, config) {
+  return {
+    address,
+    tokens,
+    hoursAfterLaunch,
+    hoursHeld: config.hoursSinceLaunch - hoursAfterLaunch,
+    minBalance: config.minBalance,
+    maxBalance: config.maxBalance,
+    hoursSinceLaunch: config.hoursSinceLaunch
+  };
+}
+
+/**
+ * Describe where a row came from, for error messages
+ *
+ * @param {object} row - Parsed row
+ * @returns {string} e.g. "line 4" or "entry 2"
+ */
+function describeRowLocation(row) {
+  return row.line !== undefined ? `line ${row.line}` : `entry ${row.entry}`;
+}
+
+/**
+ * Convert a raw cell value to a number
+ *
+ * @param {*} value - Raw value
+ * @returns {number} Parsed number (NaN when not numeric)
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return NaN;
+  }
+  return Number(value.trim());
+}
+
+/**
+ * Keep only known settings from a config object
+ *
+ * Values are kept when they have the same type as the default
+ * (numbers for balances and hours, strings for the formula profile).
+ * The formula profile may also be a whole profile object, as JSON
+ * files written with a custom profile store it.
+ *
+ * @param {object} raw - Settings read from a file
+ * @returns {object|null} Settings, or null when none were found
+ */
+function pickConfig(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const config = {};
+  CONFIG_KEYS.forEach(key => {
+    if (key === 'formulaProfile' && raw[key] && typeof raw[key] === 'object') {
+      // JSON files can hold a whole profile definition
+      config[key] = raw[key];
+      return;
+    }
+    if (typeof DEFAULT_CONFIG[key] === 'string') {
+      if (typeof raw[key] === 'string' && raw[key] !== '') {
+        config[key] = raw[key];
+      }
+      return;
+    }
+
+    const value = toNumber(raw[key]);
+    if (Number.isFinite(value)) {
+      config[key] = value;
+    }
+  });
+
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+/**
+ * Create a line-by-line CSV row parser
+ *
+ * Used by parseHoldersCsv and by the streaming engine, which reads
+ * files too large to hold in memory one line at a time.
+ *
+ * @returns {object} { parseLine(rawLine, lineNumber) -> row or null, config() -> settings or null }
+ */
+function createCsvParser() {
+  const rawConfig = {};
+  let columns = null;
+
+  function parseLine(rawLine, lineNumber) {
+    const line = rawLine.trim();
+    if (line === '') {
+      return null;
+    }
+    if (line.startsWith('#')) {
+      const setting = line.match(/^#\s*(\w+)\s*=\s*(\S+)$/);
+      if (setting) {
+        rawConfig[setting[1]] = setting[2];
+      }
+      return null;
+    }
+
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+    if (!columns) {
+      columns = cells.map(cell => cell.toLowerCase());
+      return null;
+    }
+
+    const record = {};
+    columns.forEach((column, i) => {
+      record[column] = cells[i];
+    });
+
+    return {
+      line: lineNumber,
+      address: record.address,
+      tokens: toNumber(record.tokens),
+      hoursAfterLaunch: toNumber(record.hoursafterlaunch)
+    };
+  }
+
+  return { parseLine, config: () => pickConfig(rawConfig) };
+}
+
+/**
+ * Parse holder rows from CSV text
+ *
+ * @param {string} text - CSV file contents
+ * @returns {object} { rows, config } - rows carry their 1-based line number
+ */
+function parseHoldersCsv(text) {
+  const parser = createCsvParser();
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const row = parser.parseLine(line, index + 1);
+    if (row) {
+      rows.push(row);
+    }
+  });
+
+  return { rows, config: parser.config() };
+}
+
+/**
+ * Turn one JSON holder entry into a row
+ *
+ * @param {object} entry - Parsed entry
+ * @param {number} entryNumber - 1-based position in the file
+ * @returns {object} Row
+ */
+function parseHolderEntry(entry, entryNumber) {
+  return {
+    entry: entryNumber,
+    address: entry && entry.address,
+    tokens: toNumber(entry && entry.tokens),
+    hoursAfterLaunch: toNumber(entry && entry.hoursAfterLaunch)
+  };
+}
+
+/**
+ * Parse holder rows from JSON text
+ *
+ * @param {string} text - JSON file contents
+ * @returns {object} { rows, config } - rows carry their 1-based entry number
+ */
+function parseHoldersJson(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data.holders;
+
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON holder file must be an array or an object with a "holders" array');
+  }
+
+  const rows = entries.map((entry, index) => parseHolderEntry(entry, index + 1));
+
+  return { rows, config: Array.isArray(data) ? null : pickConfig(data.config) };
+}
+
+/**
+ * Read holder rows from a CSV or JSON file (chosen by extension)
+ *
+ * @param {string} filePath - Path to the holder file
+ * @returns {object} { rows, config } - config is null when the file has none
+ */
+function readHoldersFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.json') {
+    return parseHoldersJson(text);
+  }
+  if (extension === '.csv') {
+    return parseHoldersCsv(text);
+  }
+
+  throw new Error(`Unsupported holder file type "${extension}" (use .csv or .json)`);
+}
+
+/**
+ * Read only the settings of a holder file
+ *
+ * CSV files are read up to their header row, so the settings comments
+ * above it are found without loading a file too large for memory.
+ * Files of other types (e.g. .ndjson) have no settings.
+ *
+ * @param {string} filePath - Path to the holder file
+ * @returns {object|null} Settings, or null when the file has none
+ */
+function readHoldersSettings(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.json') {
+    return readHoldersFile(filePath).config;
+  }
+  if (extension !== '.csv') {
+    return null;
+  }
+
+  const parser = createCsvParser();
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let text = '';
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (text + decoder.write(buffer.subarray(0, bytesRead))).split(/\r?\n/);
+      text = lines.pop();
+      for (const line of lines) {
+        // The first line that is neither blank nor a comment is the header
+        if (line.trim() !== '' && !line.trim().startsWith('#')) {
+          return parser.config();
+        }
+        parser.parseLine(line, 0);
+      }
+    }
+    parser.parseLine(text + decoder.end(), 0);
+    return parser.config();
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Validate parsed rows
+ *
+ * Applies the same rules as adding a holder in the demo:
+ * - the address is present and not already used (case-insensitive),
+ *   either by an existing holder or by an earlier row
+ * - the token balance is a positive number
+ * - hoursAfterLaunch is between 0 and config.hoursSinceLaunch
+ *
+ * Rows are checked individually, so one bad row does not stop the
+ * rest from being used.
+ *
+ * @param {Array} rows - Parsed rows
+ * @param {object} config - Current settings (hoursSinceLaunch)
+ * @param {Array} existingHolders - Holders already loaded
+ * @returns {object} { valid: Array, rejected: Array<{ row, errors }> }
+ */
+function validateHolderRows(rows, config, existingHolders = []) {
+  const valid = [];
+  const rejected = [];
+  const seen = new Set(existingHolders.map(holder => holder.address.toLowerCase()));
+
+  rows.forEach(row => {
+    const errors = validateHolderRow(row, config).map(error => error.message);
+
+    if (typeof row.address === 'string' && seen.has(row.address.toLowerCase())) {
+      errors.unshift(`duplicate address ${row.address}`);
+    }
+
+    if (errors.length > 0) {
+      rejected.push({ row, errors });
+    } else {
+      seen.add(row.address.toLowerCase());
+      valid.push(row);
+    }
+  });
+
+  return { valid, rejected };
+}
+
+/**
+ * The formula profile as it can be written in a CSV settings comment
+ *
+ * A profile object is written as its name@version, which only reads
+ * back as the same profile when exactly that profile is registered.
+ *
+ * @param {string|object} profile - Profile reference from the settings
+ * @returns {string} Profile reference
+ * @throws {Error} For a profile object that is not registered
+ */
+function profileReference(profile) {
+  if (typeof profile === 'string') {
+    return profile;
+  }
+
+  let registered = null;
+  try {
+    registered = getProfile(profile.name, profile.version);
+  } catch (error) {
+    // Not registered under that name and version
+  }
+  if (!registered || canonicalJson(registered) !== canonicalJson(profile)) {
+    throw new Error(`Formula profile ${profileId(profile)} is not registered, so a CSV holder file cannot name it; write a .json file to keep the profile`);
+  }
+  return profileId(profile);
+}
+
+/**
+ * Write holders and settings to a CSV or JSON file (chosen by extension)
+ *
+ * JSON files store `{ config, holders }`; CSV files store the settings
+ * as `# key=value` comments above the header row, with a profile object
+ * written as the name@version it is registered under.
+ *
+ * @param {string} filePath - Destination path
+ * @param {Array} holders - Holder objects
+ * @param {object} config - Current settings
+ */
+function writeHoldersFile(filePath, holders, config) {
+  const extension = path.extname(filePath).toLowerCase();
+  const rows = holders.map(({ address, tokens, hoursAfterLaunch }) => ({ address, tokens, hoursAfterLaunch }));
+  const settings = {};
+  CONFIG_KEYS.forEach(key => {
+    settings[key] = config[key];
+  });
+
+  let text;
+  if (extension === '.json') {
+    text = JSON.stringify({ config: settings, holders: rows }, null, 2);
+  } else if (extension === '.csv') {
+    settings.formulaProfile = profileReference(settings.formulaProfile);
+    text = [
+      ...CONFIG_KEYS.map(key => `# ${key}=${settings[key]}`),
+      'address,tokens,hoursAfterLaunch',
+      ...rows.map(row => `${row.address},${row.tokens},${row.hoursAfterLaunch}`)
+    ].join('\n');
+  } else {
+    throw new Error(`Unsupported holder file type "${extension}" (use .csv or .json)`);
+  }
+
+  fs.writeFileSync(filePath, text + '\n');
+}
+
+module.exports = {
+  createHolder,
+  createCsvParser,
+  describeRowLocation,
+  parseHolderEntry,
+  parseHoldersCsv,
+  parseHoldersJson,
+  readHoldersFile,
+  readHoldersSettings,
+  validateHolderRows,
+  writeHoldersFile
+};
@@ -0,0 +1,382 @@
+/**
+ * RewardFlow Distribution Algorithm - On-Chain Holder Ingestion
+ *
+ * Builds holder rows from chain data instead of self-reported entries:
+ * a dump of the mint's SPL token accounts (getProgramAccounts-style)
+ * and the first acquisition of each account or wallet. Balances are
+ * normalized by the mint decimals, token accounts owned by the same
+ * wallet are merged into one holder, and hoursAfterLaunch is measured
+ * from the launch slot or time to the wallet's earliest acquisition.
+ *
+ * Token account dump: the result of getProgramAccounts (optionally
+ * wrapped in the JSON-RPC response), with `jsonParsed` or `base64` data:
+ *   [{ "pubkey": "<token account>", "account": { "data": { "parsed": { "info": {
+ *       "mint": "...", "owner": "<wallet>", "tokenAmount": { "amount": "1500000", "decimals": 6 } } } } } }]
+ *
+ * Acquisition history: the earliest transaction of a token account or
+ * wallet, as a list or { acquisitions: [...] }:
+ *   [{ "account": "<token account>", "slot": 250000123, "blockTime": 1718000000 },
+ *    { "owner": "<wallet>", "slot": 250000456 }]
+ *
+ * Chain data is read through an RPC adapter with two methods,
+ * getTokenAccounts(mint) and getFirstAcquisitions(accounts).
+ * createJsonRpc talks to a Solana JSON-RPC endpoint; createFileRpc
+ * serves the same data from local files, so ingestion runs offline.
+ */
+
+const fs = require('fs');
+const { encodeBase58 } = require('./base58');
+const { fromBaseUnits } = require('./assets');
+
+/**
+ * SPL Token program
+ */
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+/**
+ * Size of an SPL token account
+ */
+const TOKEN_ACCOUNT_SIZE = 165;
+
+/**
+ * Average slot time used to turn slot differences into hours
+ */
+const DEFAULT_SLOT_SECONDS = 0.4;
+
+/**
+ * Most signatures getSignaturesForAddress returns per page
+ */
+const SIGNATURE_PAGE_SIZE = 1000;
+
+/**
+ * Unwrap a JSON-RPC response or a context-wrapped result
+ *
+ * @param {*} data - Parsed file or RPC result
+ * @returns {*} The bare result
+ */
+function unwrapResult(data) {
+  let result = data && data.jsonrpc !== undefined ? data.result : data;
+  if (result && !Array.isArray(result) && Array.isArray(result.value)) {
+    result = result.value;
+  }
+  return result;
+}
+
+/**
+ * Read one token account from a getProgramAccounts entry
+ *
+ * @param {object} entry - { pubkey, account: { data } }
+ * @param {number} index - Position in the dump, for error messages
+ * @returns {object} { account, mint, owner, amount (bigint base units), decimals (null when unknown) }
+ * @throws {Error} If the entry is not an SPL token account
+ */
+function parseTokenAccount(entry, index) {
+  const fail = message => {
+    throw new Error(`Token account ${index + 1}${entry && entry.pubkey ? ` (${entry.pubkey})` : ''}: ${message}`);
+  };
+  const data = entry && entry.account ? entry.account.data : undefined;
+
+  if (data && data.parsed && data.parsed.info) {
+    const { mint, owner, tokenAmount } = data.parsed.info;
+    if (typeof mint !== 'string' || typeof owner !== 'string' || !tokenAmount || !/^\d+$/.test(String(tokenAmount.amount))) {
+      fail('parsed data needs mint, owner and tokenAmount.amount');
+    }
+    return {
+      account: entry.pubkey,
+      mint,
+      owner,
+      amount: BigInt(tokenAmount.amount),
+      decimals: Number.isInteger(tokenAmount.decimals) ? tokenAmount.decimals : null
+    };
+  }
+
+  const base64 = Array.isArray(data) && data[1] === 'base64' ? data[0] : (typeof data === 'string' ? data : null);
+  if (base64 === null) {
+    fail('data must be jsonParsed or base64');
+  }
+
+  // Layout: mint (32 bytes), owner (32 bytes), amount (u64 little-endian), ...
+  const bytes = Buffer.from(base64, 'base64');
+  if (bytes.length < 72) {
+    fail(`data is ${bytes.length} bytes, too short for a token account`);
+  }
+  return {
+    account: entry.pubkey,
+    mint: encodeBase58(bytes.subarray(0, 32)),
+    owner: encodeBase58(bytes.subarray(32, 64)),
+    amount: bytes.readBigUInt64LE(64),
+    decimals: null
+  };
+}
+
+/**
+ * Read a point in time: a slot and/or a block time
+ *
+ * @param {object} point - { slot, blockTime } (blockTime in Unix seconds or an ISO date string)
+ * @returns {object} { slot, blockTime } with missing values as null
+ * @throws {Error} If a value cannot be read
+ */
+function toPoint(point = {}) {
+  const slot = point.slot === undefined || point.slot === null ? null : Number(point.slot);
+  let blockTime = point.blockTime === undefined || point.blockTime === null ? null : point.blockTime;
+  if (typeof blockTime === 'string') {
+    blockTime = /^\d+(\.\d+)?$/.test(blockTime) ? Number(blockTime) : Date.parse(blockTime) / 1000;
+  }
+  if ((slot !== null && !Number.isFinite(slot)) || (blockTime !== null && !Number.isFinite(blockTime))) {
+    throw new Error(`Cannot read slot/time ${JSON.stringify(point)}`);
+  }
+  return { slot, blockTime };
+}
+
+/**
+ * Hours from one point to another
+ *
+ * Block times are used when both points have one; otherwise slots are
+ * converted at slotSeconds per slot.
+ *
+ * @param {object} from - { slot, blockTime }
+ * @param {object} to - { slot, blockTime }
+ * @param {number} slotSeconds - Seconds per slot
+ * @returns {number|null} Hours, or null when the points cannot be compared
+ */
+function hoursBetween(from, to, slotSeconds) {
+  if (from.blockTime !== null && to.blockTime !== null) {
+    return (to.blockTime - from.blockTime) / 3600;
+  }
+  if (from.slot !== null && to.slot !== null) {
+    return ((to.slot - from.slot) * slotSeconds) / 3600;
+  }
+  return null;
+}
+
+/**
+ * Build holder rows from token accounts and acquisition history
+ *
+ * Accounts of other mints and empty accounts are skipped. Wallets with
+ * no usable acquisition entry are left out and listed in
+ * `skipped.noHistory`. Acquisitions before launch count as hour 0 and
+ * acquisitions after the snapshot as the snapshot hour.
+ *
+ * @param {Array|object} accountData - getProgramAccounts result (or its JSON-RPC response)
+ * @param {Array|object} acquisitionData - Acquisition entries (or { acquisitions })
+ * @param {object} options - Ingestion settings
+ * @param {object} options.launch - Launch { slot, blockTime } (at least one)
+ * @param {object} options.snapshot - Snapshot { slot, blockTime }; sets hoursSinceLaunch (optional)
+ * @param {string} options.mint - Only use accounts of this mint (default: the only mint in the dump)
+ * @param {number} options.decimals - Mint decimals (default: from the parsed accounts)
+ * @param {number} options.slotSeconds - Seconds per slot (default 0.4)
+ * @returns {object} { rows, mint, decimals, hoursSinceLaunch, accounts, wallets, skipped: { otherMint, empty, noHistory } }
+ * @throws {Error} On unreadable data, several mints without `mint`, or unknown decimals
+ */
+function buildHolderSnapshot(accountData, acquisitionData, options = {}) {
+  const slotSeconds = options.slotSeconds === undefined ? DEFAULT_SLOT_SECONDS : options.slotSeconds;
+  const launch = toPoint(options.launch);
+  if (launch.slot === null && launch.blockTime === null) {
+    throw new Error('A launch slot or launch time is required');
+  }
+  const snapshot = options.snapshot ? toPoint(options.snapshot) : null;
+  const hoursSinceLaunch = snapshot ? hoursBetween(launch, snapshot, slotSeconds) : null;
+  if (snapshot && !(hoursSinceLaunch > 0)) {
+    throw new Error('The snapshot must be after the launch, measured the same way (slot or time)');
+  }
+
+  const entries = unwrapResult(accountData);
+  if (!Array.isArray(entries)) {
+    throw new Error('Token accounts must be a getProgramAccounts result (a list of { pubkey, account })');
+  }
+  const accounts = entries.map(parseTokenAccount);
+
+  const mints = [...new Set(accounts.map(account => account.mint))];
+  const mint = options.mint || (mints.length === 1 ? mints[0] : null);
+  if (!mint) {
+    throw new Error(`The dump holds ${mints.length} mints; pass the mint to ingest`);
+  }
+
+  const skipped = { otherMint: 0, empty: 0, noHistory: [] };
+  const mintAccounts = accounts.filter(account => {
+    if (account.mint !== mint) {
+      skipped.otherMint++;
+      return false;
+    }
+    if (account.amount === 0n) {
+      skipped.empty++;
+      return false;
+    }
+    return true;
+  });
+
+  const found = [...new Set(mintAccounts.map(account => account.decimals).filter(decimals => decimals !== null))];
+  const decimals = options.decimals === undefined ? found[0] : options.decimals;
+  if (!Number.isInteger(decimals) && mintAccounts.length > 0) {
+    throw new Error('Mint decimals are unknown; pass them for base64 dumps');
+  }
+  if (found.length > 1 || (found.length === 1 && found[0] !== decimals)) {
+    throw new Error(`Token accounts disagree on the mint decimals (${[...found, decimals].join(', ')})`);
+  }
+
+  // Merge token accounts by owner, keeping the first-seen order
+  const wallets = new Map();
+  const ownerOf = new Map();
+  mintAccounts.forEach(account => {
+    ownerOf.set(account.account, account.owner);
+    const wallet = wallets.get(account.owner) || { units: 0n, firstHour: null };
+    wallet.units += account.amount;
+    wallets.set(account.owner, wallet);
+  });
+
+  const acquisitions = unwrapResult(acquisitionData && acquisitionData.acquisitions ? acquisitionData.acquisitions : acquisitionData);
+  if (!Array.isArray(acquisitions)) {
+    throw new Error('Acquisition history must be a list of { account | owner, slot, blockTime }');
+  }
+  acquisitions.forEach(entry => {
+    const wallet = wallets.get(entry.owner || ownerOf.get(entry.account));
+    const hours = wallet ? hoursBetween(launch, toPoint(entry), slotSeconds) : null;
+    if (hours !== null && (wallet.firstHour === null || hours < wallet.firstHour)) {
+      wallet.firstHour = hours;
+    }
+  });
+
+  const rows = [];
+  wallets.forEach((wallet, owner) => {
+    if (wallet.firstHour === null) {
+      skipped.noHistory.push(owner);
+      return;
+    }
+    const hour = Math.max(wallet.firstHour, 0);
+    rows.push({
+      address: owner,
+      tokens: fromBaseUnits(wallet.units, decimals),
+      hoursAfterLaunch: Math.round((hoursSinceLaunch === null ? hour : Math.min(hour, hoursSinceLaunch)) * 100) / 100
+    });
+  });
+
+  return {
+    rows,
+    mint,
+    decimals: Number.isInteger(decimals) ? decimals : null,
+    hoursSinceLaunch: hoursSinceLaunch === null ? null : Math.round(hoursSinceLaunch * 100) / 100,
+    accounts: accounts.length,
+    wallets: wallets.size,
+    skipped
+  };
+}
+
+/**
+ * RPC adapter for a Solana JSON-RPC endpoint
+ *
+ * The first acquisition of a token account is its oldest signature,
+ * found by paging getSignaturesForAddress back to the start.
+ *
+ * @param {string} url - RPC endpoint
+ * @param {object} options - Optional settings
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {string} options.programId - Token program (default SPL Token)
+ * @returns {object} { getTokenAccounts(mint), getFirstAcquisitions(accounts) }
+ */
+function createJsonRpc(url, options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const programId = options.programId || TOKEN_PROGRAM_ID;
+  let requestId = 0;
+
+  const call = async (method, params) => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params })
+    });
+    if (!response.ok) {
+      throw new Error(`${method} failed: HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+  };
+
+  return {
+    async getTokenAccounts(mint) {
+      const filters = [{ memcmp: { offset: 0, bytes: mint } }];
+      if (programId === TOKEN_PROGRAM_ID) {
+        filters.unshift({ dataSize: TOKEN_ACCOUNT_SIZE });
+      }
+      return call('getProgramAccounts', [programId, { encoding: 'jsonParsed', filters }]);
+    },
+
+    async getFirstAcquisitions(accounts) {
+      const acquisitions = [];
+      for (const { account } of accounts) {
+        let oldest = null;
+        let before;
+        while (true) {
+          const page = await call('getSignaturesForAddress', [account, { limit: SIGNATURE_PAGE_SIZE, before }]);
+          if (page.length > 0) {
+            oldest = page[page.length - 1];
+            before = oldest.signature;
+          }
+          if (page.length < SIGNATURE_PAGE_SIZE) {
+            break;
+          }
+        }
+        if (oldest) {
+          acquisitions.push({ account, slot: oldest.slot, blockTime: oldest.blockTime });
+        }
+      }
+      return acquisitions;
+    }
+  };
+}
+
+/**
+ * RPC adapter serving a token account dump and acquisition history from files
+ *
+ * @param {object} files - File paths
+ * @param {string} files.accounts - Token account dump (.json)
+ * @param {string} files.history - Acquisition history (.json)
+ * @returns {object} { getTokenAccounts(mint), getFirstAcquisitions(accounts) }
+ */
+function createFileRpc(files) {
+  const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  return {
+    async getTokenAccounts() {
+      return unwrapResult(readJson(files.accounts));
+    },
+
+    async getFirstAcquisitions() {
+      const data = readJson(files.history);
+      return unwrapResult(data && data.acquisitions ? data.acquisitions : data);
+    }
+  };
+}
+
+/**
+ * Fetch a holder snapshot through an RPC adapter
+ *
+ * Acquisitions are only requested for non-empty accounts of the mint.
+ *
+ * @param {object} rpc - RPC adapter (createJsonRpc, createFileRpc or a stub)
+ * @param {object} options - Ingestion settings (see buildHolderSnapshot)
+ * @returns {Promise<object>} Result of buildHolderSnapshot
+ */
+async function fetchHolderSnapshot(rpc, options = {}) {
+  const entries = unwrapResult(await rpc.getTokenAccounts(options.mint));
+  if (!Array.isArray(entries)) {
+    throw new Error('getTokenAccounts must return a list of { pubkey, account }');
+  }
+
+  const accounts = entries.map(parseTokenAccount)
+    .filter(account => (!options.mint || account.mint === options.mint) && account.amount > 0n);
+  const acquisitions = await rpc.getFirstAcquisitions(accounts);
+  return buildHolderSnapshot(entries, acquisitions, options);
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  DEFAULT_SLOT_SECONDS,
+  parseTokenAccount,
+  buildHolderSnapshot,
+  createJsonRpc,
+  createFileRpc,
+  fetchHolderSnapshot
+};
@@ -0,0 +1,62 @@
+/**
+ * RewardFlow Distribution Algorithm - JSON Helpers
+ *
+ * Lamport amounts are BigInt values, which JSON.stringify cannot
+ * handle; they are written as decimal strings.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as JSON, writing BigInt values as strings
+ *
+ * @param {*} value - Value to serialize
+ * @param {number} indent - Indentation (default 2)
+ * @returns {string} JSON text
+ */
+function toJson(value, indent = 2) {
+  return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), indent);
+}
+
+/**
+ * Serialize a value as canonical JSON
+ *
+ * Object keys are sorted and there is no whitespace, so equal values
+ * always give the same text (and the same hash). Undefined properties
+ * are dropped, as JSON.stringify does.
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJson(value) {
+  if (typeof value === 'bigint') {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of a value's canonical JSON
+ *
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function hashJson(value) {
+  return crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+}
+
+module.exports = {
+  toJson,
+  canonicalJson,
+  hashJson
+};
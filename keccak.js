@@ -0,0 +1,145 @@
+/**
+ * RewardFlow Distribution Algorithm - Keccak-256
+ *
+ * The original Keccak-256 (as used by Solana's keccak syscall and
+ * Ethereum), which differs from NIST SHA3-256 only in its padding byte.
+ * Node's crypto module ships SHA3 but not Keccak, hence this small
+ * implementation using 32-bit halves for each 64-bit lane.
+ */
+
+const RATE_BYTES = 136; // 1088-bit rate for a 256-bit output
+
+// Round constants as [low, high] 32-bit halves
+const ROUND_CONSTANTS = [
+  [0x00000001, 0x00000000], [0x00008082, 0x00000000], [0x0000808a, 0x80000000], [0x80008000, 0x80000000],
+  [0x0000808b, 0x00000000], [0x80000001, 0x00000000], [0x80008081, 0x80000000], [0x00008009, 0x80000000],
+  [0x0000008a, 0x00000000], [0x00000088, 0x00000000], [0x80008009, 0x00000000], [0x8000000a, 0x00000000],
+  [0x8000808b, 0x00000000], [0x0000008b, 0x80000000], [0x00008089, 0x80000000], [0x00008003, 0x80000000],
+  [0x00008002, 0x80000000], [0x00000080, 0x80000000], [0x0000800a, 0x00000000], [0x8000000a, 0x80000000],
+  [0x80008081, 0x80000000], [0x00008080, 0x80000000], [0x80000001, 0x00000000], [0x80008008, 0x80000000]
+];
+
+// Rotation offset of lane x + 5y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+
+/**
+ * Rotate a 64-bit lane left
+ *
+ * @param {number} lo - Low 32 bits
+ * @param {number} hi - High 32 bits
+ * @param {number} n - Bits to rotate (0-63)
+ * @returns {Array<number>} [lo, hi]
+ */
+function rotateLeft(lo, hi, n) {
+  if (n === 0) return [lo, hi];
+  if (n === 32) return [hi, lo];
+  if (n < 32) {
+    return [(lo << n) | (hi >>> (32 - n)), (hi << n) | (lo >>> (32 - n))];
+  }
+  const m = n - 32;
+  return [(hi << m) | (lo >>> (32 - m)), (lo << m) | (hi >>> (32 - m))];
+}
+
+/**
+ * Apply the Keccak-f[1600] permutation in place
+ *
+ * @param {Int32Array} lo - Low halves of the 25 lanes
+ * @param {Int32Array} hi - High halves of the 25 lanes
+ */
+function keccakF(lo, hi) {
+  const cLo = new Int32Array(5);
+  const cHi = new Int32Array(5);
+  const bLo = new Int32Array(25);
+  const bHi = new Int32Array(25);
+
+  for (let round = 0; round < 24; round++) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      cLo[x] = lo[x] ^ lo[x + 5] ^ lo[x + 10] ^ lo[x + 15] ^ lo[x + 20];
+      cHi[x] = hi[x] ^ hi[x + 5] ^ hi[x + 10] ^ hi[x + 15] ^ hi[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const [rLo, rHi] = rotateLeft(cLo[(x + 1) % 5], cHi[(x + 1) % 5], 1);
+      const dLo = cLo[(x + 4) % 5] ^ rLo;
+      const dHi = cHi[(x + 4) % 5] ^ rHi;
+      for (let y = 0; y < 25; y += 5) {
+        lo[x + y] ^= dLo;
+        hi[x + y] ^= dHi;
+      }
+    }
+
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const [rLo, rHi] = rotateLeft(lo[x + 5 * y], hi[x + 5 * y], ROTATIONS[x + 5 * y]);
+        const target = y + 5 * ((2 * x + 3 * y) % 5);
+        bLo[target] = rLo;
+        bHi[target] = rHi;
+      }
+    }
+
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        lo[x + y] = bLo[x + y] ^ (~bLo[((x + 1) % 5) + y] & bLo[((x + 2) % 5) + y]);
+        hi[x + y] = bHi[x + y] ^ (~bHi[((x + 1) % 5) + y] & bHi[((x + 2) % 5) + y]);
+      }
+    }
+
+    // ι
+    lo[0] ^= ROUND_CONSTANTS[round][0];
+    hi[0] ^= ROUND_CONSTANTS[round][1];
+  }
+}
+
+/**
+ * Keccak sponge with a 256-bit output
+ *
+ * @param {Uint8Array|Buffer} data - Input bytes
+ * @param {number} paddingByte - Domain byte (0x01 for Keccak, 0x06 for SHA3)
+ * @returns {Buffer} 32-byte digest
+ */
+function sponge(data, paddingByte) {
+  const blocks = Math.floor(data.length / RATE_BYTES) + 1;
+  const padded = Buffer.alloc(blocks * RATE_BYTES);
+  padded.set(data);
+  padded[data.length] ^= paddingByte;
+  padded[padded.length - 1] ^= 0x80;
+
+  const lo = new Int32Array(25);
+  const hi = new Int32Array(25);
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let lane = 0; lane < RATE_BYTES / 8; lane++) {
+      lo[lane] ^= padded.readInt32LE(offset + lane * 8);
+      hi[lane] ^= padded.readInt32LE(offset + lane * 8 + 4);
+    }
+    keccakF(lo, hi);
+  }
+
+  const out = Buffer.alloc(32);
+  for (let lane = 0; lane < 4; lane++) {
+    out.writeInt32LE(lo[lane], lane * 8);
+    out.writeInt32LE(hi[lane], lane * 8 + 4);
+  }
+  return out;
+}
+
+/**
+ * Keccak-256 digest
+ *
+ * @param {...(Uint8Array|Buffer|string)} parts - Byte arrays (or UTF-8 strings) hashed as one input
+ * @returns {Buffer} 32-byte digest
+ */
+function keccak256(...parts) {
+  return sponge(Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'utf8') : Buffer.from(part)))), 0x01);
+}
+
+module.exports = {
+  keccak256
+};
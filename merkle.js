@@ -0,0 +1,199 @@
+/**
+ * RewardFlow Distribution Algorithm - Merkle Claims
+ *
+ * Exports a distribution as a Merkle distribution, so holders pull
+ * their reward with a claim instead of the treasury pushing a transfer
+ * to every wallet.
+ *
+ * Encoding (the one used by the Saber merkle-distributor program, a
+ * port of Uniswap's, and its forks):
+ *
+ *   leaf = keccak256(index as u64 LE ‖ claimant pubkey (32 bytes) ‖ lamports as u64 LE)
+ *   node = keccak256(min(a, b) ‖ max(a, b))     (byte-wise comparison)
+ *
+ * Claimants are indexed 0..n-1 in ascending address order. Leaves are
+ * sorted before building the tree and an unpaired node at the end of a
+ * level moves up unchanged, so a proof is just the list of sibling
+ * hashes from leaf to root.
+ *
+ * Claim file (hashes are 0x-prefixed hex, amounts are decimal lamports):
+ *   {
+ *     "merkleRoot": "0x...",
+ *     "tokenTotal": "9500000000",
+ *     "claims": { "<address>": { "index": 0, "amount": "123456", "proof": ["0x...", ...] } }
+ *   }
+ */
+
+const { keccak256 } = require('./keccak');
+const { decodeBase58, isPublicKey } = require('./base58');
+const { solToLamports } = require('./formulas');
+
+/**
+ * Hash a claim leaf
+ *
+ * @param {number} index - Claim index
+ * @param {string} address - Claimant address (base58)
+ * @param {bigint} lamports - Claim amount
+ * @returns {Buffer} 32-byte leaf hash
+ */
+function hashLeaf(index, address, lamports) {
+  const indexBytes = Buffer.alloc(8);
+  indexBytes.writeBigUInt64LE(BigInt(index));
+  const amountBytes = Buffer.alloc(8);
+  amountBytes.writeBigUInt64LE(BigInt(lamports));
+  return keccak256(indexBytes, decodeBase58(address), amountBytes);
+}
+
+/**
+ * Hash two nodes in sorted order
+ *
+ * @param {Buffer} a - Node hash
+ * @param {Buffer} b - Node hash
+ * @returns {Buffer} Parent hash
+ */
+function hashPair(a, b) {
+  return Buffer.compare(a, b) <= 0 ? keccak256(a, b) : keccak256(b, a);
+}
+
+/**
+ * Build every level of the tree from sorted leaves
+ *
+ * @param {Array<Buffer>} leaves - Leaf hashes, sorted
+ * @returns {Array<Array<Buffer>>} Levels, leaves first, root last
+ */
+function buildLevels(leaves) {
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Sibling hashes from a leaf up to the root
+ *
+ * @param {Array<Array<Buffer>>} levels - Tree levels
+ * @param {number} position - Leaf position in the sorted leaf level
+ * @returns {Array<Buffer>} Proof
+ */
+function proofFor(levels, position) {
+  const proof = [];
+  let index = position;
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const sibling = index ^ 1;
+    if (sibling < levels[depth].length) {
+      proof.push(levels[depth][sibling]);
+    }
+    index >>= 1;
+  }
+  return proof;
+}
+
+const toHex = buffer => `0x${buffer.toString('hex')}`;
+const fromHex = text => Buffer.from(String(text).replace(/^0x/, ''), 'hex');
+
+/**
+ * Build a Merkle distribution from distribution results
+ *
+ * Accepts the output of calculateDistribution (amounts in SOL, converted
+ * to lamports) or the distribution of calculateLamportDistribution
+ * (exact `lamports`). Entries with zero lamports or an address that is
+ * not a valid public key are listed in `skipped`.
+ *
+ * @param {Array} distribution - Results with address and amount or lamports
+ * @returns {object} { merkleRoot, tokenTotal, claims, skipped }
+ * @throws {Error} If an address appears twice
+ */
+function buildMerkleDistribution(distribution) {
+  const skipped = [];
+  const entries = [];
+  const seen = new Set();
+
+  distribution.forEach(result => {
+    const lamports = result.lamports !== undefined ? BigInt(result.lamports) : solToLamports(result.amount);
+    if (seen.has(result.address)) {
+      throw new Error(`Address ${result.address} appears more than once`);
+    }
+    seen.add(result.address);
+
+    if (lamports <= 0n) {
+      skipped.push({ address: result.address, lamports, reason: 'zero amount' });
+    } else if (!isPublicKey(result.address)) {
+      skipped.push({ address: result.address, lamports, reason: 'invalid address' });
+    } else {
+      entries.push({ address: result.address, lamports });
+    }
+  });
+
+  entries.sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+  const leaves = entries.map((entry, index) => ({ ...entry, index, hash: hashLeaf(index, entry.address, entry.lamports) }));
+  const sorted = [...leaves].sort((a, b) => Buffer.compare(a.hash, b.hash));
+  const levels = buildLevels(sorted.map(leaf => leaf.hash));
+
+  const claims = {};
+  sorted.forEach((leaf, position) => {
+    claims[leaf.address] = {
+      index: leaf.index,
+      amount: leaf.lamports.toString(),
+      proof: proofFor(levels, position).map(toHex)
+    };
+  });
+
+  // Claims listed by index for a stable file
+  const orderedClaims = {};
+  leaves.forEach(leaf => {
+    orderedClaims[leaf.address] = claims[leaf.address];
+  });
+
+  return {
+    merkleRoot: leaves.length > 0 ? toHex(levels[levels.length - 1][0]) : null,
+    tokenTotal: entries.reduce((sum, entry) => sum + entry.lamports, 0n).toString(),
+    claims: orderedClaims,
+    skipped
+  };
+}
+
+/**
+ * Check a claim against a Merkle root, offline
+ *
+ * `proof` is either the claim entry from the claim file
+ * ({ index, amount, proof }) or the list of proof hashes, in which case
+ * the claim index must be passed as well.
+ *
+ * @param {string} address - Claimant address (base58)
+ * @param {bigint|number|string} amount - Claim amount in lamports
+ * @param {object|Array<string>} proof - Claim entry or proof hashes (hex)
+ * @param {string} root - Merkle root (hex)
+ * @param {number} index - Claim index (when proof is a list of hashes)
+ * @returns {boolean} True when the claim is part of the tree
+ */
+function verifyClaim(address, amount, proof, root, index) {
+  const hashes = Array.isArray(proof) ? proof : proof.proof;
+  const claimIndex = Array.isArray(proof) ? index : proof.index;
+  if (!isPublicKey(address) || !Number.isInteger(claimIndex) || claimIndex < 0 || !root) {
+    return false;
+  }
+
+  let computed;
+  try {
+    computed = hashLeaf(claimIndex, address, BigInt(amount));
+  } catch (error) {
+    return false;
+  }
+  hashes.forEach(sibling => {
+    computed = hashPair(computed, fromHex(sibling));
+  });
+
+  return computed.equals(fromHex(root));
+}
+
+module.exports = {
+  hashLeaf,
+  buildMerkleDistribution,
+  verifyClaim
+};
@@ -0,0 +1,162 @@
+/**
+ * RewardFlow Distribution Algorithm - Concentration Metrics
+ *
+ * Inequality and concentration measures used to check how evenly
+ * rewards (or tokens) are spread across holders.
+ */
+
+/**
+ * Sum of an array of numbers
+ *
+ * @param {Array<number>} values - Values
+ * @returns {number} Sum
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Gini coefficient
+ *
+ * 0 = everyone receives the same, approaching 1 = one holder receives everything.
+ *
+ * @param {Array<number>} values - Non-negative amounts
+ * @returns {number} Gini coefficient (0-1)
+ */
+function gini(values) {
+  const total = sum(values);
+  const n = values.length;
+  if (n < 2 || total <= 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const weighted = sorted.reduce((acc, value, i) => acc + (i + 1) * value, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Herfindahl-Hirschman index
+ *
+ * Sum of squared shares: 1/n when perfectly even, 1 when one holder has everything.
+ * Multiply by 10,000 for the usual antitrust scale.
+ *
+ * @param {Array<number>} values - Non-negative amounts
+ * @returns {number} HHI (0-1)
+ */
+function herfindahl(values) {
+  const total = sum(values);
+  if (total <= 0) {
+    return 0;
+  }
+  return values.reduce((acc, value) => acc + (value / total) ** 2, 0);
+}
+
+/**
+ * Nakamoto coefficient
+ *
+ * Smallest number of holders that together receive more than the threshold.
+ *
+ * @param {Array<number>} values - Non-negative amounts
+ * @param {number} threshold - Share to exceed (default 0.5)
+ * @returns {number} Number of holders
+ */
+function nakamoto(values, threshold = 0.5) {
+  const total = sum(values);
+  if (total <= 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => b - a);
+  let running = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    running += sorted[i];
+    if (running / total > threshold) {
+      return i + 1;
+    }
+  }
+  return sorted.length;
+}
+
+/**
+ * Theil index (T)
+ *
+ * 0 = perfectly even, ln(n) = one holder receives everything.
+ *
+ * @param {Array<number>} values - Non-negative amounts
+ * @returns {number} Theil index
+ */
+function theil(values) {
+  const n = values.length;
+  const mean = sum(values) / n;
+  if (n === 0 || mean <= 0) {
+    return 0;
+  }
+
+  return values.reduce((acc, value) => {
+    const ratio = value / mean;
+    return ratio > 0 ? acc + ratio * Math.log(ratio) : acc;
+  }, 0) / n;
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ *
+ * @param {Array<number>} sortedValues - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return 0;
+  }
+
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Standard percentile breakdown
+ *
+ * @param {Array<number>} values - Amounts
+ * @returns {object} { p10, p25, p50, p75, p90, p99 }
+ */
+function percentiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 10),
+    p25: percentile(sorted, 25),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99)
+  };
+}
+
+/**
+ * All concentration metrics for a set of amounts
+ *
+ * @param {Array<number>} values - Non-negative amounts
+ * @returns {object} { gini, hhi, nakamoto, theil, percentiles }
+ */
+function concentration(values) {
+  return {
+    gini: gini(values),
+    hhi: herfindahl(values),
+    nakamoto: nakamoto(values),
+    theil: theil(values),
+    percentiles: percentiles(values)
+  };
+}
+
+module.exports = {
+  gini,
+  herfindahl,
+  nakamoto,
+  theil,
+  percentile,
+  percentiles,
+  concentration
+};
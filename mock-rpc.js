@@ -0,0 +1,103 @@
+/**
+ * RewardFlow Distribution Algorithm - Mock RPC
+ *
+ * An in-memory ledger implementing the RPC adapter used by
+ * executePayoutPlan, for testing payouts offline.
+ *
+ * Transactions are applied atomically: the payer must cover every
+ * transfer plus the fee, otherwise nothing moves. A transaction whose
+ * idempotency key was already applied returns the original signature
+ * without paying twice, like resending an already-landed transaction.
+ */
+
+const crypto = require('crypto');
+const { encodeBase58 } = require('./base58');
+const { LAMPORTS_PER_SIGNATURE, decodeTransfers, decodePriorityFee } = require('./payouts');
+
+/**
+ * Create a mock RPC backed by an in-memory ledger
+ *
+ * @param {object} options - Mock settings
+ * @param {object} options.balances - Starting balances { address: lamports }
+ * @param {function} options.shouldFail - (transaction, attempt) => error message or null, to inject failures
+ * @returns {object} RPC adapter plus inspection helpers (balances, transactions)
+ */
+function createMockRpc(options = {}) {
+  const balances = new Map(Object.entries(options.balances || {}).map(([address, lamports]) => [address, BigInt(lamports)]));
+  const shouldFail = options.shouldFail || (() => null);
+  const landed = new Map();     // idempotency key -> signature
+  const attempts = new Map();   // idempotency key -> send count
+  const transactions = [];
+  let blockHeight = 0;
+
+  const balanceOf = address => balances.get(address) || 0n;
+
+  return {
+    async getLatestBlockhash() {
+      blockHeight++;
+      const blockhash = encodeBase58(crypto.createHash('sha256').update(`mock-blockhash:${blockHeight}`).digest());
+      return { blockhash, lastValidBlockHeight: blockHeight + 150 };
+    },
+
+    async getBalance(address) {
+      return balanceOf(address);
+    },
+
+    async sendTransaction(transaction) {
+      const key = transaction.idempotencyKey;
+      if (landed.has(key)) {
+        return landed.get(key);
+      }
+
+      const attempt = (attempts.get(key) || 0) + 1;
+      attempts.set(key, attempt);
+
+      const failure = shouldFail(transaction, attempt);
+      if (failure) {
+        throw new Error(failure);
+      }
+
+      const transfers = decodeTransfers(transaction.instructions);
+      const fee = LAMPORTS_PER_SIGNATURE + decodePriorityFee(transaction.instructions);
+      const total = transfers.reduce((sum, transfer) => sum + transfer.lamports, 0n);
+      if (transfers.some(transfer => transfer.from !== transaction.payer)) {
+        throw new Error('Transfer source must be the fee payer');
+      }
+      if (balanceOf(transaction.payer) < total + fee) {
+        throw new Error(`Insufficient funds: payer has ${balanceOf(transaction.payer)} lamports, needs ${total + fee}`);
+      }
+
+      balances.set(transaction.payer, balanceOf(transaction.payer) - total - fee);
+      transfers.forEach(transfer => {
+        balances.set(transfer.to, balanceOf(transfer.to) + transfer.lamports);
+      });
+
+      const signature = encodeBase58(crypto.createHash('sha512').update(`${key}:${transaction.recentBlockhash}`).digest());
+      landed.set(key, signature);
+      transactions.push({ signature, idempotencyKey: key, transfers, fee });
+      return signature;
+    },
+
+    /**
+     * Current balances
+     *
+     * @returns {object} { address: lamports }
+     */
+    balances() {
+      return Object.fromEntries(balances);
+    },
+
+    /**
+     * Transactions applied so far, in order
+     *
+     * @returns {Array} [{ signature, idempotencyKey, transfers, fee }]
+     */
+    transactions() {
+      return [...transactions];
+    }
+  };
+}
+
+module.exports = {
+  createMockRpc
+};
@@ -0,0 +1,423 @@
+/**
+ * RewardFlow Distribution Algorithm - Payout Plans
+ *
+ * Turns a lamport distribution (see calculateLamportDistribution) into
+ * unsigned SystemProgram transfer transactions, packed so each one fits
+ * Solana's 1232-byte transaction limit, with compute and fee estimates
+ * and an idempotency key per transaction.
+ *
+ * executePayoutPlan sends a plan through an RPC adapter. Any object
+ * with these async methods works:
+ *   getLatestBlockhash()        -> { blockhash, lastValidBlockHeight }
+ *   getBalance(address)         -> lamports (BigInt)
+ *   sendTransaction(transaction) -> signature
+ * mock-rpc.js provides an in-memory ledger for offline dry runs.
+ */
+
+const crypto = require('crypto');
+const { decodeBase58, isPublicKey } = require('./base58');
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+
+/**
+ * Largest serialized transaction accepted by the network (bytes)
+ */
+const MAX_TRANSACTION_SIZE = 1232;
+
+/**
+ * Base fee per signature (lamports)
+ */
+const LAMPORTS_PER_SIGNATURE = 5000n;
+
+/**
+ * Compute units used by one SystemProgram transfer or ComputeBudget instruction
+ */
+const TRANSFER_COMPUTE_UNITS = 150;
+const COMPUTE_BUDGET_COMPUTE_UNITS = 150;
+
+/**
+ * Encode a length as a Solana compact-u16
+ *
+ * @param {number} value - Length
+ * @returns {Array<number>} 1-3 bytes
+ */
+function compactU16(value) {
+  const bytes = [];
+  let rest = value;
+  do {
+    let byte = rest & 0x7f;
+    rest >>= 7;
+    if (rest > 0) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (rest > 0);
+  return bytes;
+}
+
+/**
+ * SystemProgram transfer instruction
+ *
+ * @param {string} from - Payer address
+ * @param {string} to - Recipient address
+ * @param {bigint} lamports - Amount
+ * @returns {object} { programId, keys, data } - data is base64
+ */
+function transferInstruction(from, to, lamports) {
+  const data = Buffer.alloc(12);
+  data.writeUInt32LE(2, 0); // SystemInstruction::Transfer
+  data.writeBigUInt64LE(lamports, 4);
+
+  return {
+    programId: SYSTEM_PROGRAM_ID,
+    keys: [
+      { pubkey: from, isSigner: true, isWritable: true },
+      { pubkey: to, isSigner: false, isWritable: true }
+    ],
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * ComputeBudget instructions setting the unit limit and price
+ *
+ * @param {number} units - Compute unit limit
+ * @param {number} microLamports - Price per compute unit
+ * @returns {Array} Two instructions
+ */
+function computeBudgetInstructions(units, microLamports) {
+  const limit = Buffer.alloc(5);
+  limit.writeUInt8(2, 0); // SetComputeUnitLimit
+  limit.writeUInt32LE(units, 1);
+
+  const price = Buffer.alloc(9);
+  price.writeUInt8(3, 0); // SetComputeUnitPrice
+  price.writeBigUInt64LE(BigInt(microLamports), 1);
+
+  return [limit, price].map(data => ({ programId: COMPUTE_BUDGET_PROGRAM_ID, keys: [], data: data.toString('base64') }));
+}
+
+/**
+ * Compile instructions into a legacy transaction message
+ *
+ * Account order follows the runtime rules: writable signers, read-only
+ * signers, writable non-signers, read-only non-signers.
+ *
+ * @param {string} payer - Fee payer address
+ * @param {Array} instructions - Instructions
+ * @param {string} recentBlockhash - Base58 blockhash (default all zeros, for sizing)
+ * @returns {Buffer} Serialized message
+ */
+function compileMessage(payer, instructions, recentBlockhash = SYSTEM_PROGRAM_ID) {
+  const accounts = new Map([[payer, { isSigner: true, isWritable: true }]]);
+  const addAccount = (pubkey, isSigner, isWritable) => {
+    const existing = accounts.get(pubkey) || { isSigner: false, isWritable: false };
+    accounts.set(pubkey, { isSigner: existing.isSigner || isSigner, isWritable: existing.isWritable || isWritable });
+  };
+
+  instructions.forEach(instruction => {
+    instruction.keys.forEach(key => addAccount(key.pubkey, key.isSigner, key.isWritable));
+  });
+  instructions.forEach(instruction => addAccount(instruction.programId, false, false));
+
+  const rank = ({ isSigner, isWritable }) => (isSigner ? 0 : 2) + (isWritable ? 0 : 1);
+  const keys = [...accounts.entries()]
+    .map(([pubkey, meta], order) => ({ pubkey, ...meta, order }))
+    .sort((a, b) => rank(a) - rank(b) || a.order - b.order);
+  const index = new Map(keys.map((key, i) => [key.pubkey, i]));
+
+  const header = [
+    keys.filter(key => key.isSigner).length,
+    keys.filter(key => key.isSigner && !key.isWritable).length,
+    keys.filter(key => !key.isSigner && !key.isWritable).length
+  ];
+
+  const parts = [
+    Buffer.from(header),
+    Buffer.from(compactU16(keys.length)),
+    ...keys.map(key => decodeBase58(key.pubkey)),
+    decodeBase58(recentBlockhash),
+    Buffer.from(compactU16(instructions.length))
+  ];
+
+  instructions.forEach(instruction => {
+    const data = Buffer.from(instruction.data, 'base64');
+    parts.push(
+      Buffer.from([index.get(instruction.programId)]),
+      Buffer.from(compactU16(instruction.keys.length)),
+      Buffer.from(instruction.keys.map(key => index.get(key.pubkey))),
+      Buffer.from(compactU16(data.length)),
+      data
+    );
+  });
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Build one transaction from a batch of transfers
+ *
+ * @param {string} payer - Fee payer address
+ * @param {Array} transfers - [{ address, lamports }]
+ * @param {number} computeUnitPrice - Priority fee in micro-lamports per compute unit (0 = none)
+ * @returns {object} Transaction without index or idempotency key
+ */
+function buildTransaction(payer, transfers, computeUnitPrice) {
+  const transferInstructions = transfers.map(transfer => transferInstruction(payer, transfer.address, transfer.lamports));
+
+  let computeUnits = transfers.length * TRANSFER_COMPUTE_UNITS;
+  let instructions = transferInstructions;
+  let priorityFee = 0n;
+
+  if (computeUnitPrice > 0) {
+    computeUnits += 2 * COMPUTE_BUDGET_COMPUTE_UNITS;
+    instructions = [...computeBudgetInstructions(computeUnits, computeUnitPrice), ...transferInstructions];
+    // Priority fee = ceil(units × price / 1,000,000)
+    priorityFee = (BigInt(computeUnits) * BigInt(computeUnitPrice) + 999999n) / 1000000n;
+  }
+
+  const size = 1 + 64 + compileMessage(payer, instructions).length; // one signature
+  const totalLamports = transfers.reduce((sum, transfer) => sum + transfer.lamports, 0n);
+
+  return {
+    transfers,
+    instructions,
+    size,
+    computeUnits,
+    feeLamports: LAMPORTS_PER_SIGNATURE + priorityFee,
+    totalLamports
+  };
+}
+
+/**
+ * Idempotency key for a transaction: SHA-256 of the plan ID and its transfers
+ *
+ * The same transfers always get the same key, so a retried or resumed
+ * batch can be recognized as already paid.
+ *
+ * @param {string} planId - Plan identifier
+ * @param {object} transaction - Transaction
+ * @returns {string} Hex digest
+ */
+function idempotencyKey(planId, transaction) {
+  const hash = crypto.createHash('sha256').update(planId);
+  transaction.transfers.forEach(transfer => hash.update(`|${transfer.address}:${transfer.lamports}`));
+  return hash.digest('hex');
+}
+
+/**
+ * Build a payout plan from a lamport distribution
+ *
+ * Transfers are sorted by address so the same distribution always
+ * produces the same transactions and keys. Entries with zero lamports,
+ * an invalid address, or the payer's own address are skipped.
+ *
+ * @param {Array} distribution - Entries with address and lamports (BigInt)
+ * @param {object} options - Plan settings
+ * @param {string} options.payer - Treasury / fee payer address
+ * @param {number} options.maxTransfersPerTransaction - Upper bound per transaction (default: as many as fit)
+ * @param {number} options.computeUnitPrice - Priority fee in micro-lamports per compute unit (default 0)
+ * @param {bigint} options.feeBudgetLamports - Lamports set aside for network fees (default: not checked)
+ * @returns {object} { planId, payer, transactions, skipped, totals }
+ * @throws {Error} If the payer is not a valid public key, or the plan's fees exceed the fee budget
+ */
+function buildPayoutPlan(distribution, options = {}) {
+  const { payer, maxTransfersPerTransaction = Infinity, computeUnitPrice = 0, feeBudgetLamports = null } = options;
+  if (!isPublicKey(payer)) {
+    throw new Error(`Payer "${payer}" is not a valid public key`);
+  }
+
+  const skipped = [];
+  const transfers = [];
+  distribution.forEach(result => {
+    const lamports = BigInt(result.lamports);
+    let reason = null;
+    if (lamports <= 0n) {
+      reason = 'zero amount';
+    } else if (!isPublicKey(result.address)) {
+      reason = 'invalid address';
+    } else if (result.address === payer) {
+      reason = 'recipient is the payer';
+    }
+
+    if (reason) {
+      skipped.push({ address: result.address, lamports, reason });
+    } else {
+      transfers.push({ address: result.address, lamports });
+    }
+  });
+  transfers.sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+
+  const planHash = crypto.createHash('sha256').update(payer);
+  transfers.forEach(transfer => planHash.update(`|${transfer.address}:${transfer.lamports}`));
+  const planId = planHash.digest('hex');
+
+  // Greedy packing: add transfers until the next one would not fit
+  const transactions = [];
+  let batch = [];
+  let current = null;
+  transfers.forEach(transfer => {
+    const candidate = buildTransaction(payer, [...batch, transfer], computeUnitPrice);
+    if (batch.length > 0 && (candidate.size > MAX_TRANSACTION_SIZE || batch.length >= maxTransfersPerTransaction)) {
+      transactions.push(current);
+      batch = [transfer];
+      current = buildTransaction(payer, batch, computeUnitPrice);
+    } else {
+      batch = candidate.transfers;
+      current = candidate;
+    }
+  });
+  if (current) {
+    transactions.push(current);
+  }
+
+  const indexed = transactions.map((transaction, index) => ({
+    index,
+    idempotencyKey: idempotencyKey(planId, transaction),
+    ...transaction
+  }));
+
+  const feeLamports = indexed.reduce((sum, transaction) => sum + transaction.feeLamports, 0n);
+  if (feeBudgetLamports !== null && feeLamports > BigInt(feeBudgetLamports)) {
+    throw new Error(
+      `Network fees of ${feeLamports} lamports exceed the ${feeBudgetLamports} lamports reserved for fees; reserve a larger fee share or lower the priority fee`
+    );
+  }
+
+  return {
+    planId,
+    payer,
+    transactions: indexed,
+    skipped,
+    totals: {
+      transfers: transfers.length,
+      transactions: indexed.length,
+      lamports: indexed.reduce((sum, transaction) => sum + transaction.totalLamports, 0n),
+      feeLamports,
+      computeUnits: indexed.reduce((sum, transaction) => sum + transaction.computeUnits, 0)
+    }
+  };
+}
+
+/**
+ * Send a payout plan through an RPC adapter
+ *
+ * Transactions already confirmed in `previous` (an earlier result for the
+ * same plan) are skipped, so a partially failed run can be resumed by
+ * passing its result back in. A failed transaction does not stop the
+ * run; it is reported in `failed`.
+ *
+ * After sending, the balances of the payer and every recipient paid in
+ * this run are compared with what the confirmed transactions should have
+ * moved.
+ *
+ * @param {object} plan - Plan from buildPayoutPlan
+ * @param {object} rpc - RPC adapter
+ * @param {object} previous - Earlier result of executePayoutPlan for this plan (optional)
+ * @returns {Promise<object>} { planId, status, confirmed, failed, balanceCheck }
+ * @throws {Error} If `previous` belongs to a different plan
+ */
+async function executePayoutPlan(plan, rpc, previous = null) {
+  if (previous && previous.planId !== plan.planId) {
+    throw new Error(`Cannot resume: result belongs to plan ${previous.planId}, not ${plan.planId}`);
+  }
+
+  const confirmed = previous ? [...previous.confirmed] : [];
+  const done = new Set(confirmed.map(entry => entry.idempotencyKey));
+  const pending = plan.transactions.filter(transaction => !done.has(transaction.idempotencyKey));
+
+  const recipients = [...new Set(pending.flatMap(transaction => transaction.transfers.map(transfer => transfer.address)))];
+  const before = new Map();
+  for (const address of [plan.payer, ...recipients]) {
+    before.set(address, await rpc.getBalance(address));
+  }
+
+  const failed = [];
+  const expected = new Map([...before.keys()].map(address => [address, 0n]));
+  for (const transaction of pending) {
+    try {
+      const { blockhash } = await rpc.getLatestBlockhash();
+      const signature = await rpc.sendTransaction({
+        idempotencyKey: transaction.idempotencyKey,
+        payer: plan.payer,
+        recentBlockhash: blockhash,
+        instructions: transaction.instructions,
+        message: compileMessage(plan.payer, transaction.instructions, blockhash).toString('base64')
+      });
+
+      confirmed.push({ index: transaction.index, idempotencyKey: transaction.idempotencyKey, signature });
+      expected.set(plan.payer, expected.get(plan.payer) - transaction.totalLamports - transaction.feeLamports);
+      transaction.transfers.forEach(transfer => {
+        expected.set(transfer.address, expected.get(transfer.address) + transfer.lamports);
+      });
+    } catch (error) {
+      failed.push({ index: transaction.index, idempotencyKey: transaction.idempotencyKey, error: error.message });
+    }
+  }
+
+  const mismatches = [];
+  for (const [address, delta] of expected) {
+    const actual = (await rpc.getBalance(address)) - before.get(address);
+    if (actual !== delta) {
+      mismatches.push({ address, expectedChange: delta, actualChange: actual });
+    }
+  }
+
+  return {
+    planId: plan.planId,
+    status: failed.length > 0 ? 'partial' : 'complete',
+    confirmed: confirmed.sort((a, b) => a.index - b.index),
+    failed,
+    balanceCheck: { ok: mismatches.length === 0, mismatches }
+  };
+}
+
+/**
+ * Decode SystemProgram transfers from a transaction's instructions
+ *
+ * @param {Array} instructions - Instructions
+ * @returns {Array} [{ from, to, lamports }]
+ */
+function decodeTransfers(instructions) {
+  return instructions
+    .filter(instruction => instruction.programId === SYSTEM_PROGRAM_ID)
+    .map(instruction => {
+      const data = Buffer.from(instruction.data, 'base64');
+      if (data.length !== 12 || data.readUInt32LE(0) !== 2) {
+        throw new Error('Unsupported SystemProgram instruction');
+      }
+      return { from: instruction.keys[0].pubkey, to: instruction.keys[1].pubkey, lamports: data.readBigUInt64LE(4) };
+    });
+}
+
+/**
+ * Decode the priority fee set by ComputeBudget instructions
+ *
+ * @param {Array} instructions - Instructions
+ * @returns {bigint} Priority fee in lamports
+ */
+function decodePriorityFee(instructions) {
+  let units = 0n;
+  let price = 0n;
+  instructions
+    .filter(instruction => instruction.programId === COMPUTE_BUDGET_PROGRAM_ID)
+    .forEach(instruction => {
+      const data = Buffer.from(instruction.data, 'base64');
+      if (data[0] === 2) units = BigInt(data.readUInt32LE(1));
+      if (data[0] === 3) price = data.readBigUInt64LE(1);
+    });
+  return (units * price + 999999n) / 1000000n;
+}
+
+module.exports = {
+  SYSTEM_PROGRAM_ID,
+  COMPUTE_BUDGET_PROGRAM_ID,
+  MAX_TRANSACTION_SIZE,
+  LAMPORTS_PER_SIGNATURE,
+  compileMessage,
+  buildPayoutPlan,
+  executePayoutPlan,
+  decodeTransfers,
+  decodePriorityFee
+};
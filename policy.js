@@ -0,0 +1,212 @@
+/**
+ * RewardFlow Distribution Algorithm - Wallet Policies
+ *
+ * Keeps special wallets out of a distribution whatever their balance:
+ * liquidity pool accounts, the dev or team wallet, burn addresses and
+ * exchange hot wallets would otherwise qualify like any holder between
+ * minBalance and maxBalance.
+ *
+ * Policy:
+ *   {
+ *     "deny": ["addr1", ...],                  never rewarded
+ *     "allowlistOnly": false,                  when true, only wallets in `allow` can qualify
+ *     "allow": ["addr2", ...],
+ *     "labels": { "addr3": "LP", "addr4": "team" },
+ *     "excludeLabels": ["LP", "team", "burn", "CEX"]
+ *   }
+ * Labeled wallets are excluded when their label is in excludeLabels
+ * (compared without case); other labels are informational. A wallet is
+ * checked in that order, so each exclusion has one reason: denylisted,
+ * an excluded label, or not on the allowlist.
+ */
+
+const fs = require('fs');
+const { ConfigError } = require('./errors');
+const { validatePolicy } = require('./validation');
+
+/**
+ * Labels excluded unless a policy sets its own excludeLabels
+ */
+const DEFAULT_EXCLUDED_LABELS = ['LP', 'team', 'burn', 'CEX'];
+
+// Lookup sets per policy: policy -> { deny, allow, excludeLabels, sets }
+const lookups = new WeakMap();
+
+/**
+ * Sets for checking a wallet against the policy lists
+ *
+ * The sets are rebuilt when a list has been replaced, so policies edited
+ * through setWalletPolicy / removeWalletPolicy (or by assigning a new
+ * list) are always checked against their current lists.
+ *
+ * @param {object} policy - Policy from createPolicy
+ * @returns {object} { deny, allow, excludeLabels } Sets; labels lower-cased
+ */
+function policyLookup(policy) {
+  const cached = lookups.get(policy);
+  if (cached && cached.deny === policy.deny && cached.allow === policy.allow && cached.excludeLabels === policy.excludeLabels) {
+    return cached.sets;
+  }
+
+  const sets = {
+    deny: new Set(policy.deny),
+    allow: new Set(policy.allow),
+    excludeLabels: new Set(policy.excludeLabels.map(label => label.toLowerCase()))
+  };
+  lookups.set(policy, { deny: policy.deny, allow: policy.allow, excludeLabels: policy.excludeLabels, sets });
+  return sets;
+}
+
+/**
+ * The label a policy gives a wallet
+ *
+ * Only the policy's own entries count, so an address such as
+ * "constructor" is not matched against Object.prototype.
+ *
+ * @param {object} policy - Policy from createPolicy
+ * @param {string} address - Wallet address
+ * @returns {string|null} Label, or null when the wallet has none
+ */
+function policyLabel(policy, address) {
+  return Object.prototype.hasOwnProperty.call(policy.labels, address) ? policy.labels[address] : null;
+}
+
+/**
+ * Build a policy, filling in defaults
+ *
+ * @param {object} policy - Policy fields (all optional)
+ * @returns {object} { deny, allow, allowlistOnly, labels, excludeLabels }
+ * @throws {ConfigError} If a field is invalid
+ */
+function createPolicy(policy = {}) {
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const created = {
+    deny: [...(policy.deny || [])],
+    allow: [...(policy.allow || [])],
+    allowlistOnly: policy.allowlistOnly || false,
+    labels: { ...policy.labels },
+    excludeLabels: [...(policy.excludeLabels || DEFAULT_EXCLUDED_LABELS)]
+  };
+  policyLookup(created);
+  return created;
+}
+
+/**
+ * Why a policy excludes a wallet
+ *
+ * @param {object} policy - Policy from createPolicy
+ * @param {string} address - Wallet address
+ * @returns {object|null} { code: 'denylist'|'label'|'allowlist', reason, label } or null when allowed
+ */
+function policyExclusion(policy, address) {
+  const label = policyLabel(policy, address);
+  const lookup = policyLookup(policy);
+
+  if (lookup.deny.has(address)) {
+    return { code: 'denylist', reason: 'Denylisted', label };
+  }
+  if (label !== null && lookup.excludeLabels.has(label.toLowerCase())) {
+    return { code: 'label', reason: `Label: ${label}`, label };
+  }
+  if (policy.allowlistOnly && !lookup.allow.has(address)) {
+    return { code: 'allowlist', reason: 'Not allowlisted', label };
+  }
+  return null;
+}
+
+/**
+ * Split holders into those a policy allows and those it excludes
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {object|null} policy - Policy fields, or null for no policy
+ * @returns {object} { included: Array, excluded: [{ address, code, reason, label }] }
+ * @throws {ConfigError} If the policy is invalid
+ */
+function applyPolicy(holders, policy) {
+  if (!policy) {
+    return { included: holders, excluded: [] };
+  }
+
+  const checked = createPolicy(policy);
+  const included = [];
+  const excluded = [];
+  holders.forEach(holder => {
+    const exclusion = policyExclusion(checked, holder.address);
+    if (exclusion) {
+      excluded.push({ address: holder.address, ...exclusion });
+    } else {
+      included.push(holder);
+    }
+  });
+
+  return { included, excluded };
+}
+
+/**
+ * Put a wallet on one list, taking it off the others
+ *
+ * @param {object} policy - Policy from createPolicy (updated in place)
+ * @param {string} address - Wallet address
+ * @param {string} list - 'deny', 'allow' or 'label'
+ * @param {string} label - Label, for the 'label' list
+ */
+function setWalletPolicy(policy, address, list, label) {
+  removeWalletPolicy(policy, address);
+  if (list === 'label') {
+    policy.labels[address] = label;
+  } else {
+    policy[list] = [...policy[list], address];
+  }
+}
+
+/**
+ * Take a wallet off every list
+ *
+ * @param {object} policy - Policy from createPolicy (updated in place)
+ * @param {string} address - Wallet address
+ * @returns {boolean} True when the wallet was on a list
+ */
+function removeWalletPolicy(policy, address) {
+  const listed = policy.deny.includes(address) || policy.allow.includes(address) || policyLabel(policy, address) !== null;
+  policy.deny = policy.deny.filter(entry => entry !== address);
+  policy.allow = policy.allow.filter(entry => entry !== address);
+  delete policy.labels[address];
+  return listed;
+}
+
+/**
+ * Read a policy file
+ *
+ * @param {string} filePath - JSON file with the policy fields
+ * @returns {object} Policy
+ * @throws {ConfigError} If the policy is invalid
+ */
+function readPolicyFile(filePath) {
+  return createPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Write a policy file
+ *
+ * @param {string} filePath - Destination (.json)
+ * @param {object} policy - Policy
+ */
+function writePolicyFile(filePath, policy) {
+  fs.writeFileSync(filePath, JSON.stringify(createPolicy(policy), null, 2) + '\n');
+}
+
+module.exports = {
+  DEFAULT_EXCLUDED_LABELS,
+  createPolicy,
+  policyExclusion,
+  policyLabel,
+  applyPolicy,
+  setWalletPolicy,
+  removeWalletPolicy,
+  readPolicyFile,
+  writePolicyFile
+};
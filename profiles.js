@@ -0,0 +1,341 @@
+/**
+ * RewardFlow Distribution Algorithm - Formula Profiles
+ *
+ * A formula profile is a named, versioned definition of the three
+ * weighting components used by calculateWeightage:
+ *
+ *   balance   - f(tokens / min_balance)
+ *   earlyness - f(days_since_launch when first bought)
+ *   tenure    - f(days_held)
+ *
+ * total_weight = balance × earlyness × tenure
+ *
+ * Each component names a curve and its parameters, so profiles stay
+ * plain JSON and can be stored alongside results:
+ *
+ * {
+ *   name: 'my-profile',
+ *   version: '1.0.0',
+ *   balance: { curve: 'log10', params: { base: 1, scale: 1 } },
+ *   earlyness: { curve: 'exp-decay', params: { base: 1, amplitude: 2, decayDays: 2 } },
+ *   tenure: { curve: 'log2', params: { base: 1, scale: 0.6 } }
+ * }
+ *
+ * New curve shapes can be added with registerCurve().
+ */
+
+/**
+ * Name of the profile used when none is given
+ */
+const DEFAULT_PROFILE_NAME = 'rewardflow-v1';
+
+/**
+ * Print "scale × " unless the scale is 1
+ *
+ * @param {number} scale - Multiplier
+ * @returns {string} Prefix for the multiplied term
+ */
+function times(scale) {
+  return scale === 1 ? '' : `${scale} × `;
+}
+
+/**
+ * Available curve shapes for each component
+ *
+ * params lists the parameters a profile must give the curve,
+ * evaluate(x, params) returns the component value and describe(params, x)
+ * prints the formula with `x` (a number or a variable name) filled in.
+ */
+const CURVES = {
+  balance: {
+    log10: {
+      params: ['base', 'scale'],
+      evaluate: (ratio, p) => p.base + p.scale * Math.log10(ratio),
+      describe: (p, x) => `${p.base} + ${times(p.scale)}log10(${x})`
+    },
+    sqrt: {
+      params: ['base', 'scale'],
+      evaluate: (ratio, p) => p.base + p.scale * (Math.sqrt(ratio) - 1),
+      describe: (p, x) => `${p.base} + ${times(p.scale)}(sqrt(${x}) - 1)`
+    },
+    linear: {
+      params: ['base', 'scale'],
+      evaluate: (ratio, p) => p.base + p.scale * (ratio - 1),
+      describe: (p, x) => `${p.base} + ${times(p.scale)}(${x} - 1)`
+    }
+  },
+  earlyness: {
+    'exp-decay': {
+      params: ['base', 'amplitude', 'decayDays'],
+      evaluate: (days, p) => p.base + p.amplitude * Math.exp(-days / p.decayDays),
+      describe: (p, x) => `${p.base} + ${p.amplitude} × exp(-${x} / ${p.decayDays})`
+    },
+    'linear-decay': {
+      params: ['base', 'amplitude', 'windowDays'],
+      evaluate: (days, p) => p.base + p.amplitude * Math.max(0, 1 - days / p.windowDays),
+      describe: (p, x) => `${p.base} + ${p.amplitude} × max(0, 1 - ${x} / ${p.windowDays})`
+    },
+    constant: {
+      params: ['value'],
+      evaluate: (days, p) => p.value,
+      describe: p => String(p.value)
+    }
+  },
+  tenure: {
+    log2: {
+      params: ['base', 'scale'],
+      evaluate: (days, p) => p.base + p.scale * Math.log2(days + 1),
+      describe: (p, x) => `${p.base} + ${times(p.scale)}log2(${x} + 1)`
+    },
+    linear: {
+      params: ['base', 'scale', 'capDays'],
+      evaluate: (days, p) => p.base + p.scale * Math.min(days, p.capDays),
+      describe: (p, x) => `${p.base} + ${times(p.scale)}min(${x}, ${p.capDays})`
+    },
+    constant: {
+      params: ['value'],
+      evaluate: (days, p) => p.value,
+      describe: p => String(p.value)
+    }
+  }
+};
+
+const COMPONENTS = Object.keys(CURVES);
+
+// Registered profiles: name -> (version -> profile)
+const registry = new Map();
+
+/**
+ * Compare two dotted version strings numerically
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Add a new curve shape for a component
+ *
+ * @param {string} component - 'balance', 'earlyness' or 'tenure'
+ * @param {string} name - Curve name used in profiles
+ * @param {object} curve - { params, evaluate(x, params), describe(params, x) }
+ */
+function registerCurve(component, name, curve) {
+  if (!CURVES[component]) {
+    throw new Error(`Unknown formula component "${component}"`);
+  }
+  if (typeof curve.evaluate !== 'function' || typeof curve.describe !== 'function') {
+    throw new Error('A curve needs evaluate() and describe() functions');
+  }
+  if (!Array.isArray(curve.params)) {
+    throw new Error('A curve needs the list of params it reads');
+  }
+  CURVES[component][name] = curve;
+}
+
+/**
+ * Check that a profile is complete and refers to known curves
+ *
+ * Every parameter its curves read must be given as a finite number.
+ *
+ * @param {object} profile - Profile to check
+ * @returns {object} The same profile
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || profile.name === '') {
+    throw new Error('A formula profile needs a name');
+  }
+  if (typeof profile.version !== 'string' || !/^\d+(\.\d+)*$/.test(profile.version)) {
+    throw new Error(`Formula profile "${profile.name}" needs a dotted numeric version such as "1.0.0"`);
+  }
+
+  COMPONENTS.forEach(component => {
+    const definition = profile[component];
+    if (!definition || !CURVES[component][definition.curve]) {
+      throw new Error(`Formula profile "${profile.name}" has no valid ${component} curve`);
+    }
+    const params = definition.params || {};
+    CURVES[component][definition.curve].params.forEach(key => {
+      if (!(key in params)) {
+        throw new Error(`Formula profile "${profile.name}" ${component}.${key} is required by the ${definition.curve} curve`);
+      }
+    });
+    Object.entries(params).forEach(([key, value]) => {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Formula profile "${profile.name}" ${component}.${key} must be a number`);
+      }
+    });
+  });
+
+  return profile;
+}
+
+/**
+ * Register a profile so it can be selected by name
+ *
+ * A name/version pair can only be registered once; publish changes
+ * under a new version so older results stay reproducible.
+ *
+ * @param {object} profile - Profile definition
+ * @returns {object} The registered (frozen) profile
+ */
+function registerProfile(profile) {
+  validateProfile(profile);
+
+  if (!registry.has(profile.name)) {
+    registry.set(profile.name, new Map());
+  }
+  const versions = registry.get(profile.name);
+  if (versions.has(profile.version)) {
+    throw new Error(`Formula profile ${profile.name}@${profile.version} is already registered`);
+  }
+
+  const frozen = JSON.parse(JSON.stringify(profile));
+  COMPONENTS.forEach(component => Object.freeze(frozen[component].params));
+  COMPONENTS.forEach(component => Object.freeze(frozen[component]));
+  Object.freeze(frozen);
+
+  versions.set(profile.version, frozen);
+  return frozen;
+}
+
+/**
+ * Look up a registered profile
+ *
+ * @param {string} name - Profile name
+ * @param {string} version - Exact version (latest when omitted)
+ * @returns {object} Profile definition
+ */
+function getProfile(name, version) {
+  const versions = registry.get(name);
+  if (!versions) {
+    throw new Error(`Unknown formula profile "${name}"`);
+  }
+
+  if (version === undefined) {
+    const latest = [...versions.keys()].sort(compareVersions).pop();
+    return versions.get(latest);
+  }
+
+  if (!versions.has(version)) {
+    throw new Error(`Unknown version ${version} of formula profile "${name}"`);
+  }
+  return versions.get(version);
+}
+
+/**
+ * Turn a profile name, "name@version" string or profile object into a profile
+ *
+ * Unregistered profile objects are accepted as long as they are valid.
+ *
+ * @param {string|object} profile - Profile reference (default profile when omitted)
+ * @returns {object} Profile definition
+ */
+function resolveProfile(profile = DEFAULT_PROFILE_NAME) {
+  if (typeof profile === 'string') {
+    const [name, version] = profile.split('@');
+    return getProfile(name, version);
+  }
+  return validateProfile(profile);
+}
+
+/**
+ * List all registered profiles
+ *
+ * @returns {Array} { name, version, description } for every profile
+ */
+function listProfiles() {
+  const profiles = [];
+  registry.forEach(versions => {
+    [...versions.keys()].sort(compareVersions).forEach(version => {
+      const { name, description = '' } = versions.get(version);
+      profiles.push({ name, version, description });
+    });
+  });
+  return profiles;
+}
+
+/**
+ * Evaluate the three components of a profile
+ *
+ * @param {object} profile - Profile definition
+ * @param {object} inputs - { tokenRatio, daysSinceLaunch, daysHeld }
+ * @returns {object} { balanceWeight, earlyBonus, tenureBonus }
+ */
+function evaluateProfile(profile, { tokenRatio, daysSinceLaunch, daysHeld }) {
+  const curve = component => CURVES[component][profile[component].curve];
+  const params = component => profile[component].params || {};
+
+  return {
+    balanceWeight: curve('balance').evaluate(tokenRatio, params('balance')),
+    earlyBonus: curve('earlyness').evaluate(daysSinceLaunch, params('earlyness')),
+    tenureBonus: curve('tenure').evaluate(daysHeld, params('tenure'))
+  };
+}
+
+/**
+ * Print the formula of each component
+ *
+ * @param {object} profile - Profile definition
+ * @param {object} inputs - Optional values or names for { balance, earlyness, tenure }
+ * @returns {object} { balance, earlyness, tenure } formula strings
+ */
+function describeProfile(profile, inputs = {}) {
+  const {
+    balance = 'tokens / min_balance',
+    earlyness = 'days_since_launch',
+    tenure = 'days_held'
+  } = inputs;
+  const describe = (component, x) => CURVES[component][profile[component].curve].describe(profile[component].params || {}, x);
+
+  return {
+    balance: describe('balance', balance),
+    earlyness: describe('earlyness', earlyness),
+    tenure: describe('tenure', tenure)
+  };
+}
+
+/**
+ * Short identifier for a profile, e.g. "rewardflow-v1@1.0.0"
+ *
+ * @param {object} profile - Profile definition
+ * @returns {string} name@version
+ */
+function profileId(profile) {
+  return `${profile.name}@${profile.version}`;
+}
+
+// The original RewardFlow formula (see src/utils/cache.ts in the main project)
+registerProfile({
+  name: DEFAULT_PROFILE_NAME,
+  version: '1.0.0',
+  description: 'Original RewardFlow website formula',
+  balance: { curve: 'log10', params: { base: 1, scale: 1 } },
+  earlyness: { curve: 'exp-decay', params: { base: 1, amplitude: 2, decayDays: 2 } },
+  tenure: { curve: 'log2', params: { base: 1, scale: 0.6 } }
+});
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  registerCurve,
+  registerProfile,
+  getProfile,
+  resolveProfile,
+  listProfiles,
+  validateProfile,
+  evaluateProfile,
+  describeProfile,
+  profileId
+};
@@ -0,0 +1,264 @@
+/**
+ * RewardFlow Distribution Algorithm - Reward Projections
+ *
+ * Answers a holder's "what if": how their reward changes when they buy
+ * or sell tokens, hold for longer, or the distribution runs at a later
+ * hoursSinceLaunch. The holder's weightage is recomputed with
+ * calculateWeightage and the whole distribution is run again, so their
+ * share is measured against the rest of the pool with the same payout
+ * caps, floors, clusters and wallet policy.
+ *
+ * Scenario:
+ *   { "tokensDelta": 50000, "extraHours": 72, "tokenPrice": 0.0000025 }
+ * - tokensDelta: tokens bought, or sold when negative
+ * - hoursSinceLaunch: hour of the projected distribution (default the
+ *   current setting); extraHours is added to it. Every holder keeps
+ *   holding, so the tenure of the others grows as well.
+ * - tokenPrice: SOL per token, needed for the break-even balance
+ * Buying more keeps the holder's first purchase hour (hoursAfterLaunch).
+ *
+ * Marginal rewards are derivatives of the projected reward, estimated by
+ * finite differences. The balance weight grows with log10, so every
+ * extra token earns less than the one before it; the break-even balance
+ * is where one more token earns less in a distribution than it costs.
+ * Above maxBalance a wallet stops qualifying at all.
+ */
+
+const { calculateDistribution, calculateWeightage } = require('./formulas');
+const { getDistributionOptions } = require('./config');
+const { createHolder } = require('./holder-io');
+const { applyPolicy } = require('./policy');
+const { checkHolders, validateProjection } = require('./validation');
+const { ConfigError } = require('./errors');
+
+/**
+ * Relative step used for finite differences
+ */
+const RELATIVE_STEP = 1e-4;
+
+/**
+ * Most steps when searching for the break-even balance
+ */
+const MAX_SEARCH_STEPS = 100;
+
+/**
+ * Why a holder gets nothing at a projected point
+ *
+ * @param {object} holder - Holder object at the point
+ * @param {object|null} policy - Wallet policy
+ * @returns {string} Reason
+ */
+function missingReason(holder, policy) {
+  if (holder.tokens < holder.minBalance) {
+    return 'below minBalance';
+  }
+  if (holder.tokens > holder.maxBalance) {
+    return 'above maxBalance';
+  }
+  const { excluded } = applyPolicy([holder], policy);
+  return excluded.length > 0 ? excluded[0].reason : 'payout below the dust threshold';
+}
+
+/**
+ * Run the distribution with the holder at a balance and hour
+ *
+ * @param {object} model - { rows, index, config, options }
+ * @param {number} tokens - Balance of the holder
+ * @param {number} hoursSinceLaunch - Hour of the distribution
+ * @returns {object} { tokens, hoursSinceLaunch, hoursHeld, qualified, reason, weightage, share, reward }
+ */
+function evaluatePoint(model, tokens, hoursSinceLaunch) {
+  const { rows, index, config, options } = model;
+  const pointConfig = { ...config, hoursSinceLaunch };
+  const holders = rows.map((row, i) => createHolder(i === index ? { ...row, tokens } : row, pointConfig));
+  const holder = holders[index];
+
+  const distribution = calculateDistribution(holders, config.treasuryBalance, config.feeReserve, options);
+  const result = distribution.find(entry => entry.address === holder.address);
+
+  return {
+    tokens,
+    hoursSinceLaunch,
+    hoursHeld: holder.hoursHeld,
+    qualified: Boolean(result),
+    reason: result ? null : missingReason(holder, options.policy),
+    weightage: calculateWeightage(tokens, holder.hoursAfterLaunch, hoursSinceLaunch, config.minBalance, options.profile),
+    share: result ? result.share : 0,
+    reward: result ? result.amount : 0
+  };
+}
+
+/**
+ * Extra reward per extra token at a balance
+ *
+ * Uses a forward difference, or a backward one where the step would
+ * cross maxBalance.
+ *
+ * @param {object} model - Projection model
+ * @param {number} tokens - Balance of the holder
+ * @param {number} hoursSinceLaunch - Hour of the distribution
+ * @returns {number} SOL per token
+ */
+function rewardPerToken(model, tokens, hoursSinceLaunch) {
+  const step = Math.max(tokens * RELATIVE_STEP, 1);
+  const forward = tokens + step <= model.config.maxBalance;
+  const low = forward ? tokens : Math.max(tokens - step, 0);
+  const high = forward ? tokens + step : tokens;
+  if (high === low) {
+    return 0;
+  }
+  return (evaluatePoint(model, high, hoursSinceLaunch).reward - evaluatePoint(model, low, hoursSinceLaunch).reward) / (high - low);
+}
+
+/**
+ * Extra reward per extra hour of holding at an hour
+ *
+ * @param {object} model - Projection model
+ * @param {number} tokens - Balance of the holder
+ * @param {number} hoursSinceLaunch - Hour of the distribution
+ * @returns {number} SOL per hour
+ */
+function rewardPerHour(model, tokens, hoursSinceLaunch) {
+  const step = Math.max(hoursSinceLaunch * RELATIVE_STEP, 0.01);
+  return (evaluatePoint(model, tokens, hoursSinceLaunch + step).reward - evaluatePoint(model, tokens, hoursSinceLaunch).reward) / step;
+}
+
+/**
+ * Find the balance where one more token earns less than it costs
+ *
+ * The reward per extra token falls as the balance grows, so the search
+ * narrows a range geometrically between minBalance and maxBalance.
+ *
+ * @param {object} model - Projection model
+ * @param {number} hoursSinceLaunch - Hour of the distribution
+ * @param {number} tokenPrice - SOL per token
+ * @returns {object} { tokens, limitedBy: 'price'|'maxBalance' }
+ */
+function findBreakEven(model, hoursSinceLaunch, tokenPrice) {
+  const { minBalance, maxBalance } = model.config;
+  const paysOff = tokens => rewardPerToken(model, tokens, hoursSinceLaunch) > tokenPrice;
+
+  if (!paysOff(minBalance)) {
+    return { tokens: minBalance, limitedBy: 'price' };
+  }
+
+  let low = minBalance;
+  let high = maxBalance;
+  if (Number.isFinite(maxBalance)) {
+    if (paysOff(maxBalance)) {
+      return { tokens: maxBalance, limitedBy: 'maxBalance' };
+    }
+  } else {
+    high = minBalance * 10;
+    for (let i = 0; i < MAX_SEARCH_STEPS && paysOff(high); i++) {
+      low = high;
+      high *= 10;
+    }
+  }
+
+  for (let i = 0; i < MAX_SEARCH_STEPS && high - low > Math.max(low * RELATIVE_STEP, 1); i++) {
+    const middle = Math.sqrt(low * high);
+    if (paysOff(middle)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return { tokens: Math.floor(low), limitedBy: 'price' };
+}
+
+/**
+ * Project a holder's reward under a hypothetical change
+ *
+ * The change in reward is split into the effect of time (the projected
+ * hour at the current balance) and the effect of the balance change.
+ * Invalid holders are left out, as in calculateDistribution.
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {string} address - Address of the holder
+ * @param {object} scenario - { tokensDelta, extraHours, hoursSinceLaunch, tokenPrice } (all optional)
+ * @param {object} config - Settings in the DEFAULT_CONFIG shape
+ * @param {object} options - Optional settings
+ * @param {object|Map} options.clusters - Address -> entity ID map
+ * @param {object} options.policy - Wallet policy (see policy.js)
+ * @returns {object} { address, scenario, current, projected, rewardChange, rewardChangePercent,
+ *   effects, marginal, breakEven, purchase }
+ * @throws {ConfigError} If the scenario is invalid or the holder is unknown
+ */
+function projectReward(holders, address, scenario, config, options = {}) {
+  const errors = validateProjection(scenario);
+  const rows = checkHolders(holders).valid.map(holder => ({
+    address: holder.address,
+    tokens: holder.tokens,
+    hoursAfterLaunch: holder.hoursAfterLaunch
+  }));
+  const index = rows.findIndex(row => row.address === address);
+  if (index === -1) {
+    errors.push({ field: 'address', message: `address ${address} is not one of the holders`, value: address });
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const tokensDelta = scenario.tokensDelta || 0;
+  const extraHours = scenario.extraHours || 0;
+  const hoursSinceLaunch = (scenario.hoursSinceLaunch === undefined ? config.hoursSinceLaunch : scenario.hoursSinceLaunch) + extraHours;
+  const tokenPrice = scenario.tokenPrice === undefined ? null : scenario.tokenPrice;
+  const tokens = rows[index].tokens + tokensDelta;
+
+  if (tokens < 0) {
+    errors.push({ field: 'tokensDelta', message: `tokensDelta cannot sell more than the ${rows[index].tokens} tokens held`, value: tokensDelta });
+  }
+  if (hoursSinceLaunch < config.hoursSinceLaunch) {
+    errors.push({
+      field: 'hoursSinceLaunch',
+      message: `hoursSinceLaunch must be no earlier than the current ${config.hoursSinceLaunch}`,
+      value: hoursSinceLaunch
+    });
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const model = {
+    rows,
+    index,
+    config,
+    options: { ...getDistributionOptions(config), clusters: options.clusters || null, policy: options.policy || null }
+  };
+
+  const current = evaluatePoint(model, rows[index].tokens, config.hoursSinceLaunch);
+  const later = evaluatePoint(model, rows[index].tokens, hoursSinceLaunch);
+  const projected = evaluatePoint(model, tokens, hoursSinceLaunch);
+  const rewardChange = projected.reward - current.reward;
+  const balanceEffect = projected.reward - later.reward;
+
+  const excluded = applyPolicy([{ address }], model.options.policy).excluded.length > 0;
+  const breakEven = tokenPrice === null || excluded ? null : findBreakEven(model, hoursSinceLaunch, tokenPrice);
+  const purchaseCost = tokenPrice !== null && tokensDelta > 0 ? tokensDelta * tokenPrice : null;
+
+  return {
+    address,
+    scenario: { tokensDelta, extraHours, hoursSinceLaunch, tokenPrice },
+    current,
+    projected,
+    rewardChange,
+    rewardChangePercent: current.reward > 0 ? (rewardChange / current.reward) * 100 : null,
+    effects: { time: later.reward - current.reward, balance: balanceEffect },
+    marginal: {
+      perToken: rewardPerToken(model, tokens, hoursSinceLaunch),
+      perHour: rewardPerHour(model, tokens, hoursSinceLaunch)
+    },
+    breakEven: breakEven && { tokenPrice, ...breakEven, extraTokens: breakEven.tokens - tokens },
+    purchase: purchaseCost === null ? null : {
+      cost: purchaseCost,
+      rewardGain: balanceEffect,
+      paybackDistributions: balanceEffect > 0 ? purchaseCost / balanceEffect : null
+    }
+  };
+}
+
+module.exports = {
+  projectReward
+};
@@ -0,0 +1,476 @@
+/**
+ * RewardFlow Distribution Algorithm - Recurring Distribution Runner
+ *
+ * Runs the distribution again and again (from cron, or on an interval)
+ * and keeps what has been paid in an append-only ledger, so it survives
+ * restarts. Each run:
+ * 1. takes the ledger lock, so two runs can never overlap
+ * 2. reads the treasury's lifetime income; only the part above the
+ *    ledger's high-water mark (the income seen by the last run) is new,
+ *    so the same funds are never distributed twice
+ * 3. reserves the fee from the new funds, adds the lamports carried
+ *    forward by the last run and splits them with
+ *    calculateLamportDistribution over the latest holder snapshot
+ * 4. appends the run to the ledger; lamports nobody received (dust,
+ *    payouts below the threshold, or every holder unqualified) are
+ *    carried forward to the next run
+ *
+ * The ledger is a JSONL file with one run per line; lamport amounts are
+ * decimal strings. Lifetime earnings per wallet are summed from it.
+ *
+ * Holders and treasury income come from a source adapter with two
+ * methods, getHolders() -> { rows, config } and getReceived() -> SOL
+ * (number) or lamports (bigint). createFileSource reads both from local
+ * files. Time comes from a clock with now() (ms) and sleep(ms, signal);
+ * createSimulatedClock jumps instead of waiting, for tests and dry
+ * schedules.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { calculateLamportDistribution, solToLamports, lamportsToSol, reserveFeeLamports } = require('./formulas');
+const { getDistributionOptions } = require('./config');
+const { createHolder, readHoldersFile, validateHolderRows } = require('./holder-io');
+const { toJson } = require('./json');
+
+/**
+ * Ledger file used when none is given
+ */
+const DEFAULT_LEDGER_FILE = 'rewardflow-ledger.jsonl';
+
+/**
+ * A lock older than this belongs to a run that died; it is taken over
+ */
+const DEFAULT_STALE_LOCK_MS = 60 * 60 * 1000;
+
+/**
+ * Ledger fields stored as lamport strings
+ */
+const LAMPORT_FIELDS = [
+  'receivedLamports', 'newLamports', 'feeLamports', 'carriedInLamports',
+  'poolLamports', 'distributedLamports', 'carryLamports'
+];
+
+/**
+ * Another run holds the ledger lock
+ */
+class LedgerLockedError extends Error {
+  /**
+   * @param {string} lockFile - Path of the lock file
+   * @param {object|null} holder - Lock contents { pid, acquiredAt, token }, if readable
+   */
+  constructor(lockFile, holder) {
+    super(`Another run holds ${lockFile}${holder ? ` (pid ${holder.pid} since ${new Date(holder.acquiredAt).toISOString()})` : ''}`);
+    this.name = 'LedgerLockedError';
+    this.lockFile = lockFile;
+    this.holder = holder;
+  }
+}
+
+/**
+ * Clock backed by the system time
+ *
+ * @returns {object} { now(), sleep(ms, signal) }
+ */
+function createSystemClock() {
+  return {
+    now: () => Date.now(),
+    sleep: (ms, signal) => new Promise(resolve => {
+      const timer = setTimeout(resolve, Math.max(ms, 0));
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    })
+  };
+}
+
+/**
+ * Clock whose sleep moves time forward at once
+ *
+ * @param {number} start - Start time in ms since the epoch (default 0)
+ * @returns {object} { now(), sleep(ms), advance(ms) }
+ */
+function createSimulatedClock(start = 0) {
+  let time = start;
+  return {
+    now: () => time,
+    sleep: async ms => {
+      time += Math.max(ms, 0);
+    },
+    advance: ms => {
+      time += ms;
+    }
+  };
+}
+
+/**
+ * Source adapter reading the holder snapshot and treasury income from files
+ *
+ * Both files are read again on every run, so another job can keep them
+ * up to date.
+ *
+ * @param {object} files - File paths and values
+ * @param {string} files.holders - Holder file (.csv or .json)
+ * @param {string} files.treasury - JSON file with { "received": <SOL> } or a bare number
+ * @param {number} files.received - Lifetime income in SOL (instead of files.treasury)
+ * @returns {object} { getHolders(), getReceived() }
+ */
+function createFileSource(files) {
+  return {
+    async getHolders() {
+      return readHoldersFile(files.holders);
+    },
+
+    async getReceived() {
+      if (files.treasury === undefined) {
+        return files.received;
+      }
+      const data = JSON.parse(fs.readFileSync(files.treasury, 'utf8'));
+      return typeof data === 'number' ? data : data.received;
+    }
+  };
+}
+
+/**
+ * Parse one ledger line
+ *
+ * @param {string} line - JSON text
+ * @returns {object} Run entry with lamport fields as bigint
+ */
+function parseLedgerEntry(line) {
+  const entry = JSON.parse(line);
+  LAMPORT_FIELDS.forEach(field => {
+    entry[field] = BigInt(entry[field]);
+  });
+  entry.payouts = entry.payouts.map(payout => ({ ...payout, lamports: BigInt(payout.lamports) }));
+  return entry;
+}
+
+/**
+ * Read every run from a ledger file
+ *
+ * A missing file is an empty ledger. Runs must be numbered 1, 2, 3, ...
+ * and the income they saw can only grow; anything else means the file
+ * was edited or damaged, and no run should trust it.
+ *
+ * @param {string} filePath - Ledger file (.jsonl)
+ * @returns {Array} Run entries, oldest first
+ * @throws {Error} If a line cannot be read or the runs are out of order
+ */
+function readLedger(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const runs = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+
+    let entry;
+    try {
+      entry = parseLedgerEntry(line);
+    } catch (error) {
+      throw new Error(`${filePath} line ${index + 1}: ${error.message}`);
+    }
+
+    const previous = runs[runs.length - 1];
+    if (entry.run !== runs.length + 1) {
+      throw new Error(`${filePath} line ${index + 1}: expected run ${runs.length + 1}, found ${entry.run}`);
+    }
+    if (previous && entry.receivedLamports < previous.receivedLamports) {
+      throw new Error(`${filePath} line ${index + 1}: treasury income went down from ${previous.receivedLamports} to ${entry.receivedLamports} lamports`);
+    }
+    runs.push(entry);
+  });
+  return runs;
+}
+
+/**
+ * Append one run to a ledger file
+ *
+ * The run is written as a single line in one call, so a reader never
+ * sees half a run.
+ *
+ * @param {string} filePath - Ledger file (.jsonl)
+ * @param {object} entry - Run entry
+ */
+function appendLedgerEntry(filePath, entry) {
+  fs.appendFileSync(filePath, toJson(entry, 0) + '\n');
+}
+
+/**
+ * Totals and lifetime earnings per wallet
+ *
+ * @param {Array} runs - Run entries from readLedger
+ * @returns {object} { runs, lastRunAt, highWaterLamports, carryLamports, feeLamports,
+ *   distributedLamports, wallets: [{ address, lamports, amount, runs, lastRun }] }
+ */
+function summarizeLedger(runs) {
+  const wallets = new Map();
+  runs.forEach(entry => {
+    entry.payouts.forEach(({ address, lamports }) => {
+      const wallet = wallets.get(address) || { address, lamports: 0n, runs: 0, lastRun: null };
+      wallet.lamports += lamports;
+      wallet.runs += 1;
+      wallet.lastRun = entry.run;
+      wallets.set(address, wallet);
+    });
+  });
+
+  const last = runs[runs.length - 1];
+  const total = field => runs.reduce((sum, entry) => sum + entry[field], 0n);
+  return {
+    runs: runs.length,
+    lastRunAt: last ? last.at : null,
+    highWaterLamports: last ? last.receivedLamports : 0n,
+    carryLamports: last ? last.carryLamports : 0n,
+    feeLamports: total('feeLamports'),
+    distributedLamports: total('distributedLamports'),
+    wallets: [...wallets.values()]
+      .map(wallet => ({ ...wallet, amount: lamportsToSol(wallet.lamports) }))
+      .sort((a, b) => (b.lamports > a.lamports) - (b.lamports < a.lamports) || a.address.localeCompare(b.address))
+  };
+}
+
+/**
+ * Remove the lock file if it still has the given contents
+ *
+ * The file is first renamed to a name no other call uses, so checking
+ * and removing it is one step: if it turns out to be a lock another run
+ * has created since, it is linked back in place instead.
+ *
+ * @param {string} lockFile - Lock file path
+ * @param {string} expected - Contents of the lock to remove
+ * @returns {boolean} Whether that lock was removed
+ */
+function removeLock(lockFile, expected) {
+  const moved = `${lockFile}.${crypto.randomUUID()}`;
+  try {
+    fs.renameSync(lockFile, moved);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    if (fs.readFileSync(moved, 'utf8') === expected) {
+      return true;
+    }
+    try {
+      fs.linkSync(moved, lockFile);
+    } catch (error) {
+      // EEXIST: yet another run has taken the lock since
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    return false;
+  } finally {
+    fs.rmSync(moved, { force: true });
+  }
+}
+
+/**
+ * Take the ledger lock
+ *
+ * The lock is a file created with the exclusive flag, so only one
+ * process can create it. A lock older than staleAfterMs is left over
+ * from a run that died and is taken over, but only if the file still
+ * holds the stale lock that was read; the returned release function
+ * likewise only removes this run's own lock.
+ *
+ * @param {string} lockFile - Lock file path
+ * @param {object} options - { clock, staleAfterMs }
+ * @returns {Function} Releases the lock
+ * @throws {LedgerLockedError} If another run holds the lock
+ */
+function acquireLock(lockFile, { clock, staleAfterMs = DEFAULT_STALE_LOCK_MS }) {
+  const contents = JSON.stringify({ pid: process.pid, acquiredAt: clock.now(), token: crypto.randomUUID() });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockFile, contents, { flag: 'wx' });
+      return () => {
+        removeLock(lockFile, contents);
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    let current = null;
+    let holder = null;
+    try {
+      current = fs.readFileSync(lockFile, 'utf8');
+      holder = JSON.parse(current);
+    } catch (error) {
+      // Being written or removed right now; treat it as held
+    }
+    if (attempt > 0 || !holder || clock.now() - holder.acquiredAt <= staleAfterMs) {
+      throw new LedgerLockedError(lockFile, holder);
+    }
+    // Whether or not another run got there first, the next attempt decides
+    removeLock(lockFile, current);
+  }
+  throw new LedgerLockedError(lockFile, null);
+}
+
+/**
+ * Run one distribution and record it in the ledger
+ *
+ * Nothing is recorded when there are no new funds and nothing carried
+ * forward, or when rows of the holder snapshot fail validation: paying
+ * the other holders would hand them the rejected wallets' rewards, so
+ * the funds wait for a corrected snapshot instead.
+ *
+ * @param {object} options - Run settings
+ * @param {string} options.ledgerFile - Ledger file (default rewardflow-ledger.jsonl)
+ * @param {object} options.source - { getHolders(), getReceived() }
+ * @param {object} options.config - Settings in the DEFAULT_CONFIG shape
+ * @param {number} options.launchTime - Launch in Unix seconds; sets hoursSinceLaunch from the
+ *   clock (default: the snapshot's hoursSinceLaunch, else config's)
+ * @param {object|Map} options.clusters - Address -> entity ID map
+ * @param {object} options.policy - Wallet policy (see policy.js)
+ * @param {object} options.clock - Clock (default system clock)
+ * @param {number} options.staleLockMs - Age at which a lock is taken over (default 1 hour)
+ * @returns {Promise<object>} { status: 'distributed', entry } or
+ *   { status: 'skipped', reason, receivedLamports, rejected }
+ * @throws {LedgerLockedError} If another run holds the lock
+ * @throws {Error} If the ledger is damaged or the treasury income went down
+ */
+async function runDistribution(options) {
+  const ledgerFile = options.ledgerFile || DEFAULT_LEDGER_FILE;
+  const clock = options.clock || createSystemClock();
+  const release = acquireLock(`${ledgerFile}.lock`, { clock, staleAfterMs: options.staleLockMs });
+
+  try {
+    const runs = readLedger(ledgerFile);
+    const last = runs[runs.length - 1];
+    const highWater = last ? last.receivedLamports : 0n;
+    const carriedIn = last ? last.carryLamports : 0n;
+
+    const received = await options.source.getReceived();
+    if (typeof received !== 'bigint' && !(Number.isFinite(received) && received >= 0)) {
+      throw new Error(`Treasury income must be a SOL amount of 0 or more, got ${received}`);
+    }
+    const receivedLamports = solToLamports(received);
+    if (receivedLamports < highWater) {
+      throw new Error(`Treasury income went down from ${highWater} to ${receivedLamports} lamports; it must be the lifetime total`);
+    }
+
+    const newLamports = receivedLamports - highWater;
+    if (newLamports === 0n && carriedIn === 0n) {
+      return { status: 'skipped', reason: 'no new treasury funds', receivedLamports, rejected: [] };
+    }
+
+    const now = clock.now();
+    const snapshot = await options.source.getHolders();
+    let hoursSinceLaunch = snapshot.config && snapshot.config.hoursSinceLaunch !== undefined
+      ? snapshot.config.hoursSinceLaunch
+      : options.config.hoursSinceLaunch;
+    if (options.launchTime !== undefined && options.launchTime !== null) {
+      hoursSinceLaunch = (now / 1000 - options.launchTime) / 3600;
+    }
+    const config = { ...options.config, hoursSinceLaunch };
+    const { valid, rejected } = validateHolderRows(snapshot.rows, config);
+    if (rejected.length > 0) {
+      return { status: 'skipped', reason: 'rejected holder rows', receivedLamports, rejected };
+    }
+    const holders = valid.map(row => createHolder(row, config));
+
+    const feeLamports = reserveFeeLamports(newLamports, config.feeReserve);
+    const poolLamports = newLamports - feeLamports + carriedIn;
+    const result = calculateLamportDistribution(holders, poolLamports, 0, {
+      ...getDistributionOptions(config),
+      clusters: options.clusters || null,
+      policy: options.policy || null
+    });
+
+    const entry = {
+      run: runs.length + 1,
+      at: new Date(now).toISOString(),
+      hoursSinceLaunch,
+      receivedLamports,
+      newLamports,
+      feeLamports,
+      carriedInLamports: carriedIn,
+      poolLamports,
+      distributedLamports: result.distributedLamports,
+      carryLamports: poolLamports - result.distributedLamports,
+      holders: holders.length,
+      payouts: result.distribution
+        .map(({ address, lamports }) => ({ address, lamports }))
+        .sort((a, b) => a.address.localeCompare(b.address))
+    };
+    appendLedgerEntry(ledgerFile, entry);
+    return { status: 'distributed', entry };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Run distributions on a fixed interval
+ *
+ * Runs start at the first call and then every intervalMs on the clock;
+ * a run that overruns starts the next one when it ends instead of
+ * overlapping it, and the schedule continues from there. A
+ * failed run (including a held lock) is reported to onError and the
+ * schedule carries on.
+ *
+ * @param {object} options - runDistribution settings, plus:
+ * @param {number} options.intervalMs - Time between runs
+ * @param {number} options.maxRuns - Stop after this many runs (default: until stopped)
+ * @param {Function} options.onRun - Called with each runDistribution result
+ * @param {Function} options.onError - Called with each error
+ * @returns {object} { stop(), done: Promise<number> } - done resolves to the number of runs
+ */
+function scheduleRuns(options) {
+  const clock = options.clock || createSystemClock();
+  const { intervalMs, maxRuns = Infinity, onRun = () => {}, onError = () => {} } = options;
+  if (!(intervalMs > 0)) {
+    throw new Error('intervalMs must be greater than 0');
+  }
+
+  const controller = new AbortController();
+  const loop = async () => {
+    let count = 0;
+    let next = clock.now();
+    while (!controller.signal.aborted && count < maxRuns) {
+      try {
+        onRun(await runDistribution({ ...options, clock }));
+      } catch (error) {
+        onError(error);
+      }
+      count++;
+
+      next = Math.max(next + intervalMs, clock.now());
+      if (count < maxRuns && !controller.signal.aborted) {
+        await clock.sleep(next - clock.now(), controller.signal);
+      }
+    }
+    return count;
+  };
+
+  return { stop: () => controller.abort(), done: loop() };
+}
+
+module.exports = {
+  DEFAULT_LEDGER_FILE,
+  LedgerLockedError,
+  createSystemClock,
+  createSimulatedClock,
+  createFileSource,
+  readLedger,
+  summarizeLedger,
+  runDistribution,
+  scheduleRuns
+};
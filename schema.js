@@ -0,0 +1,208 @@
+/**
+ * RewardFlow Distribution Algorithm - Request Schemas
+ *
+ * JSON Schemas for the HTTP API and a small validator for the subset of
+ * JSON Schema they use (type, required, properties,
+ * additionalProperties, items, enum, minimum, maximum,
+ * exclusiveMinimum, minLength, minItems).
+ *
+ * Errors use the same shape as common JSON Schema validators:
+ *   { instancePath: '/holders/0/tokens', keyword: 'type', message: 'must be number' }
+ */
+
+const holderRowSchema = {
+  type: 'object',
+  required: ['address', 'tokens', 'hoursAfterLaunch'],
+  properties: {
+    address: { type: 'string', minLength: 1, description: 'Wallet address' },
+    tokens: { type: 'number', exclusiveMinimum: 0, description: 'Number of tokens held' },
+    hoursAfterLaunch: { type: 'number', minimum: 0, description: 'Hours after launch when first bought' }
+  },
+  additionalProperties: false
+};
+
+const configSchema = {
+  type: 'object',
+  description: 'Distribution settings; omitted fields use the defaults',
+  properties: {
+    minBalance: { type: 'number', exclusiveMinimum: 0 },
+    maxBalance: { type: 'number', exclusiveMinimum: 0 },
+    treasuryBalance: { type: 'number', minimum: 0, description: 'SOL to distribute' },
+    feeReserve: { type: 'number', minimum: 0, maximum: 0.5, description: 'Fraction kept for fees' },
+    hoursSinceLaunch: { type: 'number', minimum: 0 },
+    formulaProfile: { type: ['string', 'object'], description: 'Profile name[@version] or profile definition' },
+    maxWalletShare: { type: 'number', minimum: 0, maximum: 1, description: '0 = no cap' },
+    minWalletPayout: { type: 'number', minimum: 0, description: 'SOL, 0 = no floor' }
+  },
+  additionalProperties: false
+};
+
+const distributionRequestSchema = {
+  type: 'object',
+  required: ['holders'],
+  properties: {
+    holders: { type: 'array', items: holderRowSchema },
+    config: configSchema,
+    lamports: { type: 'boolean', description: 'Use lamport-exact payouts' },
+    clusters: { type: 'object', description: 'Address -> entity ID map' },
+    policy: { type: 'object', description: 'Wallet policy { deny, allow, allowlistOnly, labels, excludeLabels }' }
+  },
+  additionalProperties: false
+};
+
+const statsRequestSchema = {
+  type: 'object',
+  required: ['holders'],
+  properties: {
+    holders: { type: 'array', items: holderRowSchema },
+    config: configSchema,
+    clusters: { type: 'object', description: 'Address -> entity ID map' },
+    policy: { type: 'object', description: 'Wallet policy { deny, allow, allowlistOnly, labels, excludeLabels }' }
+  },
+  additionalProperties: false
+};
+
+const projectionRequestSchema = {
+  type: 'object',
+  required: ['holders', 'address'],
+  properties: {
+    holders: { type: 'array', items: holderRowSchema },
+    config: configSchema,
+    address: { type: 'string', minLength: 1, description: 'Holder to project' },
+    scenario: {
+      type: 'object',
+      description: 'Hypothetical change; omitted fields change nothing',
+      properties: {
+        tokensDelta: { type: 'number', description: 'Tokens bought, or sold when negative' },
+        extraHours: { type: 'number', minimum: 0, description: 'Hours added to hoursSinceLaunch' },
+        hoursSinceLaunch: { type: 'number', minimum: 0, description: 'Hour of the projected distribution (default config.hoursSinceLaunch)' },
+        tokenPrice: { type: 'number', exclusiveMinimum: 0, description: 'SOL per token, for the break-even balance' }
+      },
+      additionalProperties: false
+    },
+    clusters: { type: 'object', description: 'Address -> entity ID map' },
+    policy: { type: 'object', description: 'Wallet policy { deny, allow, allowlistOnly, labels, excludeLabels }' }
+  },
+  additionalProperties: false
+};
+
+const weightageRequestSchema = {
+  type: 'object',
+  required: ['tokens', 'hoursAfterLaunch', 'hoursSinceLaunch', 'minBalance'],
+  properties: {
+    tokens: { type: 'number', minimum: 0 },
+    hoursAfterLaunch: { type: 'number', minimum: 0 },
+    hoursSinceLaunch: { type: 'number', minimum: 0 },
+    minBalance: { type: 'number', exclusiveMinimum: 0 },
+    profile: { type: ['string', 'object'], description: 'Profile name[@version] or profile definition' }
+  },
+  additionalProperties: false
+};
+
+/**
+ * JSON Schema type name of a value
+ *
+ * @param {*} value - Value to inspect
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the allowed types
+ *
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} types - Allowed type(s)
+ * @returns {boolean} True when the type matches
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => {
+    if (type === 'number') {
+      return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+    }
+    return type === actual;
+  });
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {object} schema - JSON Schema (supported subset)
+ * @param {*} value - Value to validate
+ * @param {string} instancePath - JSON Pointer of the value (default root)
+ * @returns {Array} Validation errors (empty when valid)
+ */
+function validate(schema, value, instancePath = '') {
+  const errors = [];
+  const fail = (keyword, message, path = instancePath) => errors.push({ instancePath: path, keyword, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail('type', `must be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail('minLength', `must NOT have fewer than ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must NOT have fewer than ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${instancePath}/${index}`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        fail('required', `must have required property '${key}'`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...validate(propertySchema, value[key], `${instancePath}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', `must NOT have additional property '${key}'`, `${instancePath}/${key}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  holderRowSchema,
+  configSchema,
+  distributionRequestSchema,
+  statsRequestSchema,
+  projectionRequestSchema,
+  weightageRequestSchema,
+  validate
+};
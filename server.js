@@ -0,0 +1,510 @@
+/**
+ * RewardFlow Distribution Algorithm - HTTP API
+ *
+ * A small JSON API built on Node's http module. It calls the same
+ * calculateWeightage / calculateDistribution code as the demo and the
+ * CLI, so the numbers always match.
+ *
+ * Routes:
+ *   POST /distribution   holders + config -> distribution results
+ *   POST /weightage      single holder -> weightage breakdown
+ *   POST /stats          holders + config -> distribution statistics
+ *   POST /projection     holders + config + one holder's what-if -> projected reward
+ *   GET  /formula        active formula profile (?profile=name[@version])
+ *   GET  /openapi.json   OpenAPI 3.1 document
+ *
+ * Invalid requests get a 400 (schema errors) or 422 (valid shape but
+ * rejected holders or settings) with JSON-schema-style errors:
+ *   { error, message, errors: [{ instancePath, keyword, message }] }
+ */
+
+const http = require('http');
+const { calculateWeightage, calculateDistribution, calculateLamportDistribution, getDistributionStats } = require('./formulas');
+const { resolveProfile, listProfiles, describeProfile, profileId } = require('./profiles');
+const { DEFAULT_CONFIG, getDistributionOptions } = require('./config');
+const { createHolder, validateHolderRows } = require('./holder-io');
+const { projectReward } = require('./projection');
+const { RewardFlowError, ConfigError } = require('./errors');
+const { validateConfig, validatePolicy, validateClusters } = require('./validation');
+const { toJson } = require('./json');
+const {
+  holderRowSchema,
+  configSchema,
+  distributionRequestSchema,
+  statsRequestSchema,
+  projectionRequestSchema,
+  weightageRequestSchema,
+  validate
+} = require('./schema');
+
+/**
+ * Largest accepted request body (bytes)
+ */
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Error with an HTTP status and JSON-schema-style error list
+ */
+class HttpError extends Error {
+  constructor(status, message, errors = []) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ *
+ * A body over MAX_BODY_BYTES rejects with a 413 at once; the rest of it
+ * is read and dropped, so the client still receives the response.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      if (chunks === null) {
+        return;
+      }
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks = null;
+        reject(new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (chunks === null) {
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Throw a 400 when a body does not match its schema
+ *
+ * @param {object} schema - Request schema
+ * @param {*} body - Parsed body
+ */
+function assertValid(schema, body) {
+  const errors = validate(schema, body);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Request does not match the schema', errors);
+  }
+}
+
+/**
+ * Turn field-level problems into a 422
+ *
+ * @param {string} message - Summary message
+ * @param {Array} errors - Field-level problems ({ field, message })
+ * @param {string} prefix - JSON Pointer of the object the fields belong to
+ * @returns {HttpError} Error to throw
+ */
+function unprocessable(message, errors, prefix = '') {
+  return new HttpError(422, message, errors.map(error => ({
+    instancePath: `${prefix}/${error.field}`,
+    keyword: 'invalid',
+    message: error.message
+  })));
+}
+
+/**
+ * Resolve a profile reference, turning lookup failures into a 422
+ *
+ * @param {string|object} profile - Profile reference
+ * @param {string} instancePath - Where the reference came from
+ * @returns {object} Resolved profile
+ */
+function resolveRequestProfile(profile, instancePath) {
+  try {
+    return resolveProfile(profile);
+  } catch (error) {
+    throw new HttpError(422, 'Unknown or invalid formula profile', [
+      { instancePath, keyword: 'profile', message: error.message }
+    ]);
+  }
+}
+
+/**
+ * Merge request settings with the defaults and check them
+ *
+ * @param {object} overrides - Settings from the request
+ * @returns {object} Complete settings
+ */
+function buildRequestConfig(overrides = {}) {
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw unprocessable('Invalid settings', errors, '/config');
+  }
+
+  return config;
+}
+
+/**
+ * Check the wallet policy and cluster map of a request
+ *
+ * Problems are reported under /policy and /clusters, the request fields
+ * they came from.
+ *
+ * @param {object} body - Parsed body
+ * @returns {object} { clusters, policy } for the calculation options
+ */
+function buildRequestGrouping(body) {
+  const policyErrors = body.policy ? validatePolicy(body.policy) : [];
+  if (policyErrors.length > 0) {
+    throw unprocessable('Invalid wallet policy', policyErrors, '/policy');
+  }
+
+  const clusterErrors = body.clusters ? validateClusters(body.clusters) : [];
+  if (clusterErrors.length > 0) {
+    throw unprocessable('Invalid cluster map', clusterErrors, '/clusters');
+  }
+
+  return { clusters: body.clusters || null, policy: body.policy || null };
+}
+
+/**
+ * Turn request rows into holders, rejecting rows the demo would reject
+ *
+ * @param {Array} rows - Holder rows from the request
+ * @param {object} config - Complete settings
+ * @returns {Array} Holder objects
+ */
+function buildRequestHolders(rows, config) {
+  const { rejected } = validateHolderRows(rows.map((row, index) => ({ ...row, entry: index })), config);
+
+  if (rejected.length > 0) {
+    const errors = rejected.flatMap(({ row, errors: messages }) =>
+      messages.map(message => ({ instancePath: `/holders/${row.entry}`, keyword: 'holder', message }))
+    );
+    throw new HttpError(422, 'Some holders were rejected', errors);
+  }
+
+  return rows.map(row => createHolder(row, config));
+}
+
+/**
+ * Run a calculation, turning input errors and setting conflicts (e.g.
+ * an impossible payout floor) into a 422
+ *
+ * @param {function} calculate - Calculation to run
+ * @returns {*} Calculation result
+ */
+function runCalculation(calculate) {
+  try {
+    return calculate();
+  } catch (error) {
+    if (error instanceof RewardFlowError) {
+      throw unprocessable(error.message, error.errors);
+    }
+    if (error instanceof RangeError) {
+      throw new HttpError(422, error.message, [{ instancePath: '/config', keyword: 'limits', message: error.message }]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * POST /distribution
+ *
+ * @param {object} body - Parsed body
+ * @returns {object} Distribution results
+ */
+function handleDistribution(body) {
+  assertValid(distributionRequestSchema, body);
+
+  const config = buildRequestConfig(body.config);
+  const holders = buildRequestHolders(body.holders, config);
+  const options = { ...getDistributionOptions(config), ...buildRequestGrouping(body) };
+  const profile = resolveProfile(config.formulaProfile);
+
+  if (body.lamports) {
+    return {
+      config,
+      totalHolders: holders.length,
+      ...runCalculation(() => calculateLamportDistribution(holders, config.treasuryBalance, config.feeReserve, options))
+    };
+  }
+
+  const distribution = runCalculation(() => calculateDistribution(holders, config.treasuryBalance, config.feeReserve, options));
+  return {
+    config,
+    profile: { name: profile.name, version: profile.version },
+    totalHolders: holders.length,
+    feeAmount: config.treasuryBalance * config.feeReserve,
+    totalDistributed: distribution.reduce((sum, result) => sum + result.amount, 0),
+    distribution
+  };
+}
+
+/**
+ * POST /weightage
+ *
+ * @param {object} body - Parsed body
+ * @returns {object} Weightage breakdown
+ */
+function handleWeightage(body) {
+  assertValid(weightageRequestSchema, body);
+
+  const profile = resolveRequestProfile(body.profile, '/profile');
+  return runCalculation(() => calculateWeightage(body.tokens, body.hoursAfterLaunch, body.hoursSinceLaunch, body.minBalance, profile));
+}
+
+/**
+ * POST /stats
+ *
+ * @param {object} body - Parsed body
+ * @returns {object} Distribution statistics
+ */
+function handleStats(body) {
+  assertValid(statsRequestSchema, body);
+
+  const config = buildRequestConfig(body.config);
+  const holders = buildRequestHolders(body.holders, config);
+  const options = { ...getDistributionOptions(config), ...buildRequestGrouping(body) };
+  const distribution = runCalculation(() => calculateDistribution(holders, config.treasuryBalance, config.feeReserve, options));
+
+  return { config, ...getDistributionStats(holders, distribution) };
+}
+
+/**
+ * POST /projection
+ *
+ * @param {object} body - Parsed body
+ * @returns {object} Current and projected reward of the holder
+ */
+function handleProjection(body) {
+  assertValid(projectionRequestSchema, body);
+
+  const config = buildRequestConfig(body.config);
+  const holders = buildRequestHolders(body.holders, config);
+  const scenario = body.scenario || {};
+  const options = buildRequestGrouping(body);
+
+  const projection = runCalculation(() => {
+    try {
+      return projectReward(holders, body.address, scenario, config, options);
+    } catch (error) {
+      // Point scenario problems at the request field they came from
+      if (error instanceof ConfigError && error.errors.some(({ field }) => field === 'address' || field in scenario)) {
+        throw new HttpError(422, error.message, error.errors.map(({ field, message }) => ({
+          instancePath: field === 'address' ? '/address' : `/scenario/${field}`,
+          keyword: 'invalid',
+          message
+        })));
+      }
+      throw error;
+    }
+  });
+  return { config, ...projection };
+}
+
+/**
+ * GET /formula
+ *
+ * @param {URLSearchParams} query - Query string
+ * @returns {object} Active profile with its constants and formulas
+ */
+function handleFormula(query) {
+  const profile = resolveRequestProfile(query.get('profile') || DEFAULT_CONFIG.formulaProfile, '/profile');
+
+  return {
+    id: profileId(profile),
+    profile,
+    formulas: {
+      ...describeProfile(profile),
+      timeWeight: 'early_bonus × tenure_bonus',
+      totalWeight: 'balance_weight × time_weight',
+      reward: '(your_weight / total_weights) × (treasury × (1 - fee_reserve))'
+    },
+    defaults: DEFAULT_CONFIG,
+    available: listProfiles()
+  };
+}
+
+/**
+ * Build the OpenAPI document
+ *
+ * @returns {object} OpenAPI 3.1 document
+ */
+function buildOpenApi() {
+  const jsonBody = schema => ({ required: true, content: { 'application/json': { schema } } });
+  const jsonResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { type: 'object' } } }
+  });
+  const errorResponses = {
+    400: { description: 'Request does not match the schema', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    422: { description: 'Holders or settings rejected', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'RewardFlow Distribution API',
+      version: require('./package.json').version,
+      description: 'Computes RewardFlow reward distributions with the same code as the interactive demo.'
+    },
+    paths: {
+      '/distribution': {
+        post: {
+          summary: 'Calculate the distribution for a set of holders',
+          requestBody: jsonBody(distributionRequestSchema),
+          responses: { 200: jsonResponse('Distribution results'), ...errorResponses }
+        }
+      },
+      '/weightage': {
+        post: {
+          summary: 'Calculate the weightage breakdown for a single holder',
+          requestBody: jsonBody(weightageRequestSchema),
+          responses: { 200: jsonResponse('Weightage breakdown'), ...errorResponses }
+        }
+      },
+      '/stats': {
+        post: {
+          summary: 'Calculate distribution statistics and fairness metrics',
+          requestBody: jsonBody(statsRequestSchema),
+          responses: { 200: jsonResponse('Distribution statistics'), ...errorResponses }
+        }
+      },
+      '/projection': {
+        post: {
+          summary: 'Project the reward of one holder if they buy, sell or hold longer',
+          requestBody: jsonBody(projectionRequestSchema),
+          responses: { 200: jsonResponse('Current and projected reward, marginal rewards and break-even balance'), ...errorResponses }
+        }
+      },
+      '/formula': {
+        get: {
+          summary: 'Show the active formula profile and its constants',
+          parameters: [{ name: 'profile', in: 'query', required: false, schema: { type: 'string' } }],
+          responses: { 200: jsonResponse('Formula profile'), 422: errorResponses[422] }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        HolderRow: holderRowSchema,
+        Config: configSchema,
+        Error: {
+          type: 'object',
+          required: ['error', 'message'],
+          properties: {
+            error: { type: 'string' },
+            message: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  instancePath: { type: 'string' },
+                  keyword: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+const ROUTES = {
+  'POST /distribution': handleDistribution,
+  'POST /weightage': handleWeightage,
+  'POST /stats': handleStats,
+  'POST /projection': handleProjection,
+  'GET /formula': (body, query) => handleFormula(query),
+  'GET /openapi.json': () => buildOpenApi()
+};
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ * @param {object} headers - Extra response headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const text = toJson(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    ...headers
+  });
+  res.end(text);
+}
+
+/**
+ * Handle one request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  try {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+      throw new HttpError(400, `Invalid request URL ${req.url}`);
+    }
+
+    const handler = ROUTES[`${req.method} ${url.pathname}`];
+    if (!handler) {
+      const known = Object.keys(ROUTES).some(route => route.endsWith(` ${url.pathname}`));
+      throw new HttpError(known ? 405 : 404, known ? `Method ${req.method} not allowed` : `No route for ${url.pathname}`);
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : null;
+    sendJson(res, 200, handler(body, url.searchParams));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      // After a 413 the client may still be sending; close once the response is out
+      const headers = error.status === 413 ? { Connection: 'close' } : {};
+      sendJson(res, error.status, { error: http.STATUS_CODES[error.status], message: error.message, errors: error.errors }, headers);
+    } else {
+      sendJson(res, 500, { error: http.STATUS_CODES[500], message: error.message, errors: [] });
+    }
+  }
+}
+
+/**
+ * Create the API server (not yet listening)
+ *
+ * @returns {http.Server} Server
+ */
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch(() => {
+      // Sending the error response failed as well; drop the connection
+      res.destroy();
+    });
+  });
+}
+
+module.exports = {
+  createServer,
+  buildOpenApi
+};
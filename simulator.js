@@ -0,0 +1,270 @@
+/**
+ * RewardFlow Distribution Algorithm - Multi-Epoch Simulator
+ *
+ * Replays a timeline of buy, sell and transfer events and runs a
+ * distribution at every epoch, accumulating the rewards per wallet.
+ *
+ * Tenure rule:
+ * - Every buy or incoming transfer adds a "lot" (amount + hour acquired)
+ * - Sells and outgoing transfers consume the NEWEST lots first (LIFO),
+ *   so a partial sell never shortens the tenure of the tokens still held
+ * - Transfers do not carry tenure: the receiver's lot starts at the
+ *   transfer hour
+ * - A wallet that sells everything loses all lots; buying again starts
+ *   from scratch
+ * - The hoursAfterLaunch passed to calculateWeightage is the
+ *   token-weighted average acquisition hour of the remaining lots, so
+ *   topping up late lowers the earlyness and tenure of the position
+ *   proportionally
+ *
+ * Event format:
+ *   { hour: 12, type: 'buy', address: 'A', amount: 50000 }
+ *   { hour: 30, type: 'sell', address: 'A', amount: 10000 }
+ *   { hour: 36, type: 'transfer', address: 'A', to: 'B', amount: 5000 }
+ */
+
+const { calculateDistribution } = require('./formulas');
+const { getDistributionOptions } = require('./config');
+const { createHolder } = require('./holder-io');
+
+const EVENT_TYPES = ['buy', 'sell', 'transfer'];
+
+/**
+ * Add a lot to a wallet
+ *
+ * @param {Map} wallets - address -> lots
+ * @param {string} address - Wallet address
+ * @param {number} amount - Tokens acquired
+ * @param {number} hour - Hour acquired
+ */
+function addLot(wallets, address, amount, hour) {
+  if (!wallets.has(address)) {
+    wallets.set(address, []);
+  }
+  wallets.get(address).push({ amount, hour });
+}
+
+/**
+ * Remove tokens from a wallet, newest lots first
+ *
+ * @param {Map} wallets - address -> lots
+ * @param {string} address - Wallet address
+ * @param {number} amount - Tokens to remove
+ * @param {number} index - Event index, for error messages
+ */
+function removeTokens(wallets, address, amount, index) {
+  const lots = wallets.get(address) || [];
+  const balance = lots.reduce((sum, lot) => sum + lot.amount, 0);
+
+  if (amount > balance) {
+    throw new Error(`Event ${index + 1}: ${address} cannot move ${amount} tokens, balance is ${balance}`);
+  }
+
+  let remaining = amount;
+  while (remaining > 0 && lots.length > 0) {
+    const newest = lots[lots.length - 1];
+    if (newest.amount <= remaining) {
+      remaining -= newest.amount;
+      lots.pop();
+    } else {
+      newest.amount -= remaining;
+      remaining = 0;
+    }
+  }
+}
+
+/**
+ * Apply one event to the wallets
+ *
+ * @param {Map} wallets - address -> lots
+ * @param {object} event - Timeline event
+ * @param {number} index - Event index, for error messages
+ */
+function applyEvent(wallets, event, index) {
+  const { type, address, amount, hour, to } = event;
+
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Event ${index + 1}: unknown type "${type}" (use ${EVENT_TYPES.join(', ')})`);
+  }
+  if (typeof address !== 'string' || address === '') {
+    throw new Error(`Event ${index + 1}: address is required`);
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Event ${index + 1}: amount must be a positive number`);
+  }
+  if (!Number.isFinite(hour) || hour < 0) {
+    throw new Error(`Event ${index + 1}: hour must be 0 or more`);
+  }
+
+  if (type === 'buy') {
+    addLot(wallets, address, amount, hour);
+    return;
+  }
+
+  if (type === 'transfer' && (typeof to !== 'string' || to === '')) {
+    throw new Error(`Event ${index + 1}: transfer needs a "to" address`);
+  }
+
+  removeTokens(wallets, address, amount, index);
+  if (type === 'transfer') {
+    addLot(wallets, to, amount, hour);
+  }
+}
+
+/**
+ * Summarize a wallet's lots as a single position
+ *
+ * @param {Array} lots - Remaining lots
+ * @returns {object} { tokens, hoursAfterLaunch } (token-weighted average hour)
+ */
+function summarizeLots(lots) {
+  const tokens = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const weightedHours = lots.reduce((sum, lot) => sum + lot.amount * lot.hour, 0);
+
+  return {
+    tokens,
+    hoursAfterLaunch: tokens > 0 ? weightedHours / tokens : 0
+  };
+}
+
+/**
+ * Work out the epoch hours
+ *
+ * @param {Array<number>|object} epochs - Explicit hours, or { everyHours, untilHour, startHour }
+ * @returns {Array<number>} Sorted epoch hours
+ */
+function resolveEpochHours(epochs) {
+  if (Array.isArray(epochs)) {
+    return [...epochs].sort((a, b) => a - b);
+  }
+
+  const { everyHours, untilHour, startHour = everyHours } = epochs || {};
+  if (!(everyHours > 0) || !(untilHour >= startHour)) {
+    throw new Error('epochs needs an array of hours or { everyHours, untilHour }');
+  }
+
+  const hours = [];
+  for (let hour = startHour; hour <= untilHour; hour += everyHours) {
+    hours.push(hour);
+  }
+  return hours;
+}
+
+/**
+ * Simulate repeated distributions over a timeline of events
+ *
+ * Events at or before an epoch's hour are applied before that epoch's
+ * distribution runs. Each epoch uses `hoursSinceLaunch = epoch hour`.
+ *
+ * @param {object} params - Simulation parameters
+ * @param {Array} params.events - Timeline events (any order; sorted by hour, stable)
+ * @param {Array<number>|object} params.epochs - Epoch hours or { everyHours, untilHour }
+ * @param {number|Array<number>} params.treasuryPerEpoch - SOL to distribute each epoch
+ * @param {object} params.config - Settings in the DEFAULT_CONFIG shape
+ * @returns {object} { epochs, cumulative } report, sorted by address
+ */
+function simulateDistributions({ events, epochs, treasuryPerEpoch, config }) {
+  const hours = resolveEpochHours(epochs);
+  const timeline = events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => a.event.hour - b.event.hour || a.index - b.index);
+
+  const wallets = new Map();
+  const totals = new Map();
+  const epochReports = [];
+  let nextEvent = 0;
+
+  hours.forEach((hour, epochIndex) => {
+    while (nextEvent < timeline.length && timeline[nextEvent].event.hour <= hour) {
+      applyEvent(wallets, timeline[nextEvent].event, timeline[nextEvent].index);
+      nextEvent++;
+    }
+
+    const treasury = Array.isArray(treasuryPerEpoch) ? treasuryPerEpoch[epochIndex] || 0 : treasuryPerEpoch;
+    const epochConfig = { ...config, hoursSinceLaunch: hour };
+
+    const holders = [...wallets.entries()]
+      .map(([address, lots]) => ({ address, ...summarizeLots(lots) }))
+      .filter(position => position.tokens > 0)
+      .map(position => createHolder(position, epochConfig));
+
+    const distribution = calculateDistribution(holders, treasury, config.feeReserve, getDistributionOptions(config));
+
+    const payouts = distribution
+      .map(result => ({
+        address: result.address,
+        tokens: result.tokens,
+        hoursAfterLaunch: result.weightage.hoursSinceLaunch,
+        weight: result.weightage.totalWeight,
+        share: result.share,
+        amount: result.amount
+      }))
+      .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+
+    payouts.forEach(payout => {
+      const total = totals.get(payout.address) || { totalReward: 0, epochsPaid: 0 };
+      total.totalReward += payout.amount;
+      total.epochsPaid += 1;
+      totals.set(payout.address, total);
+    });
+
+    epochReports.push({
+      epoch: epochIndex + 1,
+      hour,
+      treasury,
+      holders: holders.length,
+      qualifiedHolders: payouts.length,
+      totalDistributed: payouts.reduce((sum, payout) => sum + payout.amount, 0),
+      payouts
+    });
+  });
+
+  const addresses = new Set([...wallets.keys(), ...totals.keys()]);
+  const cumulative = [...addresses].sort().map(address => {
+    const total = totals.get(address) || { totalReward: 0, epochsPaid: 0 };
+    return {
+      address,
+      totalReward: total.totalReward,
+      epochsPaid: total.epochsPaid,
+      finalBalance: summarizeLots(wallets.get(address) || []).tokens
+    };
+  });
+
+  return { epochs: epochReports, cumulative };
+}
+
+/**
+ * Flatten a simulation report to CSV (one row per epoch and payout)
+ *
+ * @param {object} report - Result of simulateDistributions
+ * @returns {string} CSV text with a header row
+ */
+function simulationToCsv(report) {
+  const running = new Map();
+  const lines = ['epoch,hour,address,tokens,hoursAfterLaunch,weight,share,amount,cumulative'];
+
+  report.epochs.forEach(epoch => {
+    epoch.payouts.forEach(payout => {
+      const cumulative = (running.get(payout.address) || 0) + payout.amount;
+      running.set(payout.address, cumulative);
+      lines.push([
+        epoch.epoch,
+        epoch.hour,
+        payout.address,
+        payout.tokens,
+        payout.hoursAfterLaunch,
+        payout.weight,
+        payout.share,
+        payout.amount,
+        cumulative
+      ].join(','));
+    });
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  simulateDistributions,
+  simulationToCsv
+};
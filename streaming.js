@@ -0,0 +1,291 @@
+/**
+ * RewardFlow Distribution Algorithm - Streaming Distribution
+ *
+ * Distributes over holder snapshots too large to hold in memory. The
+ * source is read twice: the first pass validates every row and sums the
+ * qualified weights, the second recomputes each weight and writes the
+ * payout straight to the output as NDJSON or CSV. Only the running
+ * totals are kept, so memory stays flat whatever the holder count.
+ *
+ * Results match calculateDistribution for the same holders in the same
+ * order (both sum weights with Neumaier compensation). A wallet policy
+ * (see policy.js) is applied row by row. Payout limits
+ * and cluster maps need every weight at once and are only supported by
+ * the in-memory path. Duplicate addresses are not detected here; check
+ * the file with `validate` first.
+ *
+ * Sources:
+ * - a .csv, .ndjson or .jsonl file path
+ * - a function returning a fresh (async) iterable of rows, called once per pass
+ * - an array or other iterable that can be iterated twice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { calculateWeightage, createCompensatedSum } = require('./formulas');
+const { resolveProfile } = require('./profiles');
+const { createPolicy, policyExclusion } = require('./policy');
+const { createHolder, createCsvParser, parseHolderEntry } = require('./holder-io');
+const { validateHolderRow, assertValidPool } = require('./validation');
+
+/**
+ * Dust cutoff, the same as calculateDistribution's
+ */
+const MIN_AMOUNT = 0.000001;
+
+/**
+ * Read rows from a CSV or NDJSON file one line at a time
+ *
+ * @param {string} filePath - Holder file (.csv, .ndjson or .jsonl)
+ * @returns {AsyncGenerator} Rows
+ * @throws {Error} On an unsupported file type or a line that is not JSON
+ */
+async function* readRows(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!['.csv', '.ndjson', '.jsonl'].includes(extension)) {
+    throw new Error(`Unsupported streaming file type "${extension}" (use .csv, .ndjson or .jsonl)`);
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  const parser = extension === '.csv' ? createCsvParser() : null;
+  let lineNumber = 0;
+  let entryNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (parser) {
+      const row = parser.parseLine(line, lineNumber);
+      if (row) {
+        yield row;
+      }
+    } else if (line.trim() !== '') {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath} line ${lineNumber}: ${error.message}`);
+      }
+      yield { ...parseHolderEntry(entry, ++entryNumber), line: lineNumber };
+    }
+  }
+}
+
+/**
+ * Open one pass over a source
+ *
+ * @param {string|Function|Iterable|AsyncIterable} source - Holder source
+ * @returns {Iterable|AsyncIterable} Rows
+ * @throws {Error} If the source cannot be read twice
+ */
+function openSource(source) {
+  if (typeof source === 'string') {
+    return readRows(source);
+  }
+  if (typeof source === 'function') {
+    return source();
+  }
+  if (source && typeof source.next === 'function') {
+    throw new Error('An iterator can only be read once; pass a function that returns a fresh one for each pass');
+  }
+  if (source && (source[Symbol.iterator] || source[Symbol.asyncIterator])) {
+    return source;
+  }
+  throw new Error('Holder source must be a file path, a function returning an iterable, or an iterable');
+}
+
+/**
+ * Reject settings the streaming engine cannot honour
+ *
+ * @param {object} config - Distribution settings
+ * @param {object} options - Stream options
+ * @throws {Error} On payout limits or a cluster map
+ */
+function assertStreamable(config, options) {
+  if (config.maxWalletShare > 0 || config.minWalletPayout > 0) {
+    throw new Error('Per-wallet caps and floors need every weight at once; use the in-memory distribution');
+  }
+  if (options.clusters) {
+    throw new Error('Cluster maps need every holder at once; use the in-memory distribution');
+  }
+}
+
+/**
+ * Weightage of a valid row, or null when it does not qualify
+ *
+ * @param {object} holder - Holder object
+ * @param {object} profile - Resolved formula profile
+ * @param {object|null} policy - Policy from createPolicy
+ * @returns {object|null} Weightage
+ */
+function qualifiedWeightage(holder, profile, policy) {
+  if (policy && policyExclusion(policy, holder.address)) {
+    return null;
+  }
+  const weightage = calculateWeightage(holder.tokens, holder.hoursAfterLaunch, holder.hoursSinceLaunch, holder.minBalance, profile);
+  return weightage.qualified && holder.tokens <= holder.maxBalance ? weightage : null;
+}
+
+/**
+ * First pass: validate rows and sum the qualified weights
+ *
+ * @param {string|Function|Iterable|AsyncIterable} source - Holder source
+ * @param {object} config - Distribution settings (DEFAULT_CONFIG shape)
+ * @param {object} options - Optional settings
+ * @param {Function} options.onRejected - Called with (row, errors) for every invalid row
+ * @param {object} options.policy - Wallet policy (see policy.js)
+ * @returns {Promise<object>} { totalRows, rejectedRows, qualifiedHolders, totalWeightage, totalTokens }
+ */
+async function scanHolders(source, config, options = {}) {
+  const profile = resolveProfile(config.formulaProfile);
+  const policy = options.policy ? createPolicy(options.policy) : null;
+  const weightSum = createCompensatedSum();
+  const totals = { totalRows: 0, rejectedRows: 0, qualifiedHolders: 0, totalWeightage: 0, totalTokens: 0 };
+
+  for await (const row of openSource(source)) {
+    totals.totalRows++;
+    const errors = validateHolderRow(row, config);
+    if (errors.length > 0) {
+      totals.rejectedRows++;
+      if (options.onRejected) {
+        options.onRejected(row, errors.map(error => error.message));
+      }
+      continue;
+    }
+
+    const weightage = qualifiedWeightage(createHolder(row, config), profile, policy);
+    if (weightage) {
+      totals.qualifiedHolders++;
+      totals.totalTokens += row.tokens;
+      weightSum.add(weightage.totalWeight);
+    }
+  }
+
+  totals.totalWeightage = weightSum.total();
+  return totals;
+}
+
+/**
+ * Write one line, waiting for the output to drain when its buffer is full
+ *
+ * @param {object} output - Writable stream
+ * @param {string} line - Line without the newline
+ * @returns {Promise<void>}
+ */
+function writeLine(output, line) {
+  if (output.write(line + '\n')) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => output.once('drain', resolve));
+}
+
+/**
+ * Result as a CSV line (same columns as `distribute --format csv`)
+ *
+ * @param {object} result - Distribution result
+ * @returns {string} CSV line
+ */
+function resultToCsv(result) {
+  return [result.address, result.tokens, result.weightage.totalWeight, result.share, result.amount].join(',');
+}
+
+/**
+ * Second pass: compute every payout and write it out
+ *
+ * @param {string|Function|Iterable|AsyncIterable} source - Holder source, read the same way as in the first pass
+ * @param {object} config - Distribution settings (DEFAULT_CONFIG shape)
+ * @param {object} totals - Result of scanHolders
+ * @param {object} options - Optional settings
+ * @param {object} options.output - Writable stream for the results
+ * @param {string} options.format - 'ndjson' (default) or 'csv'
+ * @param {Function} options.onResult - Called with every result
+ * @param {object} options.policy - Wallet policy, the same as in the first pass
+ * @returns {Promise<object>} { paidHolders, totalDistributed, feeAmount, availableForDistribution }
+ */
+async function writePayouts(source, config, totals, options = {}) {
+  const { output, format = 'ndjson', onResult } = options;
+  if (format !== 'ndjson' && format !== 'csv') {
+    throw new Error('Streaming output format must be ndjson or csv');
+  }
+
+  const profile = resolveProfile(config.formulaProfile);
+  const policy = options.policy ? createPolicy(options.policy) : null;
+  const feeAmount = config.treasuryBalance * config.feeReserve;
+  const availableForDistribution = config.treasuryBalance - feeAmount;
+  const amountSum = createCompensatedSum();
+  let paidHolders = 0;
+
+  if (output && format === 'csv') {
+    await writeLine(output, 'address,tokens,weight,share,amount');
+  }
+
+  if (totals.qualifiedHolders > 0) {
+    for await (const row of openSource(source)) {
+      if (validateHolderRow(row, config).length > 0) {
+        continue;
+      }
+
+      const weightage = qualifiedWeightage(createHolder(row, config), profile, policy);
+      if (!weightage) {
+        continue;
+      }
+
+      const share = weightage.totalWeight / totals.totalWeightage;
+      const amount = availableForDistribution * share;
+      if (amount < MIN_AMOUNT) {
+        continue;
+      }
+
+      const result = {
+        address: row.address,
+        tokens: row.tokens,
+        weightage,
+        share,
+        amount,
+        sharePercentage: share * 100,
+        profile: weightage.profile,
+        clamp: null
+      };
+
+      paidHolders++;
+      amountSum.add(amount);
+      if (onResult) {
+        onResult(result);
+      }
+      if (output) {
+        await writeLine(output, format === 'csv' ? resultToCsv(result) : JSON.stringify(result));
+      }
+    }
+  }
+
+  return { paidHolders, totalDistributed: amountSum.total(), feeAmount, availableForDistribution };
+}
+
+/**
+ * Stream a distribution from a holder source to an output
+ *
+ * Invalid rows are skipped, as calculateDistribution does without
+ * `strict`; run scanHolders and writePayouts separately to stop on them.
+ *
+ * @param {string|Function|Iterable|AsyncIterable} source - Holder source
+ * @param {object} config - Distribution settings (DEFAULT_CONFIG shape)
+ * @param {object} options - Optional settings (see scanHolders and writePayouts)
+ * @returns {Promise<object>} Totals of both passes
+ * @throws {Error} On payout limits or clusters, or an invalid treasury or fee reserve
+ */
+async function streamDistribution(source, config, options = {}) {
+  assertStreamable(config, options);
+  assertValidPool(config.treasuryBalance, config.feeReserve);
+
+  const totals = await scanHolders(source, config, options);
+  const payouts = await writePayouts(source, config, totals, options);
+  return { ...totals, ...payouts };
+}
+
+module.exports = {
+  readRows,
+  assertStreamable,
+  scanHolders,
+  writePayouts,
+  streamDistribution
+};
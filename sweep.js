@@ -0,0 +1,373 @@
+/**
+ * RewardFlow Distribution Algorithm - Parameter Sweeps
+ *
+ * Runs calculateDistribution for every combination of a grid of
+ * settings and formula constants, and reports for each combination the
+ * payout of every holder (and its change from the baseline), the number
+ * of qualified holders and the concentration metrics.
+ *
+ * Sweepable parameters:
+ * - settings: minBalance, maxBalance, feeReserve, treasuryBalance,
+ *   hoursSinceLaunch, maxWalletShare, minWalletPayout
+ * - formula constants as component.param, e.g. balance.scale,
+ *   earlyness.amplitude, earlyness.decayDays, tenure.scale
+ *
+ * Sensitivities are partial derivatives of each holder's reward with
+ * respect to each swept parameter at the baseline, estimated by finite
+ * differences (central where both neighbours are valid settings).
+ */
+
+const { calculateDistribution } = require('./formulas');
+const { resolveProfile } = require('./profiles');
+const { getDistributionOptions } = require('./config');
+const { createHolder } = require('./holder-io');
+const { validateConfig } = require('./validation');
+const { gini, herfindahl, nakamoto, theil } = require('./metrics');
+
+const CONFIG_PARAMETERS = [
+  'minBalance',
+  'maxBalance',
+  'feeReserve',
+  'treasuryBalance',
+  'hoursSinceLaunch',
+  'maxWalletShare',
+  'minWalletPayout'
+];
+
+/**
+ * Default upper bound on the number of combinations
+ */
+const DEFAULT_MAX_COMBINATIONS = 10000;
+
+/**
+ * Relative step used for finite differences
+ */
+const RELATIVE_STEP = 1e-4;
+
+/**
+ * Expand a parameter specification into its values
+ *
+ * @param {Array<number>|object} spec - List of values, or { from, to, step } (inclusive)
+ * @returns {Array<number>} Values
+ * @throws {Error} If the range is empty or malformed
+ */
+function expandValues(spec) {
+  if (Array.isArray(spec)) {
+    if (spec.length === 0 || !spec.every(Number.isFinite)) {
+      throw new Error('A parameter needs at least one numeric value');
+    }
+    return spec;
+  }
+
+  const { from, to, step } = spec || {};
+  if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+    throw new Error('A parameter range needs numeric from <= to and step > 0');
+  }
+
+  // Count steps up front so float error cannot add or drop the last value
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => Number((from + i * step).toPrecision(12)));
+}
+
+/**
+ * Parse a command line parameter specification
+ *
+ * "name=a,b,c" lists values; "name=from:to:step" is an inclusive range.
+ *
+ * @param {string} text - Specification
+ * @returns {object} { name, spec }
+ * @throws {Error} If the text cannot be parsed
+ */
+function parseParameterSpec(text) {
+  const match = /^([\w.]+)=(.+)$/.exec(String(text));
+  if (!match) {
+    throw new Error(`Cannot parse parameter "${text}" (use name=a,b,c or name=from:to:step)`);
+  }
+
+  const [, name, values] = match;
+  if (values.includes(':')) {
+    const [from, to, step] = values.split(':').map(Number);
+    return { name, spec: { from, to, step } };
+  }
+  return { name, spec: values.split(',').map(Number) };
+}
+
+/**
+ * Read the baseline value of a parameter
+ *
+ * @param {string} name - Parameter name
+ * @param {object} config - Baseline settings
+ * @param {object} profile - Baseline profile
+ * @returns {number} Value
+ * @throws {Error} If the parameter is unknown
+ */
+function baseValue(name, config, profile) {
+  if (CONFIG_PARAMETERS.includes(name)) {
+    return config[name];
+  }
+
+  const [component, param] = name.split('.');
+  const params = profile[component] && profile[component].params;
+  if (!params || !(param in params)) {
+    throw new Error(`Unknown sweep parameter "${name}" for profile ${profile.name}`);
+  }
+  return params[param];
+}
+
+/**
+ * Apply parameter values on top of the baseline
+ *
+ * @param {object} config - Baseline settings
+ * @param {object} profile - Baseline profile
+ * @param {object} values - { name: value }
+ * @returns {object} { config, profile }
+ */
+function applyParameters(config, profile, values) {
+  const nextConfig = { ...config };
+  const nextProfile = JSON.parse(JSON.stringify(profile));
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (CONFIG_PARAMETERS.includes(name)) {
+      nextConfig[name] = value;
+    } else {
+      const [component, param] = name.split('.');
+      nextProfile[component].params[param] = value;
+    }
+  });
+
+  return { config: nextConfig, profile: nextProfile };
+}
+
+/**
+ * Run one distribution
+ *
+ * @param {Array} rows - Holder rows
+ * @param {object} config - Settings
+ * @param {object} profile - Formula profile
+ * @param {object|null} clusters - Address -> entity ID map
+ * @returns {object} { amounts: Map, qualifiedHolders, totalDistributed } or { error }
+ */
+function evaluate(rows, config, profile, clusters) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    return { error: errors.map(error => error.message).join('; ') };
+  }
+
+  let distribution;
+  try {
+    const holders = rows.map(row => createHolder(row, config));
+    distribution = calculateDistribution(holders, config.treasuryBalance, config.feeReserve, {
+      ...getDistributionOptions(config),
+      profile: resolveProfile(profile),
+      clusters
+    });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (distribution.some(result => !Number.isFinite(result.amount))) {
+    return { error: 'formula produced a non-finite reward' };
+  }
+
+  return {
+    amounts: new Map(distribution.map(result => [result.address, result.amount])),
+    qualifiedHolders: distribution.length,
+    totalDistributed: distribution.reduce((sum, result) => sum + result.amount, 0)
+  };
+}
+
+/**
+ * Concentration metrics for a combination
+ *
+ * @param {Map} amounts - Address -> reward
+ * @returns {object} { gini, hhi, nakamoto, theil }
+ */
+function metricsFor(amounts) {
+  const values = [...amounts.values()];
+  return { gini: gini(values), hhi: herfindahl(values), nakamoto: nakamoto(values), theil: theil(values) };
+}
+
+/**
+ * Cartesian product of parameter values
+ *
+ * @param {Array} parameters - [{ name, values }]
+ * @returns {Array<object>} [{ name: value }]
+ */
+function cartesian(parameters) {
+  return parameters.reduce(
+    (combinations, { name, values }) => combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * Finite-difference sensitivity of every holder's reward to one parameter
+ *
+ * @param {Array} rows - Holder rows
+ * @param {object} config - Baseline settings
+ * @param {object} profile - Baseline profile
+ * @param {string} name - Parameter name
+ * @param {Map} baseAmounts - Baseline rewards
+ * @param {object|null} clusters - Address -> entity ID map
+ * @returns {object} { parameter, base, step, method, holders }
+ */
+function sensitivityFor(rows, config, profile, name, baseAmounts, clusters) {
+  const base = baseValue(name, config, profile);
+  const step = Math.max(Math.abs(base) * RELATIVE_STEP, 1e-6);
+  const at = value => {
+    const applied = applyParameters(config, profile, { [name]: value });
+    return evaluate(rows, applied.config, applied.profile, clusters);
+  };
+
+  const up = at(base + step);
+  const down = at(base - step);
+  let method;
+  let slope;
+  if (!up.error && !down.error) {
+    method = 'central';
+    slope = address => ((up.amounts.get(address) || 0) - (down.amounts.get(address) || 0)) / (2 * step);
+  } else if (!up.error) {
+    method = 'forward';
+    slope = address => ((up.amounts.get(address) || 0) - (baseAmounts.get(address) || 0)) / step;
+  } else if (!down.error) {
+    method = 'backward';
+    slope = address => ((baseAmounts.get(address) || 0) - (down.amounts.get(address) || 0)) / step;
+  } else {
+    return { parameter: name, base, step, method: null, holders: [] };
+  }
+
+  return {
+    parameter: name,
+    base,
+    step,
+    method,
+    holders: rows.map(row => ({ address: row.address, sensitivity: slope(row.address) }))
+  };
+}
+
+/**
+ * Run a parameter sweep
+ *
+ * @param {Array} rows - Holder rows ({ address, tokens, hoursAfterLaunch })
+ * @param {object} config - Baseline settings (DEFAULT_CONFIG shape)
+ * @param {object} grid - { parameter: [values] or { from, to, step } }
+ * @param {object} options - Optional settings
+ * @param {number} options.maxCombinations - Refuse larger grids (default 10,000)
+ * @param {object} options.clusters - Address -> entity ID map; linked wallets are weighted as one
+ * @returns {object} { parameters, baseline, combinations, sensitivities }
+ * @throws {Error} On unknown parameters, empty ranges or too many combinations
+ */
+function sweepParameters(rows, config, grid, options = {}) {
+  const maxCombinations = options.maxCombinations || DEFAULT_MAX_COMBINATIONS;
+  const clusters = options.clusters || null;
+  const profile = resolveProfile(config.formulaProfile);
+
+  const parameters = Object.entries(grid).map(([name, spec]) => {
+    baseValue(name, config, profile);
+    return { name, values: expandValues(spec) };
+  });
+  if (parameters.length === 0) {
+    throw new Error('A sweep needs at least one parameter');
+  }
+
+  const total = parameters.reduce((product, parameter) => product * parameter.values.length, 1);
+  if (total > maxCombinations) {
+    throw new Error(`The grid has ${total} combinations; the limit is ${maxCombinations}`);
+  }
+
+  const baselineValues = Object.fromEntries(parameters.map(({ name }) => [name, baseValue(name, config, profile)]));
+  const baseline = evaluate(rows, config, profile, clusters);
+  if (baseline.error) {
+    throw new Error(`Baseline settings are invalid: ${baseline.error}`);
+  }
+
+  const combinations = cartesian(parameters).map((values, index) => {
+    const applied = applyParameters(config, profile, values);
+    const result = evaluate(rows, applied.config, applied.profile, clusters);
+    if (result.error) {
+      return { index, params: values, error: result.error };
+    }
+
+    return {
+      index,
+      params: values,
+      qualifiedHolders: result.qualifiedHolders,
+      totalDistributed: result.totalDistributed,
+      metrics: metricsFor(result.amounts),
+      holders: rows.map(row => {
+        const amount = result.amounts.get(row.address) || 0;
+        return { address: row.address, amount, change: amount - (baseline.amounts.get(row.address) || 0) };
+      })
+    };
+  });
+
+  return {
+    parameters: parameters.map(({ name, values }) => ({ name, values })),
+    baseline: {
+      params: baselineValues,
+      qualifiedHolders: baseline.qualifiedHolders,
+      totalDistributed: baseline.totalDistributed,
+      metrics: metricsFor(baseline.amounts),
+      holders: rows.map(row => ({ address: row.address, amount: baseline.amounts.get(row.address) || 0 }))
+    },
+    combinations,
+    sensitivities: parameters.map(({ name }) => sensitivityFor(rows, config, profile, name, baseline.amounts, clusters))
+  };
+}
+
+/**
+ * Sweep results as CSV, one row per combination and holder
+ *
+ * @param {object} report - Result of sweepParameters
+ * @returns {string} CSV text with a header row
+ */
+function sweepToCsv(report) {
+  const names = report.parameters.map(parameter => parameter.name);
+  const lines = [[
+    'combination', ...names, 'qualifiedHolders', 'totalDistributed', 'gini', 'hhi', 'nakamoto', 'theil',
+    'address', 'amount', 'change', 'error'
+  ].join(',')];
+
+  report.combinations.forEach(combination => {
+    const params = names.map(name => combination.params[name]);
+    if (combination.error) {
+      lines.push([combination.index, ...params, '', '', '', '', '', '', '', '', '', `"${combination.error.replace(/"/g, '""')}"`].join(','));
+      return;
+    }
+
+    const { gini: g, hhi, nakamoto: n, theil: t } = combination.metrics;
+    combination.holders.forEach(holder => {
+      lines.push([
+        combination.index, ...params, combination.qualifiedHolders, combination.totalDistributed, g, hhi, n, t,
+        holder.address, holder.amount, holder.change, ''
+      ].join(','));
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Sensitivities as CSV, one row per parameter and holder
+ *
+ * @param {object} report - Result of sweepParameters
+ * @returns {string} CSV text with a header row
+ */
+function sensitivitiesToCsv(report) {
+  const lines = ['parameter,base,step,method,address,sensitivity'];
+  report.sensitivities.forEach(({ parameter, base, step, method, holders }) => {
+    holders.forEach(holder => {
+      lines.push([parameter, base, step, method, holder.address, holder.sensitivity].join(','));
+    });
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  CONFIG_PARAMETERS,
+  expandValues,
+  parseParameterSpec,
+  sweepParameters,
+  sweepToCsv,
+  sensitivitiesToCsv
+};
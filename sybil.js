@@ -0,0 +1,122 @@
+/**
+ * RewardFlow Distribution Algorithm - Wallet-Splitting Analysis
+ *
+ * The balance weight grows with log10(tokens / min_balance), so one
+ * wallet holding N tokens weighs less than k wallets holding N / k each.
+ * This module measures, for every holder, how much more they would
+ * receive by splitting their tokens across k wallets (everyone else
+ * unchanged), and which k pays the most.
+ *
+ * Splits are only considered when every wallet stays within
+ * [minBalance, maxBalance]. A holder above maxBalance gets nothing as
+ * a single wallet, so any valid split is pure gain for them.
+ *
+ * Use a cluster map (see clusters.js) with calculateDistribution to
+ * merge wallets known to belong to the same entity.
+ */
+
+const { calculateWeightage } = require('./formulas');
+const { resolveProfile } = require('./profiles');
+const { checkHolders } = require('./validation');
+
+/**
+ * Default upper bound on the number of wallets tried per holder
+ */
+const DEFAULT_MAX_SPLITS = 1000;
+
+/**
+ * Weight of a holder if their tokens were split evenly across k wallets
+ *
+ * @param {object} holder - Holder object
+ * @param {number} k - Number of wallets
+ * @param {object} profile - Resolved formula profile
+ * @returns {number} Combined weight of the k wallets (0 if they would not qualify)
+ */
+function splitWeight(holder, k, profile) {
+  const walletTokens = holder.tokens / k;
+  if (walletTokens > holder.maxBalance) {
+    return 0;
+  }
+
+  const weightage = calculateWeightage(walletTokens, holder.hoursAfterLaunch, holder.hoursSinceLaunch, holder.minBalance, profile);
+  return weightage.qualified ? k * weightage.totalWeight : 0;
+}
+
+/**
+ * Report the best wallet-splitting gain for every holder
+ *
+ * Fee reserve is applied as in calculateDistribution; payout caps and
+ * floors are not modelled. Invalid holders are left out.
+ *
+ * @param {Array} holders - Array of holder objects
+ * @param {number} totalTreasury - Total treasury amount to distribute
+ * @param {number} feeReserve - Percentage to reserve for fees (0-1)
+ * @param {object} options - Optional settings
+ * @param {string|object} options.profile - Formula profile name or object (default rewardflow-v1)
+ * @param {number} options.maxSplits - Most wallets to try per holder (default 1000)
+ * @returns {object} { summary, holders } - holders sorted by gain, highest first
+ */
+function analyzeSplitting(holders, totalTreasury, feeReserve = 0.05, options = {}) {
+  const validHolders = checkHolders(holders).valid;
+  const profile = resolveProfile(options.profile);
+  const maxSplits = options.maxSplits || DEFAULT_MAX_SPLITS;
+  const pool = totalTreasury - totalTreasury * feeReserve;
+
+  const baseWeights = validHolders.map(holder => splitWeight(holder, 1, profile));
+  const totalWeight = baseWeights.reduce((sum, weight) => sum + weight, 0);
+
+  const results = validHolders
+    .map((holder, index) => {
+      const otherWeight = totalWeight - baseWeights[index];
+      const rewardFor = weight => (weight > 0 ? pool * weight / (otherWeight + weight) : 0);
+
+      // Wallet counts that keep every wallet within [minBalance, maxBalance]
+      const fewest = Math.max(1, Math.ceil(holder.tokens / holder.maxBalance));
+      const most = Math.min(maxSplits, Math.floor(holder.tokens / holder.minBalance));
+      if (most < fewest) {
+        return null;
+      }
+
+      const baseReward = rewardFor(baseWeights[index]);
+      let bestSplits = 1;
+      let bestReward = baseReward;
+
+      for (let k = fewest; k <= most; k++) {
+        const reward = rewardFor(splitWeight(holder, k, profile));
+        if (reward > bestReward) {
+          bestReward = reward;
+          bestSplits = k;
+        }
+      }
+
+      const gain = bestReward - baseReward;
+
+      return {
+        address: holder.address,
+        tokens: holder.tokens,
+        baseReward,
+        bestSplits,
+        tokensPerWallet: holder.tokens / bestSplits,
+        bestReward,
+        gain,
+        gainPercent: baseReward > 0 ? (gain / baseReward) * 100 : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.gain - a.gain);
+
+  const withGain = results.filter(result => result.gain > 0);
+
+  return {
+    summary: {
+      holdersAnalyzed: results.length,
+      holdersWithGain: withGain.length,
+      largestGain: withGain.length > 0 ? withGain[0].gain : 0
+    },
+    holders: results
+  };
+}
+
+module.exports = {
+  analyzeSplitting
+};
@@ -0,0 +1,163 @@
+/**
+ * Tests for the command line interface
+ *
+ * Commands run in-process through run(argv) and write their output to
+ * files in a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, run } = require('../cli');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rewardflow-cli-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const file = name => path.join(directory, name);
+const writeJson = (name, value) => fs.writeFileSync(file(name), JSON.stringify(value));
+const readJson = name => JSON.parse(fs.readFileSync(file(name), 'utf8'));
+
+// 0.4 s per slot: 9,000 slots are one hour
+const SLOTS_PER_HOUR = 9000;
+const LAUNCH_SLOT = 250000000;
+
+function tokenAccount(pubkey, owner, amount) {
+  return {
+    pubkey,
+    account: { data: { parsed: { info: { mint: 'Mint', owner, tokenAmount: { amount: String(amount), decimals: 6 } } } } }
+  };
+}
+
+test('holder files written by ingest can be distributed as they are', async () => {
+  writeJson('accounts.json', [
+    tokenAccount('AccountEarly', 'WalletEarly', 50000e6),
+    tokenAccount('AccountLate', 'WalletLate', 80000e6)
+  ]);
+  writeJson('history.json', [
+    { account: 'AccountEarly', slot: LAUNCH_SLOT + 10 * SLOTS_PER_HOUR },
+    { account: 'AccountLate', slot: LAUNCH_SLOT + 60 * SLOTS_PER_HOUR }
+  ]);
+
+  const ingested = await run([
+    'ingest', '--accounts', file('accounts.json'), '--history', file('history.json'),
+    '--launch-slot', String(LAUNCH_SLOT), '--snapshot-slot', String(LAUNCH_SLOT + 96 * SLOTS_PER_HOUR),
+    '--out', file('holders.csv')
+  ]);
+  assert.equal(ingested, EXIT_CODES.OK);
+  assert.match(fs.readFileSync(file('holders.csv'), 'utf8'), /# hoursSinceLaunch=96/);
+
+  const distributed = await run(['distribute', '--holders', file('holders.csv'), '--out', file('result.json')]);
+  assert.equal(distributed, EXIT_CODES.OK);
+
+  const { config, distribution } = readJson('result.json');
+  assert.equal(config.hoursSinceLaunch, 96);
+  assert.deepEqual(distribution.map(result => result.address).sort(), ['WalletEarly', 'WalletLate']);
+});
+
+test('command line options take precedence over the settings in a holder file', async () => {
+  fs.writeFileSync(file('settings.csv'), '# hoursSinceLaunch=96\n# minBalance=60000\naddress,tokens,hoursAfterLaunch\nA,50000,10\nB,80000,60\n');
+
+  assert.equal(await run(['distribute', '--holders', file('settings.csv'), '--out', file('settings.json')]), EXIT_CODES.OK);
+  assert.deepEqual(readJson('settings.json').distribution.map(result => result.address), ['B']);
+
+  assert.equal(await run(['distribute', '--holders', file('settings.csv'), '--min', '20000', '--out', file('settings.json')]), EXIT_CODES.OK);
+  assert.equal(readJson('settings.json').distribution.length, 2);
+
+  assert.equal(await run(['validate', '--holders', file('settings.csv'), '--hours-since-launch', '48', '--out', file('validate.json')]), EXIT_CODES.INVALID_INPUT);
+});
+
+test('merkle fails when rewards cannot be claimed', async () => {
+  fs.writeFileSync(file('unclaimable.csv'), 'address,tokens,hoursAfterLaunch\nNot-A-Wallet,50000,10\n');
+
+  const code = await run(['merkle', '--holders', file('unclaimable.csv'), '--hours-since-launch', '96', '--out', file('claims.json')]);
+  assert.equal(code, EXIT_CODES.INVALID_INPUT);
+  assert.equal(readJson('claims.json').skipped[0].reason, 'invalid address');
+});
+
+test('payouts fail when holders would go unpaid', async () => {
+  fs.writeFileSync(file('unpayable.csv'), 'address,tokens,hoursAfterLaunch\nNot-A-Wallet,50000,10\n');
+  const payer = '11111111111111111111111111111111';
+
+  const code = await run(['payouts', '--holders', file('unpayable.csv'), '--hours-since-launch', '96', '--payer', payer, '--out', file('plan.json')]);
+  assert.equal(code, EXIT_CODES.INVALID_INPUT);
+  assert.deepEqual(readJson('plan.json').plan.skipped.map(entry => entry.reason), ['invalid address']);
+});
+
+test('a profile that leaves out a curve parameter is refused', async () => {
+  writeJson('profile.json', {
+    name: 'no-balance-params',
+    version: '1.0.0',
+    balance: { curve: 'log10' },
+    earlyness: { curve: 'constant', params: { value: 1 } },
+    tenure: { curve: 'constant', params: { value: 1 } }
+  });
+  writeJson('holders.json', [{ address: 'A', tokens: 50000, hoursAfterLaunch: 10 }]);
+
+  const code = await run(['distribute', '--holders', file('holders.json'), '--profile', file('profile.json'), '--out', file('profiled.json')]);
+  assert.equal(code, EXIT_CODES.USAGE);
+});
+
+test('options a command does not read are refused', async () => {
+  writeJson('typo.json', [{ address: 'A', tokens: 50000, hoursAfterLaunch: 10 }]);
+
+  assert.equal(await run(['distribute', '--holders', file('typo.json'), '--treasure', '25', '--out', file('typo-result.json')]), EXIT_CODES.USAGE);
+  assert.equal(fs.existsSync(file('typo-result.json')), false);
+  assert.equal(await run(['validate', '--holders', file('typo.json'), '--lamports', '--out', file('typo-result.json')]), EXIT_CODES.USAGE);
+});
+
+test('a custom profile is kept by JSON holder files and refused by CSV ones', async () => {
+  writeJson('custom-profile.json', {
+    name: 'custom',
+    version: '1.0.0',
+    balance: { curve: 'sqrt', params: { base: 1, scale: 0.5 } },
+    earlyness: { curve: 'constant', params: { value: 1 } },
+    tenure: { curve: 'constant', params: { value: 1 } }
+  });
+  const generate = out => run(['generate', '--count', '3', '--profile', file('custom-profile.json'), '--out', file(out)]);
+
+  assert.equal(await generate('custom.csv'), EXIT_CODES.ERROR);
+  assert.equal(fs.existsSync(file('custom.csv')), false);
+
+  assert.equal(await generate('custom.json'), EXIT_CODES.OK);
+  assert.equal(await run(['distribute', '--holders', file('custom.json'), '--out', file('custom-result.json')]), EXIT_CODES.OK);
+  assert.deepEqual(readJson('custom-result.json').distribution[0].profile, { name: 'custom', version: '1.0.0' });
+});
+
+test('audit explains a linked wallet by its entity', async () => {
+  fs.writeFileSync(file('linked.csv'), [
+    'address,tokens,hoursAfterLaunch',
+    'Big,50000000,1', 'Tiny,20001,1', 'Other,50000000,1', 'SplitA,5000,1', 'SplitB,5000,1'
+  ].join('\n'));
+  writeJson('linked-clusters.json', { Big: 'whale', Tiny: 'whale', SplitA: 'small', SplitB: 'small' });
+
+  const code = await run([
+    'audit', '--holders', file('linked.csv'), '--clusters', file('linked-clusters.json'), '--treasury', '0.001', '--out', file('linked-audit.json')
+  ]);
+  assert.equal(code, EXIT_CODES.OK);
+
+  const reasons = Object.fromEntries(readJson('linked-audit.json').holders.map(holder => [holder.address, holder.reason]));
+  assert.match(reasons.Tiny, /^linked entity "whale" was paid, but this wallet's part is below the dust threshold/);
+  assert.equal(reasons.SplitA, 'linked entity "small" below minimum balance (20000)');
+});
+
+test('payouts are refused when the fee reserve cannot cover the network fees', async () => {
+  fs.writeFileSync(file('payable.csv'), 'address,tokens,hoursAfterLaunch\nSysvarRent111111111111111111111111111111111,50000,10\n');
+  const payouts = fee => run([
+    'payouts', '--holders', file('payable.csv'), '--fee', fee, '--payer', '11111111111111111111111111111111', '--dry-run', '--out', file('fee-plan.json')
+  ]);
+
+  assert.equal(await payouts('0'), EXIT_CODES.USAGE);
+  assert.equal(await payouts('5'), EXIT_CODES.OK);
+  assert.equal(readJson('fee-plan.json').dryRun.status, 'complete');
+});
+
+test('wallet policies only match their own entries', async () => {
+  fs.writeFileSync(file('policy-holders.csv'), 'address,tokens,hoursAfterLaunch\nconstructor,50000,10\ntoString,60000,10\nPool,70000,10\n');
+  writeJson('policy.json', { labels: { Pool: 'LP' } });
+
+  const code = await run(['distribute', '--holders', file('policy-holders.csv'), '--policy', file('policy.json'), '--out', file('policy-result.json')]);
+  assert.equal(code, EXIT_CODES.OK);
+  assert.deepEqual(readJson('policy-result.json').distribution.map(result => result.address).sort(), ['constructor', 'toString']);
+});
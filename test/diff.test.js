@@ -0,0 +1,80 @@
+/**
+ * Tests for distribution diffs
+ *
+ * Runs are built from seeded holder sets, so every change has a known
+ * cause: a changed setting, a new holder or a holder who sold.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FACTORS, diffDistributions, diffRuns } = require('../diff');
+const { calculateDistribution } = require('../formulas');
+const { DEFAULT_CONFIG } = require('../config');
+const { createHolder } = require('../holder-io');
+const { generateHolders } = require('../generator');
+
+const TOLERANCE = 1e-9;
+
+function run(rows, changes = {}) {
+  const config = { ...DEFAULT_CONFIG, ...changes };
+  return { holders: rows.map(row => createHolder(row, config)), config };
+}
+
+const rows = generateHolders({ count: 40, seed: 7, preset: 'fair-launch' });
+
+test('identical runs have no changes', () => {
+  const diff = diffRuns(run(rows), run(rows));
+  assert.equal(diff.summary.unchanged, diff.holders.length);
+  assert.equal(diff.summary.largestChange, 0);
+  assert.deepEqual(diff.summary.configChanges, []);
+});
+
+test('the effects of every holder paid in both runs add up to the reward change', () => {
+  const sold = rows.map((row, index) => (index === 0 ? { ...row, tokens: row.tokens / 2 } : row));
+  const diff = diffRuns(run(rows), run(sold, { hoursSinceLaunch: 96, treasuryBalance: 25, maxWalletShare: 0.1 }));
+
+  diff.holders.filter(holder => holder.effects).forEach(holder => {
+    const total = [...FACTORS, 'limits'].reduce((sum, factor) => sum + holder.effects[factor], 0);
+    assert.ok(Math.abs(total - holder.rewardDelta) <= TOLERANCE, holder.address);
+  });
+
+  const seller = diff.holders.find(holder => holder.address === rows[0].address);
+  assert.ok(seller.effects.balance < 0);
+  assert.deepEqual(diff.summary.configChanges.map(change => change.field).sort(), ['hoursSinceLaunch', 'maxWalletShare', 'treasuryBalance']);
+});
+
+test('holders who start or stop qualifying are listed first, with the reason', () => {
+  const withNewcomer = [...rows, { address: 'Newcomer', tokens: 50000, hoursAfterLaunch: 10 }];
+  const diff = diffRuns(run(withNewcomer, { minBalance: 60000 }), run(withNewcomer));
+
+  const qualified = diff.holders.filter(holder => holder.change === 'qualified');
+  assert.ok(qualified.length > 0);
+  assert.deepEqual(diff.holders.slice(0, qualified.length), qualified);
+  qualified.forEach(holder => {
+    assert.equal(holder.reason, 'was excluded: below minimum balance (60000)');
+    assert.equal(holder.before.amount, 0);
+    assert.equal(holder.rewardDelta, holder.after.amount);
+  });
+
+  const gone = diffRuns(run(withNewcomer), run(rows)).holders.find(holder => holder.address === 'Newcomer');
+  assert.equal(gone.change, 'disqualified');
+  assert.equal(gone.reason, 'no longer a holder');
+});
+
+test('distribute outputs and manifests of the same run give the same diff', () => {
+  const first = run(rows);
+  const second = run(rows, { feeReserve: 0.2 });
+  const output = ({ holders, config }) => ({
+    config,
+    distribution: calculateDistribution(holders, config.treasuryBalance, config.feeReserve)
+  });
+
+  const fromManifests = diffRuns(first, second);
+  const fromOutputs = diffDistributions(output(first), output(second));
+  fromOutputs.holders.forEach(holder => {
+    const expected = fromManifests.holders.find(entry => entry.address === holder.address);
+    assert.equal(holder.change, expected.change, holder.address);
+    assert.ok(Math.abs(holder.rewardDelta - expected.rewardDelta) <= TOLERANCE, holder.address);
+    assert.ok(Math.abs(holder.effects.pool - expected.effects.pool) <= TOLERANCE, holder.address);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Golden values for calculateWeightage
+ *
+ * fixtures/weightage-golden.json pins the default profile to the
+ * formulas of the main RewardFlow website. Its values were computed
+ * straight from those formulas, not with formulas.js, so a change to the
+ * profile constants or curves fails here.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateWeightage } = require('../formulas');
+const { resolveProfile } = require('../profiles');
+const golden = require('./fixtures/weightage-golden.json');
+
+const TOLERANCE = 1e-12;
+
+const FIELDS = ['balanceWeight', 'earlyBonus', 'tenureBonus', 'timeWeight', 'totalWeight', 'hoursHeld'];
+
+function assertClose(actual, expected, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= TOLERANCE * Math.max(1, Math.abs(expected)),
+    `${label}: expected ${expected}, got ${actual}`
+  );
+}
+
+test('the default profile is the one the golden values were computed for', () => {
+  const profile = resolveProfile();
+  assert.deepEqual({ name: profile.name, version: profile.version }, golden.profile);
+});
+
+golden.cases.forEach(({ description, input, expected }) => {
+  test(`calculateWeightage: ${description}`, () => {
+    const weightage = calculateWeightage(input.tokens, input.hoursAfterLaunch, input.hoursSinceLaunch, input.minBalance);
+
+    assert.equal(weightage.qualified, expected.qualified);
+    assert.deepEqual(weightage.profile, golden.profile);
+    FIELDS.forEach(field => assertClose(weightage[field], expected[field], field));
+  });
+});
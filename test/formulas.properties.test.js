@@ -0,0 +1,204 @@
+/**
+ * Property tests for the distribution invariants
+ *
+ * Every property is checked on seeded random holder sets from
+ * generator.js, so a failure names the seed and preset that reproduce it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateWeightage, calculateDistribution, calculateLamportDistribution, solToLamports } = require('../formulas');
+const { DEFAULT_CONFIG } = require('../config');
+const { ConfigError } = require('../errors');
+const { createHolder } = require('../holder-io');
+const { createRng, generateHolders, listPresets } = require('../generator');
+
+const SEEDS = Array.from({ length: 10 }, (_, i) => i + 1);
+const PRESETS = listPresets().map(preset => preset.name);
+const HOLDER_COUNT = 60;
+const TOLERANCE = 1e-9;
+
+/**
+ * Seeded holder sets, one per seed and preset
+ *
+ * @returns {Array} { label, random, holders }
+ */
+function holderSets() {
+  return PRESETS.flatMap(preset => SEEDS.map(seed => ({
+    label: `${preset} seed ${seed}`,
+    random: createRng(`${preset}-${seed}`),
+    holders: generateHolders({ count: HOLDER_COUNT, seed, preset }).map(row => createHolder(row, DEFAULT_CONFIG))
+  })));
+}
+
+function distribute(holders, options = {}) {
+  return calculateDistribution(holders, DEFAULT_CONFIG.treasuryBalance, DEFAULT_CONFIG.feeReserve, options);
+}
+
+function rewardOf(distribution, address) {
+  const result = distribution.find(entry => entry.address === address);
+  return result ? result.amount : 0;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Replace one holder with a changed copy, re-deriving hoursHeld
+ */
+function withHolder(holders, address, changes) {
+  return holders.map(holder => (holder.address === address
+    ? { ...holder, ...changes, hoursHeld: holder.hoursSinceLaunch - (changes.hoursAfterLaunch === undefined ? holder.hoursAfterLaunch : changes.hoursAfterLaunch) }
+    : holder));
+}
+
+function qualifiedHolders(holders) {
+  return holders.filter(holder => holder.tokens >= holder.minBalance && holder.tokens <= holder.maxBalance);
+}
+
+test('shares of the rewarded holders sum to 1', () => {
+  holderSets().forEach(({ label, holders }) => {
+    const distribution = distribute(holders);
+    assert.ok(distribution.length > 0, label);
+    assert.ok(Math.abs(sum(distribution.map(result => result.share)) - 1) <= TOLERANCE, label);
+  });
+});
+
+test('the fee reserve is exactly preserved', () => {
+  holderSets().forEach(({ label, random, holders }) => {
+    const treasury = Math.round(random() * 1000 * 1e9) / 1e9;
+    const percent = 1 + Math.floor(random() * 50);
+
+    const distribution = calculateDistribution(holders, treasury, percent / 100);
+    const distributed = sum(distribution.map(result => result.amount));
+    assert.ok(Math.abs(treasury - distributed - treasury * percent / 100) <= TOLERANCE * Math.max(1, treasury), label);
+
+    const result = calculateLamportDistribution(holders, treasury, percent / 100);
+    const totalLamports = solToLamports(treasury);
+    assert.equal(result.totalLamports, totalLamports, label);
+    assert.equal(result.feeLamports, totalLamports * BigInt(percent) / 100n, label);
+    assert.equal(
+      result.distribution.reduce((total, entry) => total + entry.lamports, 0n) + result.feeLamports + result.dustLamports,
+      totalLamports,
+      label
+    );
+  });
+});
+
+test('weight grows with balance and with tenure', () => {
+  const random = createRng('weightage');
+  for (let i = 0; i < 500; i++) {
+    const minBalance = 1000 + random() * 50000;
+    const hoursAfterLaunch = random() * 200;
+    const hoursSinceLaunch = hoursAfterLaunch + random() * 500;
+    const tokens = minBalance * (1 + random() * 1000);
+    const base = calculateWeightage(tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance).totalWeight;
+
+    const richer = calculateWeightage(tokens * (1 + random()), hoursAfterLaunch, hoursSinceLaunch, minBalance).totalWeight;
+    assert.ok(richer > base, `tokens ${tokens} -> more`);
+
+    const longer = calculateWeightage(tokens, hoursAfterLaunch, hoursSinceLaunch + 1 + random() * 100, minBalance).totalWeight;
+    assert.ok(longer > base, `held ${hoursSinceLaunch - hoursAfterLaunch} hours -> longer`);
+
+    const earlier = calculateWeightage(tokens, hoursAfterLaunch * random(), hoursSinceLaunch, minBalance).totalWeight;
+    assert.ok(earlier >= base, `bought at ${hoursAfterLaunch} -> earlier`);
+  }
+});
+
+test('a holder\'s reward is monotonic in balance', () => {
+  holderSets().forEach(({ label, random, holders }) => {
+    const holder = pick(qualifiedHolders(holders), random);
+    const tokens = Math.min(holder.tokens * (1 + random() * 10), holder.maxBalance);
+
+    const before = rewardOf(distribute(holders), holder.address);
+    const after = rewardOf(distribute(withHolder(holders, holder.address, { tokens })), holder.address);
+    assert.ok(after >= before, `${label}: ${holder.address} ${holder.tokens} -> ${tokens} tokens`);
+  });
+});
+
+test('a holder\'s reward is monotonic in tenure', () => {
+  holderSets().forEach(({ label, random, holders }) => {
+    const holder = pick(qualifiedHolders(holders), random);
+    const hoursAfterLaunch = holder.hoursAfterLaunch * random();
+
+    const before = rewardOf(distribute(holders), holder.address);
+    const after = rewardOf(distribute(withHolder(holders, holder.address, { hoursAfterLaunch })), holder.address);
+    assert.ok(after >= before, `${label}: ${holder.address} bought at ${holder.hoursAfterLaunch} -> ${hoursAfterLaunch}`);
+  });
+});
+
+test('results do not depend on the order of the holders', () => {
+  holderSets().forEach(({ label, random, holders }) => {
+    const shuffled = shuffle(holders, random);
+
+    const expected = distribute(holders);
+    const actual = distribute(shuffled);
+    assert.equal(actual.length, expected.length, label);
+    expected.forEach(result => {
+      const amount = rewardOf(actual, result.address);
+      assert.ok(Math.abs(amount - result.amount) <= TOLERANCE * result.amount, `${label}: ${result.address}`);
+    });
+
+    const lamports = results => Object.fromEntries(results.distribution.map(result => [result.address, result.lamports]));
+    assert.deepEqual(
+      lamports(calculateLamportDistribution(shuffled, DEFAULT_CONFIG.treasuryBalance, DEFAULT_CONFIG.feeReserve)),
+      lamports(calculateLamportDistribution(holders, DEFAULT_CONFIG.treasuryBalance, DEFAULT_CONFIG.feeReserve)),
+      label
+    );
+  });
+});
+
+test('holders exactly at minBalance and maxBalance qualify, holders past them do not', () => {
+  const { minBalance, maxBalance } = DEFAULT_CONFIG;
+  const boundaries = [
+    { address: 'AtMin', tokens: minBalance, qualified: true },
+    { address: 'BelowMin', tokens: minBalance - 1e-6, qualified: false },
+    { address: 'AtMax', tokens: maxBalance, qualified: true },
+    { address: 'AboveMax', tokens: maxBalance + 1e-6, qualified: false }
+  ];
+
+  holderSets().forEach(({ label, random, holders }) => {
+    const added = boundaries.map(({ address, tokens }) => createHolder({ address, tokens, hoursAfterLaunch: random() * DEFAULT_CONFIG.hoursSinceLaunch }, DEFAULT_CONFIG));
+    const distribution = distribute(shuffle([...holders, ...added], random));
+
+    boundaries.forEach(({ address, qualified }) => {
+      assert.equal(distribution.some(result => result.address === address), qualified, `${label}: ${address}`);
+    });
+    assert.equal(distribution.find(result => result.address === 'AtMin').weightage.balanceWeight, 1, label);
+
+    // Holders that do not qualify take nothing from the others
+    const withQualified = distribute([...holders, ...added.filter((holder, index) => boundaries[index].qualified)]);
+    withQualified.forEach(result => {
+      assert.ok(Math.abs(rewardOf(distribution, result.address) - result.amount) <= TOLERANCE * result.amount, `${label}: ${result.address}`);
+    });
+  });
+});
+
+test('amounts that have no lamport value are refused with a ConfigError', () => {
+  [NaN, Infinity, -Infinity, 1e21, '10'].forEach(sol => {
+    assert.throws(() => solToLamports(sol), ConfigError, String(sol));
+  });
+  assert.equal(solToLamports(1e20), 10n ** 29n);
+});
+
+test('an invalid treasury or fee reserve throws instead of distributing nothing', () => {
+  const [{ holders }] = holderSets();
+  [[NaN, 0.05], [10, NaN], [-1, 0.05], [10, 1.5]].forEach(([treasury, feeReserve]) => {
+    assert.throws(() => calculateDistribution(holders, treasury, feeReserve), ConfigError, `${treasury}, ${feeReserve}`);
+    assert.throws(() => calculateLamportDistribution(holders, treasury, feeReserve), ConfigError, `${treasury}, ${feeReserve}`);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the recurring distribution runner
+ *
+ * Every test uses its own ledger in a temporary directory and a
+ * simulated clock, so schedules of days run in milliseconds.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  LedgerLockedError, createSimulatedClock, readLedger, summarizeLedger, runDistribution, scheduleRuns
+} = require('../runner');
+const { DEFAULT_CONFIG } = require('../config');
+const { generateHolders } = require('../generator');
+
+const HOUR = 3600 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+const directories = [];
+test.after(() => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+/**
+ * Runner settings around a fresh ledger and a treasury the test controls
+ *
+ * @param {object} changes - Extra runDistribution options
+ * @returns {object} Options plus treasury (set .received) and rows
+ */
+function setup(changes = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rewardflow-runner-'));
+  directories.push(directory);
+  const treasury = { received: 0 };
+  const rows = generateHolders({ count: 30, seed: 5 });
+  return {
+    treasury,
+    rows,
+    ledgerFile: path.join(directory, 'ledger.jsonl'),
+    source: {
+      getHolders: async () => ({ rows, config: null }),
+      getReceived: async () => treasury.received
+    },
+    config: DEFAULT_CONFIG,
+    clock: createSimulatedClock(START),
+    ...changes
+  };
+}
+
+test('the same treasury funds are never distributed twice', async () => {
+  const options = setup();
+  options.treasury.received = 10;
+
+  const first = await runDistribution(options);
+  assert.equal(first.status, 'distributed');
+  assert.equal(first.entry.newLamports, 10000000000n);
+
+  const second = await runDistribution(options);
+  assert.equal(second.status, 'skipped');
+  assert.equal(readLedger(options.ledgerFile).length, 1);
+
+  options.treasury.received = 12.5;
+  const third = await runDistribution(options);
+  assert.equal(third.entry.newLamports, 2500000000n);
+  assert.equal(third.entry.feeLamports, 125000000n);
+});
+
+test('every lamport received is reserved, paid or carried forward', async () => {
+  const options = setup();
+  const incomes = [1, 1.000000001, 1.000002, 3.3333333333, 3.3333333333, 7];
+
+  for (const received of incomes) {
+    options.treasury.received = received;
+    await runDistribution(options);
+  }
+
+  const runs = readLedger(options.ledgerFile);
+  const summary = summarizeLedger(runs);
+  assert.equal(summary.highWaterLamports, 7000000000n);
+  assert.equal(summary.feeLamports + summary.distributedLamports + summary.carryLamports, summary.highWaterLamports);
+  assert.ok(runs.some(entry => entry.carryLamports > 0n), 'a run below the dust threshold carries forward');
+
+  const earned = summary.wallets.reduce((sum, wallet) => sum + wallet.lamports, 0n);
+  assert.equal(earned, summary.distributedLamports);
+  runs.slice(1).forEach((entry, index) => assert.equal(entry.carriedInLamports, runs[index].carryLamports));
+});
+
+test('funds nobody qualifies for wait for the next run', async () => {
+  const options = setup({ config: { ...DEFAULT_CONFIG, minBalance: 1e12, maxBalance: 1e13 } });
+  options.treasury.received = 2;
+
+  const empty = await runDistribution(options);
+  assert.equal(empty.entry.payouts.length, 0);
+  assert.equal(empty.entry.carryLamports, 1900000000n);
+
+  options.config = DEFAULT_CONFIG;
+  options.treasury.received = 3;
+  const paid = await runDistribution(options);
+  assert.equal(paid.entry.poolLamports, 1900000000n + 950000000n);
+  assert.equal(paid.entry.distributedLamports + paid.entry.carryLamports, paid.entry.poolLamports);
+});
+
+test('rejected holder rows stop the run without using the funds', async () => {
+  const options = setup();
+  options.rows.push({ address: 'Broken', tokens: -1, hoursAfterLaunch: 2 });
+  options.treasury.received = 4;
+
+  const result = await runDistribution(options);
+  assert.equal(result.status, 'skipped');
+  assert.equal(result.rejected.length, 1);
+  assert.equal(readLedger(options.ledgerFile).length, 0);
+
+  options.rows.pop();
+  assert.equal((await runDistribution(options)).entry.newLamports, 4000000000n);
+});
+
+test('a held lock stops a second run; a stale one is taken over', async () => {
+  const options = setup();
+  options.treasury.received = 1;
+  const lockFile = `${options.ledgerFile}.lock`;
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: 12345, acquiredAt: options.clock.now() }));
+
+  await assert.rejects(runDistribution(options), LedgerLockedError);
+  assert.equal(readLedger(options.ledgerFile).length, 0);
+
+  options.clock.advance(2 * HOUR);
+  assert.equal((await runDistribution(options)).status, 'distributed');
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('a run only releases its own lock', async () => {
+  const options = setup();
+  options.treasury.received = 1;
+  const lockFile = `${options.ledgerFile}.lock`;
+  const other = JSON.stringify({ pid: 12345, acquiredAt: options.clock.now() });
+  const { getHolders } = options.source;
+  options.source = {
+    ...options.source,
+    getHolders: async () => {
+      // Another run decides this one died and takes the lock over
+      fs.writeFileSync(lockFile, other);
+      return getHolders();
+    }
+  };
+
+  await runDistribution(options);
+  assert.equal(fs.readFileSync(lockFile, 'utf8'), other);
+  assert.deepEqual(fs.readdirSync(path.dirname(lockFile)).sort(), ['ledger.jsonl', 'ledger.jsonl.lock']);
+});
+
+test('runs are scheduled on the clock and read the launch time from it', async () => {
+  const options = setup({ launchTime: START / 1000 - 48 * 3600 });
+  const results = [];
+  options.treasury.received = 1;
+
+  const schedule = scheduleRuns({
+    ...options,
+    intervalMs: 6 * HOUR,
+    maxRuns: 4,
+    onRun: result => {
+      results.push(result);
+      options.treasury.received += 1;
+    }
+  });
+
+  assert.equal(await schedule.done, 4);
+  assert.deepEqual(results.map(result => result.entry.hoursSinceLaunch), [48, 54, 60, 66]);
+  assert.deepEqual(readLedger(options.ledgerFile).map(entry => entry.at), [0, 6, 12, 18].map(hours => new Date(START + hours * HOUR).toISOString()));
+});
+
+test('a damaged ledger is refused', async () => {
+  const options = setup();
+  options.treasury.received = 1;
+  await runDistribution(options);
+
+  const [line] = fs.readFileSync(options.ledgerFile, 'utf8').split('\n');
+  fs.appendFileSync(options.ledgerFile, line + '\n');
+  assert.throws(() => readLedger(options.ledgerFile), /expected run 2, found 1/);
+
+  options.treasury.received = 2;
+  await assert.rejects(runDistribution(options), /expected run 2/);
+});
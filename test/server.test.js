@@ -0,0 +1,76 @@
+/**
+ * Tests for the HTTP API
+ *
+ * The server listens on a free local port; requests the http client
+ * would not send are written to the socket directly.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createServer } = require('../server');
+
+const server = createServer();
+const listening = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+test.after(() => server.close());
+
+/**
+ * Write a raw request and collect everything the server sends back
+ *
+ * @param {string} text - Request head
+ * @returns {Promise<string>} Raw response
+ */
+async function rawRequest(text) {
+  await listening;
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => socket.write(text));
+    let response = '';
+    socket.on('data', data => { response += data; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+  });
+}
+
+test('a request URL that cannot be parsed gets a 400 and the server keeps running', async () => {
+  const response = await rawRequest('GET // HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+  assert.match(response, /^HTTP\/1\.1 400 /);
+
+  const next = await rawRequest('GET /formula HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+  assert.match(next, /^HTTP\/1\.1 200 /);
+});
+
+test('an oversized body gets its 413 response before the connection closes', async () => {
+  await listening;
+  const { status, connection, body } = await new Promise((resolve, reject) => {
+    const req = http.request({
+      port: server.address().port,
+      host: '127.0.0.1',
+      method: 'POST',
+      path: '/distribution',
+      headers: { 'Content-Type': 'application/json' }
+    }, res => {
+      let text = '';
+      res.on('data', data => { text += data; });
+      res.on('end', () => resolve({ status: res.statusCode, connection: res.headers.connection, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+
+    const chunk = Buffer.alloc(1024 * 1024, ' ');
+    let written = 0;
+    (function write() {
+      while (written < 11) {
+        written++;
+        if (!req.write(chunk)) {
+          req.once('drain', write);
+          return;
+        }
+      }
+      req.end();
+    })();
+  });
+
+  assert.equal(status, 413);
+  assert.equal(connection, 'close');
+  assert.equal(body.error, 'Payload Too Large');
+});
@@ -0,0 +1,380 @@
+/**
+ * RewardFlow Distribution Algorithm - Input Validation
+ *
+ * Field-level checks for holders and settings. The validate* functions
+ * return a list of problems ({ field, message, value }); the assert*
+ * functions throw InvalidHolderError / ConfigError (see errors.js).
+ *
+ * Values that pass these checks can never turn a weight into NaN.
+ */
+
+const { InvalidHolderError, ConfigError } = require('./errors');
+const { resolveProfile } = require('./profiles');
+
+/**
+ * Check a numeric field
+ *
+ * @param {Array} errors - Problems found so far (appended to)
+ * @param {object} source - Object holding the field
+ * @param {string} field - Field name
+ * @param {object} range - { min, minMessage, max, maxMessage, exclusiveMin, allowInfinity } (all optional)
+ * @returns {boolean} True when the field is valid
+ */
+function checkNumber(errors, source, field, range = {}) {
+  const value = source[field];
+  const fail = message => {
+    errors.push({ field, message: `${field} ${message}`, value });
+    return false;
+  };
+
+  if (typeof value !== 'number' || Number.isNaN(value) || (!Number.isFinite(value) && !range.allowInfinity)) {
+    return fail('must be a number');
+  }
+  if (range.exclusiveMin !== undefined && value <= range.exclusiveMin) {
+    return fail(`must be greater than ${range.exclusiveMin}`);
+  }
+  if (range.min !== undefined && value < range.min) {
+    return fail(range.minMessage || (range.min === 0 ? 'must be 0 or more' : `must be ${range.min} or more`));
+  }
+  if (range.max !== undefined && value > range.max) {
+    return fail(range.maxMessage || `must be ${range.max} or less`);
+  }
+  return true;
+}
+
+/**
+ * Check an address field
+ *
+ * @param {Array} errors - Problems found so far (appended to)
+ * @param {object} source - Object holding the address
+ */
+function checkAddress(errors, source) {
+  if (typeof source.address !== 'string' || source.address.trim() === '') {
+    errors.push({ field: 'address', message: 'address is required', value: source.address });
+  }
+}
+
+/**
+ * Validate a row from a holder file or the API
+ *
+ * @param {object} row - { address, tokens, hoursAfterLaunch }
+ * @param {object} config - Current settings (hoursSinceLaunch)
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateHolderRow(row, config) {
+  const errors = [];
+
+  checkAddress(errors, row);
+  checkNumber(errors, row, 'tokens', { exclusiveMin: 0 });
+  checkNumber(errors, row, 'hoursAfterLaunch', {
+    min: 0,
+    max: config.hoursSinceLaunch,
+    maxMessage: `must be no later than hoursSinceLaunch (${config.hoursSinceLaunch})`
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a holder object (as built by createHolder)
+ *
+ * Unlike file rows, a zero balance is allowed: the holder simply does
+ * not qualify.
+ *
+ * @param {object} holder - Holder object
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateHolder(holder) {
+  const errors = [];
+  if (!holder || typeof holder !== 'object') {
+    return [{ field: 'holder', message: 'holder must be an object', value: holder }];
+  }
+
+  checkAddress(errors, holder);
+  checkNumber(errors, holder, 'tokens', { min: 0 });
+  const launchValid = checkNumber(errors, holder, 'hoursSinceLaunch', { min: 0 });
+  checkNumber(errors, holder, 'hoursAfterLaunch', {
+    min: 0,
+    max: launchValid ? holder.hoursSinceLaunch : undefined,
+    maxMessage: `must be no later than hoursSinceLaunch (${holder.hoursSinceLaunch})`
+  });
+  const minValid = checkNumber(errors, holder, 'minBalance', { exclusiveMin: 0 });
+  checkNumber(errors, holder, 'maxBalance', {
+    min: minValid ? holder.minBalance : 0,
+    minMessage: minValid ? `must be at least minBalance (${holder.minBalance})` : undefined,
+    allowInfinity: true
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the inputs of a single weightage calculation
+ *
+ * @param {number} tokens - Number of tokens held
+ * @param {number} hoursAfterLaunch - Hours after launch when first bought
+ * @param {number} hoursSinceLaunch - Total hours since launch
+ * @param {number} minBalance - Minimum balance required to qualify
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateWeightageInputs(tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance) {
+  return validateHolder({ address: 'weightage', tokens, hoursAfterLaunch, hoursSinceLaunch, minBalance, maxBalance: Infinity });
+}
+
+/**
+ * Split holders into valid ones and errors for the rest
+ *
+ * @param {Array} holders - Holder objects
+ * @returns {object} { valid: Array, invalid: Array<InvalidHolderError> }
+ */
+function checkHolders(holders) {
+  const valid = [];
+  const invalid = [];
+
+  holders.forEach((holder, index) => {
+    const errors = validateHolder(holder);
+    if (errors.length > 0) {
+      invalid.push(new InvalidHolderError(holder, errors, index));
+    } else {
+      valid.push(holder);
+    }
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * Throw for the first invalid holder
+ *
+ * @param {Array} holders - Holder objects
+ * @throws {InvalidHolderError} If any holder is invalid
+ */
+function assertValidHolders(holders) {
+  const { invalid } = checkHolders(holders);
+  if (invalid.length > 0) {
+    throw invalid[0];
+  }
+}
+
+/**
+ * Validate distribution settings (the demo's config shape)
+ *
+ * Only fields that are present are checked, so partial settings (e.g.
+ * from a holder file) can be validated before merging.
+ *
+ * @param {object} config - Settings
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+  const has = field => config[field] !== undefined;
+
+  const minValid = has('minBalance') && checkNumber(errors, config, 'minBalance', { exclusiveMin: 0 });
+  if (has('maxBalance')) {
+    checkNumber(errors, config, 'maxBalance', {
+      min: minValid ? config.minBalance : 0,
+      minMessage: minValid ? `must be at least minBalance (${config.minBalance})` : undefined,
+      allowInfinity: true
+    });
+  }
+  if (has('treasuryBalance')) checkNumber(errors, config, 'treasuryBalance', { min: 0 });
+  if (has('feeReserve')) checkNumber(errors, config, 'feeReserve', { min: 0, max: 0.5 });
+  if (has('hoursSinceLaunch')) checkNumber(errors, config, 'hoursSinceLaunch', { min: 0 });
+  if (has('maxWalletShare')) checkNumber(errors, config, 'maxWalletShare', { min: 0, max: 1 });
+  if (has('minWalletPayout')) checkNumber(errors, config, 'minWalletPayout', { min: 0 });
+
+  if (has('formulaProfile')) {
+    try {
+      resolveProfile(config.formulaProfile);
+    } catch (error) {
+      errors.push({ field: 'formulaProfile', message: error.message, value: config.formulaProfile });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw when settings are invalid
+ *
+ * @param {object} config - Settings
+ * @throws {ConfigError} If any field is invalid
+ */
+function assertValidConfig(config) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+}
+
+/**
+ * Throw when the treasury or fee reserve passed to a calculation is invalid
+ *
+ * @param {number|bigint} totalTreasury - Treasury in SOL (number) or lamports (bigint)
+ * @param {number} feeReserve - Fee reserve (0-1)
+ * @throws {ConfigError} If either value is invalid
+ */
+function assertValidPool(totalTreasury, feeReserve) {
+  const errors = [];
+  if (typeof totalTreasury === 'bigint') {
+    if (totalTreasury < 0n) {
+      errors.push({ field: 'totalTreasury', message: 'totalTreasury must be 0 or more', value: totalTreasury });
+    }
+  } else {
+    checkNumber(errors, { totalTreasury }, 'totalTreasury', { min: 0 });
+  }
+  checkNumber(errors, { feeReserve }, 'feeReserve', { min: 0, max: 1 });
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+}
+
+/**
+ * Validate a vesting schedule (see vesting.js)
+ *
+ * @param {object} schedule - { type, durationHours, cliffHours, instantUnlockBelow }
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateVestingSchedule(schedule) {
+  const errors = [];
+  if (!schedule || typeof schedule !== 'object') {
+    return [{ field: 'schedule', message: 'schedule must be an object', value: schedule }];
+  }
+
+  if (!['none', 'linear', 'cliff'].includes(schedule.type)) {
+    errors.push({ field: 'type', message: 'type must be none, linear or cliff', value: schedule.type });
+  } else if (schedule.type !== 'none') {
+    const durationValid = checkNumber(errors, schedule, 'durationHours', { exclusiveMin: 0 });
+    if (schedule.type === 'linear' && schedule.cliffHours !== undefined) {
+      checkNumber(errors, schedule, 'cliffHours', {
+        min: 0,
+        max: durationValid ? schedule.durationHours : undefined,
+        maxMessage: `must be no longer than durationHours (${schedule.durationHours})`
+      });
+    }
+  }
+  if (schedule.instantUnlockBelow !== undefined) {
+    checkNumber(errors, schedule, 'instantUnlockBelow', { min: 0 });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a treasury asset (see assets.js)
+ *
+ * @param {object} asset - { symbol, decimals, amount, feeReserve, formulaProfile }
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateAsset(asset) {
+  const errors = [];
+  if (!asset || typeof asset !== 'object') {
+    return [{ field: 'asset', message: 'asset must be an object', value: asset }];
+  }
+
+  if (typeof asset.symbol !== 'string' || !/^[A-Za-z0-9._-]{1,16}$/.test(asset.symbol)) {
+    errors.push({ field: 'symbol', message: 'symbol must be 1-16 letters, digits, ".", "_" or "-"', value: asset.symbol });
+  }
+  if (!Number.isInteger(asset.decimals) || asset.decimals < 0 || asset.decimals > 18) {
+    errors.push({ field: 'decimals', message: 'decimals must be a whole number from 0 to 18', value: asset.decimals });
+  }
+
+  const amount = typeof asset.amount === 'number' ? asset.amount : Number(asset.amount);
+  if ((typeof asset.amount !== 'number' && typeof asset.amount !== 'string') || !Number.isFinite(amount) || amount < 0) {
+    errors.push({ field: 'amount', message: 'amount must be a number of 0 or more', value: asset.amount });
+  }
+
+  if (asset.feeReserve !== undefined) checkNumber(errors, asset, 'feeReserve', { min: 0, max: 0.5 });
+  if (asset.formulaProfile !== undefined) {
+    try {
+      resolveProfile(asset.formulaProfile);
+    } catch (error) {
+      errors.push({ field: 'formulaProfile', message: error.message, value: asset.formulaProfile });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a wallet policy (see policy.js)
+ *
+ * @param {object} policy - { deny, allow, allowlistOnly, labels, excludeLabels }
+ * @returns {Array} Problems (empty when valid)
+ */
+function validatePolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [{ field: 'policy', message: 'policy must be an object', value: policy }];
+  }
+
+  ['deny', 'allow', 'excludeLabels'].forEach(field => {
+    const list = policy[field];
+    if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item.trim() === ''))) {
+      errors.push({ field, message: `${field} must be a list of non-empty strings`, value: list });
+    }
+  });
+  if (policy.allowlistOnly !== undefined && typeof policy.allowlistOnly !== 'boolean') {
+    errors.push({ field: 'allowlistOnly', message: 'allowlistOnly must be true or false', value: policy.allowlistOnly });
+  }
+
+  const labels = policy.labels;
+  if (labels !== undefined && (!labels || typeof labels !== 'object' || Array.isArray(labels) ||
+      Object.values(labels).some(label => typeof label !== 'string' || label.trim() === ''))) {
+    errors.push({ field: 'labels', message: 'labels must map addresses to non-empty labels', value: labels });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a cluster map (see clusters.js)
+ *
+ * @param {object} clusters - { address: entityId }
+ * @returns {Array} Problems (empty when valid), one per address
+ */
+function validateClusters(clusters) {
+  if (!clusters || typeof clusters !== 'object' || Array.isArray(clusters)) {
+    return [{ field: 'clusters', message: 'clusters must map addresses to entity IDs', value: clusters }];
+  }
+
+  return Object.entries(clusters)
+    .filter(([, entity]) => !(typeof entity === 'string' && entity.trim() !== '') && !Number.isFinite(entity))
+    .map(([address, entity]) => ({ field: address, message: `${address} must map to a non-empty entity ID`, value: entity }));
+}
+
+/**
+ * Validate a reward projection scenario (see projection.js)
+ *
+ * @param {object} scenario - { tokensDelta, extraHours, hoursSinceLaunch, tokenPrice } (all optional)
+ * @returns {Array} Problems (empty when valid)
+ */
+function validateProjection(scenario) {
+  const errors = [];
+  if (!scenario || typeof scenario !== 'object') {
+    return [{ field: 'scenario', message: 'scenario must be an object', value: scenario }];
+  }
+
+  if (scenario.tokensDelta !== undefined) checkNumber(errors, scenario, 'tokensDelta');
+  if (scenario.extraHours !== undefined) checkNumber(errors, scenario, 'extraHours', { min: 0 });
+  if (scenario.hoursSinceLaunch !== undefined) checkNumber(errors, scenario, 'hoursSinceLaunch', { min: 0 });
+  if (scenario.tokenPrice !== undefined) checkNumber(errors, scenario, 'tokenPrice', { exclusiveMin: 0 });
+
+  return errors;
+}
+
+module.exports = {
+  validateHolderRow,
+  validateHolder,
+  validateWeightageInputs,
+  checkHolders,
+  assertValidHolders,
+  validateConfig,
+  assertValidConfig,
+  assertValidPool,
+  validateVestingSchedule,
+  validateAsset,
+  validatePolicy,
+  validateClusters,
+  validateProjection
+};
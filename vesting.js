@@ -0,0 +1,231 @@
+/**
+ * RewardFlow Distribution Algorithm - Vesting
+ *
+ * Optionally releases computed rewards over time instead of paying
+ * them out at once. Each distribution is recorded in a ledger as one
+ * grant per wallet with the run's schedule; the ledger tracks what is
+ * vested, claimed, still locked or forfeited for every wallet across
+ * runs. Time is measured in hours since launch, like hoursSinceLaunch.
+ *
+ * Schedules:
+ * - { type: 'none' }                                      unlocked immediately
+ * - { type: 'linear', durationHours, cliffHours }         unlocks evenly over durationHours;
+ *                                                         nothing before cliffHours (default 0)
+ * - { type: 'cliff', durationHours }                      unlocks in full after durationHours
+ * Any schedule may set `instantUnlockBelow` (SOL): smaller rewards are
+ * unlocked immediately.
+ *
+ * A wallet whose balance drops below minBalance before its rewards have
+ * vested forfeits the unvested part; forfeited rewards collect in the
+ * ledger's `pool` until they are put back into a distribution.
+ *
+ * The ledger is plain JSON, so it can be saved and loaded between runs.
+ */
+
+const { ConfigError } = require('./errors');
+const { validateVestingSchedule } = require('./validation');
+
+/**
+ * Create an empty ledger
+ *
+ * @returns {object} { runs, wallets, pool }
+ */
+function createVestingLedger() {
+  return { runs: [], wallets: {}, pool: 0 };
+}
+
+/**
+ * Share of a grant unlocked after some time
+ *
+ * @param {object} schedule - Vesting schedule
+ * @param {number} elapsedHours - Hours since the grant
+ * @returns {number} Fraction between 0 and 1
+ */
+function vestedFraction(schedule, elapsedHours) {
+  if (schedule.type === 'none') {
+    return 1;
+  }
+  if (schedule.type === 'cliff') {
+    return elapsedHours >= schedule.durationHours ? 1 : 0;
+  }
+  if (elapsedHours < (schedule.cliffHours || 0)) {
+    return 0;
+  }
+  return Math.min(Math.max(elapsedHours / schedule.durationHours, 0), 1);
+}
+
+/**
+ * Vested amount of a grant at an hour
+ *
+ * Vesting stops at the hour a grant was forfeited.
+ *
+ * @param {object} grant - Ledger grant
+ * @param {number} hour - Hours since launch
+ * @returns {number} Vested SOL
+ */
+function grantVested(grant, hour) {
+  const until = grant.forfeitedAtHour === null ? hour : Math.min(hour, grant.forfeitedAtHour);
+  return grant.amount * vestedFraction(grant.schedule, until - grant.startHour);
+}
+
+/**
+ * Record a distribution in the ledger
+ *
+ * @param {object} ledger - Vesting ledger (updated in place)
+ * @param {Array} distribution - Results from calculateDistribution
+ * @param {object} options - Run settings
+ * @param {number} options.hour - Hours since launch of the run
+ * @param {object} options.schedule - Vesting schedule (default { type: 'none' })
+ * @param {string} options.run - Run label (default run-<n>)
+ * @returns {object} The run entry { id, hour, schedule, granted, instant }
+ * @throws {ConfigError} If the schedule or hour is invalid
+ */
+function recordDistribution(ledger, distribution, options) {
+  const { hour, schedule = { type: 'none' } } = options;
+  const errors = validateVestingSchedule(schedule);
+  if (!Number.isFinite(hour) || hour < 0) {
+    errors.push({ field: 'hour', message: 'hour must be 0 or more', value: hour });
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const run = { id: options.run || `run-${ledger.runs.length + 1}`, hour, schedule, granted: 0, instant: 0 };
+  const threshold = schedule.instantUnlockBelow || 0;
+
+  distribution.forEach(result => {
+    if (!(result.amount > 0)) {
+      return;
+    }
+
+    const instant = schedule.type === 'none' || result.amount < threshold;
+    const wallet = ledger.wallets[result.address] || (ledger.wallets[result.address] = { claimed: 0, grants: [] });
+    wallet.grants.push({
+      run: run.id,
+      amount: result.amount,
+      startHour: hour,
+      schedule: instant ? { type: 'none' } : schedule,
+      forfeited: 0,
+      forfeitedAtHour: null
+    });
+
+    run.granted += result.amount;
+    if (instant) {
+      run.instant += result.amount;
+    }
+  });
+
+  ledger.runs.push(run);
+  return run;
+}
+
+/**
+ * Forfeit the unvested rewards of wallets below the minimum balance
+ *
+ * Wallets missing from the holder list count as holding nothing.
+ *
+ * @param {object} ledger - Vesting ledger (updated in place)
+ * @param {Array} holders - Current holders ({ address, tokens })
+ * @param {number} hour - Hours since launch of the balance check
+ * @param {number} minBalance - Minimum balance to keep vesting
+ * @returns {Array} Forfeits { address, amount } (amount in SOL)
+ */
+function applyBalanceCheck(ledger, holders, hour, minBalance) {
+  const balances = new Map(holders.map(holder => [holder.address, holder.tokens]));
+  const forfeits = [];
+
+  Object.entries(ledger.wallets).forEach(([address, wallet]) => {
+    if ((balances.get(address) || 0) >= minBalance) {
+      return;
+    }
+
+    let amount = 0;
+    wallet.grants.forEach(grant => {
+      if (grant.forfeitedAtHour !== null || hour < grant.startHour) {
+        return;
+      }
+      const unvested = grant.amount - grantVested(grant, hour);
+      if (unvested > 0) {
+        grant.forfeited = unvested;
+        grant.forfeitedAtHour = hour;
+        amount += unvested;
+      }
+    });
+
+    if (amount > 0) {
+      forfeits.push({ address, amount });
+      ledger.pool += amount;
+    }
+  });
+
+  return forfeits;
+}
+
+/**
+ * Balances of every wallet at an hour
+ *
+ * @param {object} ledger - Vesting ledger
+ * @param {number} hour - Hours since launch
+ * @returns {Array} { address, granted, vested, claimed, claimable, locked, forfeited }, by address
+ */
+function walletBalances(ledger, hour) {
+  return Object.keys(ledger.wallets).sort().map(address => {
+    const wallet = ledger.wallets[address];
+    const totals = { granted: 0, vested: 0, forfeited: 0 };
+    wallet.grants.forEach(grant => {
+      totals.granted += grant.amount;
+      totals.vested += grantVested(grant, hour);
+      totals.forfeited += grant.forfeited;
+    });
+
+    return {
+      address,
+      ...totals,
+      claimed: wallet.claimed,
+      claimable: Math.max(totals.vested - wallet.claimed, 0),
+      locked: Math.max(totals.granted - totals.vested - totals.forfeited, 0)
+    };
+  });
+}
+
+/**
+ * Claim everything a wallet has vested
+ *
+ * @param {object} ledger - Vesting ledger (updated in place)
+ * @param {string} address - Wallet address
+ * @param {number} hour - Hours since launch of the claim
+ * @returns {number} Claimed SOL (0 when nothing is claimable)
+ */
+function claim(ledger, address, hour) {
+  const wallet = ledger.wallets[address];
+  if (!wallet) {
+    return 0;
+  }
+
+  const vested = wallet.grants.reduce((sum, grant) => sum + grantVested(grant, hour), 0);
+  const amount = Math.max(vested - wallet.claimed, 0);
+  wallet.claimed += amount;
+  return amount;
+}
+
+/**
+ * Take the forfeited rewards out of the ledger to fund a distribution
+ *
+ * @param {object} ledger - Vesting ledger (updated in place)
+ * @returns {number} SOL returned to the treasury
+ */
+function releasePool(ledger) {
+  const amount = ledger.pool;
+  ledger.pool = 0;
+  return amount;
+}
+
+module.exports = {
+  createVestingLedger,
+  vestedFraction,
+  recordDistribution,
+  applyBalanceCheck,
+  walletBalances,
+  claim,
+  releasePool
+};
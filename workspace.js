@@ -0,0 +1,300 @@
+/**
+ * RewardFlow Distribution Algorithm - Session Workspace
+ *
+ * Keeps the demo's session (settings, holders, wallet policy, treasury
+ * assets and vesting ledger) with an undo/redo history and named
+ * snapshots, and saves it to a workspace file so it survives restarts.
+ *
+ * Holders are stored as rows ({ address, tokens, hoursAfterLaunch });
+ * minBalance, maxBalance and hoursSinceLaunch are derived from the
+ * current settings by deriveHolders, so changing a setting applies to
+ * every holder instead of leaving the values copied when it was added.
+ *
+ * History entries and snapshots are kept as JSON text, which is compact
+ * and cannot be changed by later edits. The undo history lasts for one
+ * session; the workspace file holds the current state and the snapshots.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHolder, validateHolderRows } = require('./holder-io');
+const { canonicalJson } = require('./json');
+
+/**
+ * Workspace file format version
+ */
+const WORKSPACE_VERSION = 1;
+
+/**
+ * Workspace file used by the demo when none is given
+ */
+const DEFAULT_WORKSPACE_FILE = 'rewardflow-workspace.json';
+
+/**
+ * Most changes that can be undone
+ */
+const HISTORY_LIMIT = 25;
+
+/**
+ * Create a workspace
+ *
+ * @param {object} state - Session state { config, holders, ... } (plain JSON)
+ * @returns {object} { state, undo, redo, snapshots }
+ */
+function createWorkspace(state) {
+  return { state: JSON.parse(JSON.stringify(state)), undo: [], redo: [], snapshots: {} };
+}
+
+/**
+ * Strip derived fields from holders
+ *
+ * @param {Array} holders - Holder objects or rows
+ * @returns {Array} Rows { address, tokens, hoursAfterLaunch }
+ */
+function toHolderRows(holders) {
+  return holders.map(({ address, tokens, hoursAfterLaunch }) => ({ address, tokens, hoursAfterLaunch }));
+}
+
+/**
+ * Build holder objects for the current settings
+ *
+ * @param {object} state - Session state with config and holder rows
+ * @returns {Array} Holder objects (as built by createHolder)
+ */
+function deriveHolders(state) {
+  return state.holders.map(row => createHolder(row, state.config));
+}
+
+/**
+ * Record a change to the session
+ *
+ * The previous state goes on the undo history and the redo history is
+ * cleared. Nothing is recorded when the state did not change.
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @param {string} label - What changed, e.g. "Add holder"
+ * @param {object} nextState - New session state
+ * @returns {boolean} True when the state changed
+ */
+function recordChange(workspace, label, nextState) {
+  const previous = canonicalJson(workspace.state);
+  const next = canonicalJson(nextState);
+  if (previous === next) {
+    return false;
+  }
+
+  workspace.undo.push({ label, state: previous });
+  if (workspace.undo.length > HISTORY_LIMIT) {
+    workspace.undo.shift();
+  }
+  workspace.redo = [];
+  workspace.state = JSON.parse(next);
+  return true;
+}
+
+/**
+ * Move one step through the history
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @param {string} from - History to take the entry from ('undo' or 'redo')
+ * @param {string} to - History to put the current state on
+ * @returns {string|null} Label of the change, or null when there is none
+ */
+function step(workspace, from, to) {
+  const entry = workspace[from].pop();
+  if (!entry) {
+    return null;
+  }
+  workspace[to].push({ label: entry.label, state: JSON.stringify(workspace.state) });
+  workspace.state = JSON.parse(entry.state);
+  return entry.label;
+}
+
+/**
+ * Undo the last change
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @returns {string|null} Label of the undone change, or null when there is nothing to undo
+ */
+function undo(workspace) {
+  return step(workspace, 'undo', 'redo');
+}
+
+/**
+ * Redo the last undone change
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @returns {string|null} Label of the redone change, or null when there is nothing to redo
+ */
+function redo(workspace) {
+  return step(workspace, 'redo', 'undo');
+}
+
+/**
+ * Save the current state as a named snapshot (replacing one of the same name)
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @param {string} name - Snapshot name
+ * @param {Date} now - Time of the snapshot (default now)
+ * @throws {Error} If the name is empty
+ */
+function saveSnapshot(workspace, name, now = new Date()) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Snapshot name is required');
+  }
+  workspace.snapshots[name.trim()] = { savedAt: now.toISOString(), state: JSON.stringify(workspace.state) };
+}
+
+/**
+ * Switch to a snapshot; the switch itself can be undone
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @param {string} name - Snapshot name
+ * @returns {boolean} True when the state changed
+ * @throws {Error} If there is no snapshot with that name
+ */
+function switchSnapshot(workspace, name) {
+  const snapshot = workspace.snapshots[name];
+  if (!snapshot) {
+    throw new Error(`No snapshot named "${name}"`);
+  }
+  return recordChange(workspace, `Switch to snapshot "${name}"`, JSON.parse(snapshot.state));
+}
+
+/**
+ * Delete a snapshot
+ *
+ * @param {object} workspace - Workspace (updated in place)
+ * @param {string} name - Snapshot name
+ * @returns {boolean} True when the snapshot existed
+ */
+function deleteSnapshot(workspace, name) {
+  if (!workspace.snapshots[name]) {
+    return false;
+  }
+  delete workspace.snapshots[name];
+  return true;
+}
+
+/**
+ * List the snapshots, oldest first
+ *
+ * @param {object} workspace - Workspace
+ * @returns {Array} { name, savedAt, holders }
+ */
+function listSnapshots(workspace) {
+  return Object.entries(workspace.snapshots)
+    .map(([name, snapshot]) => ({ name, savedAt: snapshot.savedAt, holders: JSON.parse(snapshot.state).holders.length }))
+    .sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+}
+
+/**
+ * Change a holder row
+ *
+ * The edited row is checked like an imported one: a valid balance and
+ * purchase hour, and an address no other holder uses.
+ *
+ * @param {Array} rows - Holder rows
+ * @param {string} address - Address of the holder to edit
+ * @param {object} changes - New { address, tokens, hoursAfterLaunch } values (any subset)
+ * @param {object} config - Current settings (hoursSinceLaunch)
+ * @returns {object} { rows, errors } - new rows, or the old rows and the problems
+ */
+function editHolderRow(rows, address, changes, config) {
+  const index = rows.findIndex(row => row.address === address);
+  if (index === -1) {
+    return { rows, errors: [`no holder with address ${address}`] };
+  }
+
+  const edited = { ...rows[index], ...changes };
+  const others = rows.filter((row, i) => i !== index);
+  const { rejected } = validateHolderRows([edited], config, others);
+  if (rejected.length > 0) {
+    return { rows, errors: rejected[0].errors };
+  }
+
+  return { rows: rows.map((row, i) => (i === index ? toHolderRows([edited])[0] : row)), errors: [] };
+}
+
+/**
+ * Remove a holder row
+ *
+ * @param {Array} rows - Holder rows
+ * @param {string} address - Address of the holder to remove
+ * @returns {Array|null} New rows, or null when there is no such holder
+ */
+function deleteHolderRow(rows, address) {
+  const remaining = rows.filter(row => row.address !== address);
+  return remaining.length === rows.length ? null : remaining;
+}
+
+/**
+ * Write a workspace file
+ *
+ * The file is written next to its destination and renamed into place,
+ * so an interrupted save never leaves half a workspace behind.
+ *
+ * @param {string} filePath - Destination (.json)
+ * @param {object} workspace - Workspace
+ * @param {Date} now - Save time (default now)
+ */
+function writeWorkspaceFile(filePath, workspace, now = new Date()) {
+  const snapshots = {};
+  Object.entries(workspace.snapshots).forEach(([name, snapshot]) => {
+    snapshots[name] = { savedAt: snapshot.savedAt, state: JSON.parse(snapshot.state) };
+  });
+
+  const text = JSON.stringify({
+    workspaceVersion: WORKSPACE_VERSION,
+    savedAt: now.toISOString(),
+    state: workspace.state,
+    snapshots
+  }, null, 2);
+
+  const temporary = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(temporary, text + '\n');
+  fs.renameSync(temporary, filePath);
+}
+
+/**
+ * Read a workspace file
+ *
+ * @param {string} filePath - Workspace file
+ * @returns {object} Workspace with an empty history
+ * @throws {Error} If the file is not a workspace of a supported version
+ */
+function readWorkspaceFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data || data.workspaceVersion !== WORKSPACE_VERSION) {
+    throw new Error(`${filePath} is not a version ${WORKSPACE_VERSION} workspace file`);
+  }
+  if (!data.state || !data.state.config || !Array.isArray(data.state.holders)) {
+    throw new Error(`${filePath} has no session state`);
+  }
+
+  const workspace = createWorkspace(data.state);
+  Object.entries(data.snapshots || {}).forEach(([name, snapshot]) => {
+    workspace.snapshots[name] = { savedAt: snapshot.savedAt, state: JSON.stringify(snapshot.state) };
+  });
+  return workspace;
+}
+
+module.exports = {
+  WORKSPACE_VERSION,
+  DEFAULT_WORKSPACE_FILE,
+  HISTORY_LIMIT,
+  createWorkspace,
+  toHolderRows,
+  deriveHolders,
+  recordChange,
+  undo,
+  redo,
+  saveSnapshot,
+  switchSnapshot,
+  deleteSnapshot,
+  listSnapshots,
+  editHolderRow,
+  deleteHolderRow,
+  writeWorkspaceFile,
+  readWorkspaceFile
+};